@@ -1,18 +1,64 @@
 /*
  * Arduino LED Controller - Solid Colors Per State
- * + Side-to-Side Transition (once per state change)
+ * + Timed fade or side-to-side wipe (once per state change)
  * + Per-state Pulsing (brightness only)
  *
- * Command format from web (unchanged):
- *   "STATE,R,G,B,W\n"
+ * Command format from web:
+ *   "STATE,R,G,B,W[,PERIOD,MIN,MAX[,FADE,X1,Y1,X2,Y2]]\n"
  * Examples:
- *   "standby,0,0,0,0"
- *   "arrival,0,0,0,0"
- *   "alert,0,0,0,0"
- *   "adaptive,0,0,0,0"
- *   "connection,0,0,0,0"
+ *   "alert,255,0,0,0,1200,20,100"   red, pulsing every 1.2 s between 20% and 100%
+ *   "gallery-b,0,90,60,10,0,100,100" any state name works; PERIOD 0 = no pulse
+ *   "alert,255,0,0,0,1200,20,100,1500,33,100,68,100"  fade in over 1.5 s
+ *   "standby,0,0,0,0"               legacy form, see below
  *
- * Only STATE is used. R,G,B,W are ignored.
+ * The state colors and pulses come from the web's states.json. In the short
+ * form (no pulse fields) the five built-in states (standby, arrival, alert,
+ * adaptive, connection) fall back to getPulseForState(), and an all-zero color
+ * to getColorForState(). Any other all-zero color turns the strip off.
+ *
+ * A new state name fades the whole strip to the new color over FADE ms,
+ * eased by the cubic-bezier curve X1,Y1,X2,Y2 (in hundredths, like CSS
+ * cubic-bezier(0.33, 1, 0.68, 1)), so the strip keeps in step with the web's
+ * transition. FADE 0 switches at once; without FADE the strip does the
+ * side-to-side wipe. The same state with a different color or pulse (e.g.
+ * tuned live on the web) switches instantly, or redirects a running fade.
+ *
+ * Per-LED frames (web "flow" mode, sampled from the swirl shader):
+ *   "PIXELS,START[,+],RRGGBBWWRRGGBBWW...\n"  (hex, one 8-digit group per LED)
+ * Example (first two LEDs red, then blue):
+ *   "PIXELS,0,FF0000000000FF00"
+ * A line carries at most MAX_PIXELS_PER_LINE LEDs, so longer strips take
+ * several PIXELS lines per frame (the web splits them). Every line but the
+ * last carries "+" (more lines follow), and the strip is shown once the last
+ * line is in: show() turns interrupts off for ~3.6 ms on an AVR, and serial
+ * bytes arriving meanwhile would be lost. A frame whose last line does not
+ * arrive within PIXEL_FRAME_TIMEOUT_MS is shown as far as it got.
+ * While frames are streaming, the per-state pulse is paused. The next
+ * STATE command returns the strip to its solid state color.
+ *
+ * Zones - LED ranges with a state of their own (web: "ledLayout" in states.json):
+ *   "ZONE,ID,START,COUNT,STATE,R,G,B,W[,PERIOD,MIN,MAX[,FADE,X1,Y1,X2,Y2]]\n"
+ * Example (LEDs 0-59 as zone 0 in alert, 60-89 as zone 1 fading to arrival):
+ *   "ZONE,0,0,60,alert,255,0,0,0,1200,20,100,1500,33,100,68,100"
+ *   "ZONE,1,60,30,arrival,0,0,50,0,6000,30,90,4000,33,100,68,100"
+ * ID is 0 to MAX_ZONES-1. Each zone fades, wipes and pulses on its own, as
+ * the whole strip does for a STATE command. Moving a zone clears its old
+ * range. A plain STATE command makes zone 0 the whole strip again and ends
+ * the others. PIXELS frames pause the pulse of the zones they cover.
+ *
+ * Framed protocol (v1) - the web wraps every command as:
+ *   "$1,SEQ,COMMAND*CS\n"
+ * CS is the XOR of all characters between '$' and '*' as two hex digits.
+ * Each frame is answered with "$1,SEQ,ACK*CS" or "$1,SEQ,NACK,REASON*CS".
+ * A frame repeating the last applied SEQ is a retry: it is ACKed again
+ * but not re-applied. Unframed commands still work and get the plain
+ * "OK: ..." / "ERROR: ..." replies.
+ *
+ * Sensor events (Arduino -> web), framed the same way with their own counter:
+ *   "$1,N,EVENT,presence,1*CS"   PIR: someone there (1) / nobody for PIR_HOLD_MS (0)
+ *   "$1,N,EVENT,distance,85*CS"  distance sensor in cm, when it moved by DISTANCE_CHANGE_CM
+ *   "$1,N,EVENT,button,1*CS"     button pressed
+ * Events are not acknowledged. Sensors with their pin set to -1 are off.
  */
 
 #include <Adafruit_NeoPixel.h>
@@ -23,6 +69,23 @@
 #define LED_COUNT      90      // Number of LEDs
 #define BRIGHTNESS     20      // Global brightness (0-255)
 #define TRANSITION_DELAY 20    // ms between each LED change during transition
+#define MAX_FIELDS     13      // STATE,R,G,B,W,PERIOD,MIN,MAX,FADE,X1,Y1,X2,Y2
+#define MAX_ZONES      4       // ZONE ids 0..3 - each zone takes ~60 bytes of RAM
+#define MAX_PIXELS_PER_LINE 30 // LEDs per PIXELS line - keeps the line buffer small on an Uno
+#define MAX_LINE_LENGTH (MAX_PIXELS_PER_LINE * 8 + 48) // a full PIXELS line plus header and framing
+#define PIXEL_FRAME_TIMEOUT_MS 100 // show a pixel frame whose last line was lost after this long
+#define PROTOCOL_VERSION 1
+
+// Sensors - set a pin to -1 when the sensor is not fitted
+#define PIR_PIN            -1   // PIR motion sensor output (HIGH = motion)
+#define BUTTON_PIN         -1   // Push button to GND (uses the internal pull-up)
+#define DISTANCE_TRIG_PIN  -1   // HC-SR04 style ultrasonic sensor
+#define DISTANCE_ECHO_PIN  -1
+#define PIR_HOLD_MS        5000 // presence stays 1 this long after the last motion
+#define BUTTON_DEBOUNCE_MS 30
+#define DISTANCE_INTERVAL_MS 250
+#define DISTANCE_CHANGE_CM 10
+#define DISTANCE_MAX_CM    400
 
 const float PI_F = 3.14159265f;
 
@@ -42,39 +105,124 @@ enum State {
   STATE_CONNECTION
 };
 
-State currentState = STATE_NONE;
+// One range of LEDs showing one state. Zone 0 is the whole strip until a
+// ZONE command says otherwise; the others are unused until addressed.
+struct Zone {
+  bool active;
+  int first;
+  int count;
+  String stateName;
+
+  // Current "base" color for the zone's state
+  bool hasColor;
+  uint8_t currR, currG, currB, currW;
+
+  // Pulse of the zone's state (period 0 = static)
+  unsigned long pulsePeriodMs;
+  float pulseMin;
+  float pulseMax;
+
+  // Timed fade to the color of a new state (non-blocking, see updateFade)
+  bool fadeActive;
+  unsigned long fadeStartMs;
+  unsigned long fadeDurationMs;
+  uint8_t fadeFromR, fadeFromG, fadeFromB, fadeFromW;
+  uint8_t fadeToR, fadeToG, fadeToB, fadeToW;
+  float fadeX1, fadeY1, fadeX2, fadeY2;
+
+  // Set while the web is streaming PIXELS frames into the zone
+  bool streamingPixels;
+
+  // Wipe requested by the last command - run after the command was acknowledged,
+  // so the web is not left waiting for its ACK during the blocking wipe
+  bool transitionPending;
+  uint8_t pendingR, pendingG, pendingB, pendingW;
+};
 
-// Track current "base" color for the active state
-bool   hasCurrentColor = false;
-uint8_t currR = 0, currG = 0, currB = 0, currW = 0;
+Zone zones[MAX_ZONES];
 
-// Pulse timing
+// Shared frame timing for the fades and pulses of all zones
 unsigned long lastPulseUpdate = 0;
+unsigned long lastFadeUpdate = 0;
 
 // Transition flag so pulse doesn't fight with wipe
 bool inTransition = false;
 
+// Set between the first and the last line of a pixel frame: fades and pulses
+// hold off strip.show() until the whole frame is in
+bool pixelFrameOpen = false;
+unsigned long pixelFrameStartMs = 0;
+
+// Last applied frame, to recognise retries
+bool hasLastSeq = false;
+long lastSeq = 0;
+
+// Sensor state (-1 = not reported yet)
+long eventSeq = 0;
+int lastPresence = -1;
+unsigned long lastMotionMs = 0;
+int buttonReading = HIGH;
+int buttonState = HIGH;
+unsigned long buttonChangedMs = 0;
+long lastDistanceCm = -1;
+unsigned long lastDistanceMs = 0;
+
 // ---------------- FORWARD DECLARATIONS ----------------
 
+State stateFromName(const String &name);
 void getColorForState(State s, uint8_t &r, uint8_t &g, uint8_t &b, uint8_t &w);
-void applyStateColorInstant(uint8_t r, uint8_t g, uint8_t b, uint8_t w);
-void transitionSideToSide(uint8_t fromR, uint8_t fromG, uint8_t fromB, uint8_t fromW,
+void getPulseForState(State s, unsigned long &periodMs, float &minFactor, float &maxFactor);
+void resetZone(int z, int first, int count);
+void fillZone(int z, uint32_t color);
+bool isStreamingPixels();
+void applyStateColorInstant(int z, uint8_t r, uint8_t g, uint8_t b, uint8_t w);
+void transitionSideToSide(int z,
+                          uint8_t fromR, uint8_t fromG, uint8_t fromB, uint8_t fromW,
                           uint8_t toR,   uint8_t toG,   uint8_t toB,   uint8_t toW);
 void updatePulse();
+void startFade(int z, uint8_t toR, uint8_t toG, uint8_t toB, uint8_t toW, unsigned long durationMs);
+void updateFade();
+float bezierSample(float a, float b, float t);
+float bezierEase(int z, float x);
+void processLine(const String &line);
+void processFrame(const String &frame);
+bool processCommand(const char *command, int length, String &message);
+bool processZone(const char *command, int length, String &message);
+bool applyState(int z, const char *command, int length, String &message);
+bool processPixels(const char *command, int length, String &message);
+int findComma(const char *text, int length, int from);
+bool hasPrefix(const char *text, int length, const char *prefix);
+void runPendingTransition();
+void sendReply(long seq, const String &payload);
+void sendEvent(const String &type, long value);
+void setupSensors();
+void updateSensors();
+uint8_t frameChecksum(const char *text, int length);
+int hexValue(char c);
 
 // ---------------- SETUP ----------------
 
 void setup() {
   Serial.begin(115200);
   Serial.setTimeout(50);
-  inputString.reserve(100);
+  inputString.reserve(MAX_LINE_LENGTH);
 
   strip.begin();
   strip.setBrightness(BRIGHTNESS);
   strip.show(); // all off
 
-  Serial.println("LED Controller Ready (solid colors + single wipe + pulsing)");
-  Serial.println("Waiting for commands: STATE,R,G,B,W");
+  // Zone 0 is the whole strip, the others wait for a ZONE command
+  resetZone(0, 0, LED_COUNT);
+  for (int z = 1; z < MAX_ZONES; z++) {
+    resetZone(z, 0, 0);
+    zones[z].active = false;
+  }
+
+  setupSensors();
+
+  // F(): the texts stay in flash instead of taking RAM
+  Serial.println(F("LED Controller Ready (solid colors + fade/wipe + pulsing + zones)"));
+  Serial.println(F("Waiting for commands: STATE,R,G,B,W[,PERIOD,MIN,MAX[,FADE,X1,Y1,X2,Y2]], ZONE,ID,START,COUNT,STATE,... or PIXELS,START[,+],HEX"));
 }
 
 // ---------------- LOOP ----------------
@@ -87,75 +235,446 @@ void loop() {
       stringComplete = true;
       break;
     } else if (c != '\r') {
-      inputString += c;
+      if (inputString.length() < MAX_LINE_LENGTH) {
+        inputString += c;
+      }
     }
   }
 
   if (stringComplete) {
-    processCommand(inputString);
+    inputString.trim();
+    processLine(inputString);
     inputString = "";
     stringComplete = false;
   }
 
+  // The last line of a pixel frame was lost: show what arrived
+  if (pixelFrameOpen && millis() - pixelFrameStartMs > PIXEL_FRAME_TIMEOUT_MS) {
+    pixelFrameOpen = false;
+    strip.show();
+  }
+
+  runPendingTransition();
+  updateFade();
+
   // Per-state pulsing (non-blocking)
   updatePulse();
+
+  updateSensors();
 }
 
 // ---------------- COMMAND HANDLING ----------------
 
-void processCommand(String command) {
-  command.trim();
-  if (command.length() == 0) return;
+// A trimmed line. It is handed down by reference and parsed in place - never copied.
+void processLine(const String &line) {
+  if (line.length() == 0) return;
+
+  if (line.charAt(0) == '$') {
+    processFrame(line);
+    return;
+  }
+
+  // Unframed command (older web versions, Serial Monitor)
+  String message;
+  if (processCommand(line.c_str(), line.length(), message)) {
+    if (message.length() > 0) {
+      Serial.print(F("OK: "));
+      Serial.println(message);
+    }
+  } else {
+    Serial.print(F("ERROR: "));
+    Serial.println(message);
+  }
+}
+
+// "$1,SEQ,COMMAND*CS" -> validate, ACK/NACK, apply
+void processFrame(const String &frame) {
+  const char *text = frame.c_str();
+  int star = frame.lastIndexOf('*');
+  int firstComma = frame.indexOf(',');
+  int secondComma = firstComma == -1 ? -1 : frame.indexOf(',', firstComma + 1);
+
+  // Best effort, so the web can match even a NACK to its command
+  long seq = secondComma == -1 ? 0 : atol(text + firstComma + 1);
+
+  if (star == -1 || star + 3 != (int)frame.length() || secondComma == -1 || secondComma > star) {
+    sendReply(seq, "NACK,format");
+    return;
+  }
+
+  int hi = hexValue(text[star + 1]);
+  int lo = hexValue(text[star + 2]);
+  if (hi < 0 || lo < 0 || ((hi << 4) | lo) != frameChecksum(text + 1, star - 1)) {
+    sendReply(seq, "NACK,checksum");
+    return;
+  }
+
+  if (atol(text + 1) != PROTOCOL_VERSION) {
+    sendReply(seq, "NACK,version");
+    return;
+  }
 
-  int firstComma = command.indexOf(',');
-  if (firstComma == -1) {
-    Serial.println("ERROR: Invalid format (no comma)");
+  // Our ACK got lost and the web sent the command again: confirm, don't re-apply
+  if (hasLastSeq && seq == lastSeq) {
+    sendReply(seq, "ACK");
     return;
   }
 
-  String stateStr = command.substring(0, firstComma);
+  String message;
+  if (processCommand(text + secondComma + 1, star - secondComma - 1, message)) {
+    hasLastSeq = true;
+    lastSeq = seq;
+    sendReply(seq, "ACK");
+  } else {
+    sendReply(seq, "NACK," + message);
+  }
+}
+
+// Apply the command in the first `length` characters of command. The commands are parsed
+// in place (the line buffer is not copied - there is little RAM to spare), so what follows
+// them, e.g. the checksum of a frame, is never read as part of a number.
+// Returns false with the reason in message if it is invalid.
+bool processCommand(const char *command, int length, String &message) {
+  while (length > 0 && isspace(command[0])) {
+    command++;
+    length--;
+  }
+  while (length > 0 && isspace(command[length - 1])) {
+    length--;
+  }
+  if (length == 0) {
+    message = F("Empty command");
+    return false;
+  }
+
+  if (hasPrefix(command, length, "PIXELS,")) {
+    return processPixels(command, length, message);
+  }
+
+  if (hasPrefix(command, length, "ZONE,")) {
+    return processZone(command, length, message);
+  }
+
+  if (findComma(command, length, 0) == -1) {
+    message = F("Invalid format (no comma)");
+    return false;
+  }
+
+  // A plain state command drives the whole strip again, as zone 0
+  bool wholeStrip = zones[0].active && zones[0].first == 0 && zones[0].count == LED_COUNT;
+  for (int z = 1; z < MAX_ZONES; z++) {
+    if (zones[z].active) wholeStrip = false;
+    zones[z].active = false;
+  }
+  if (!wholeStrip) {
+    resetZone(0, 0, LED_COUNT);
+  }
+  return applyState(0, command, length, message);
+}
+
+// "ZONE,ID,START,COUNT,STATE,..." -> (re)place zone ID and apply the state command to it
+bool processZone(const char *command, int length, String &message) {
+  int commas[4];
+  int from = 0;
+  for (int i = 0; i < 4; i++) {
+    commas[i] = findComma(command, length, from);
+    if (commas[i] == -1) {
+      message = F("Invalid zone (missing fields)");
+      return false;
+    }
+    from = commas[i] + 1;
+  }
+
+  // atol() stops at the comma after the number
+  long id = atol(command + commas[0] + 1);
+  long first = atol(command + commas[1] + 1);
+  long count = atol(command + commas[2] + 1);
+  if (id < 0 || id >= MAX_ZONES) {
+    message = F("Invalid zone (id)");
+    return false;
+  }
+  if (first < 0 || first >= LED_COUNT || count <= 0) {
+    message = F("Invalid zone (range)");
+    return false;
+  }
+  count = min(count, (long)LED_COUNT - first);
+
+  int z = (int)id;
+  if (!zones[z].active || zones[z].first != first || zones[z].count != count) {
+    // Moved or new: clear the old range, then start afresh in the new one
+    if (zones[z].active) {
+      fillZone(z, 0);
+      strip.show();
+    }
+    resetZone(z, (int)first, (int)count);
+  }
+
+  int rest = commas[3] + 1;
+  return applyState(z, command + rest, length - rest, message);
+}
+
+// Apply "STATE,R,G,B,W[,PERIOD,MIN,MAX[,FADE,X1,Y1,X2,Y2]]" to one zone
+bool applyState(int z, const char *command, int length, String &message) {
+  Zone &zone = zones[z];
+
+  // Where each field starts; the numbers are read with atol(), which stops at the next comma
+  int fields[MAX_FIELDS];
+  int fieldCount = 0;
+  int start = 0;
+  while (fieldCount < MAX_FIELDS) {
+    fields[fieldCount++] = start;
+    int comma = findComma(command, length, start);
+    if (comma == -1) break;
+    start = comma + 1;
+  }
+
+  int nameLength = fieldCount > 1 ? fields[1] - 1 : length;
+  String stateStr;
+  stateStr.reserve(nameLength);
+  for (int i = 0; i < nameLength; i++) {
+    stateStr += command[i];
+  }
   stateStr.trim();
   stateStr.toLowerCase();
+  if (stateStr.length() == 0) {
+    message = F("Missing state");
+    return false;
+  }
 
-  // Map text to enum
-  State newState = STATE_NONE;
-  if (stateStr == "standby") {
-    newState = STATE_STANDBY;
-  } else if (stateStr == "arrival") {
-    newState = STATE_ARRIVAL;
-  } else if (stateStr == "alert") {
-    newState = STATE_ALERT;
-  } else if (stateStr == "adaptive") {
-    newState = STATE_ADAPTIVE;
-  } else if (stateStr == "connection") {
-    newState = STATE_CONNECTION;
+  State knownState = stateFromName(stateStr);
+
+  // Target solid color: as sent, or the built-in one for the short form "STATE,0,0,0,0".
+  // The full form is taken literally, so all zeros turns the zone off (e.g. brightness at 0).
+  uint8_t targetR = 0, targetG = 0, targetB = 0, targetW = 0;
+  if (fieldCount >= 5) {
+    targetR = constrain(atol(command + fields[1]), 0L, 255L);
+    targetG = constrain(atol(command + fields[2]), 0L, 255L);
+    targetB = constrain(atol(command + fields[3]), 0L, 255L);
+    targetW = constrain(atol(command + fields[4]), 0L, 255L);
+  }
+  if (fieldCount < 8 && targetR == 0 && targetG == 0 && targetB == 0 && targetW == 0) {
+    getColorForState(knownState, targetR, targetG, targetB, targetW);
+  }
+  bool isOff = targetR == 0 && targetG == 0 && targetB == 0 && targetW == 0;
+
+  // Pulse: as sent (MIN/MAX in percent), or the built-in one
+  unsigned long targetPeriod;
+  float targetMin, targetMax;
+  if (fieldCount >= 8) {
+    targetPeriod = (unsigned long)max(0L, atol(command + fields[5]));
+    targetMin = constrain(atol(command + fields[6]), 0L, 100L) / 100.0f;
+    targetMax = constrain(atol(command + fields[7]), 0L, 100L) / 100.0f;
   } else {
-    newState = STATE_NONE;
+    getPulseForState(knownState, targetPeriod, targetMin, targetMax);
+  }
+  zone.pulsePeriodMs = targetPeriod;
+  zone.pulseMin = targetMin;
+  zone.pulseMax = targetMax;
+
+  // Fade: duration, and the curve if sent (x must stay within 0-1, y may overshoot)
+  bool hasFade = fieldCount >= 9;
+  unsigned long fadeMs = hasFade ? (unsigned long)max(0L, atol(command + fields[8])) : 0;
+  if (fieldCount >= 13) {
+    zone.fadeX1 = constrain(atol(command + fields[9]), 0L, 100L) / 100.0f;
+    zone.fadeY1 = atol(command + fields[10]) / 100.0f;
+    zone.fadeX2 = constrain(atol(command + fields[11]), 0L, 100L) / 100.0f;
+    zone.fadeY2 = atol(command + fields[12]) / 100.0f;
   }
 
-  // Determine the target solid color for this state
-  uint8_t targetR, targetG, targetB, targetW;
-  getColorForState(newState, targetR, targetG, targetB, targetW);
-
-  if (!hasCurrentColor || newState == STATE_NONE) {
-    // First time, or going to "none" -> just snap
-    applyStateColorInstant(targetR, targetG, targetB, targetW);
-  } else if (newState != currentState) {
-    // Real state change -> perform blocking side-to-side wipe ONCE
-    transitionSideToSide(currR, currG, currB, currW,
-                         targetR, targetG, targetB, targetW);
+  // Leaving pixel streaming always redraws the solid color, even for the same state
+  bool wasStreaming = zone.streamingPixels;
+  zone.streamingPixels = false;
+
+  // During a fade the zone is still on its way to the state's color
+  bool colorChanged = zone.fadeActive
+    ? (targetR != zone.fadeToR || targetG != zone.fadeToG || targetB != zone.fadeToB || targetW != zone.fadeToW)
+    : (targetR != zone.currR || targetG != zone.currG || targetB != zone.currB || targetW != zone.currW);
+
+  if (!zone.hasColor || isOff) {
+    // First time, or going dark -> just snap
+    zone.transitionPending = false;
+    zone.fadeActive = false;
+    applyStateColorInstant(z, targetR, targetG, targetB, targetW);
+  } else if (stateStr != zone.stateName || wasStreaming) {
+    zone.transitionPending = false;
+    if (!hasFade) {
+      // Real state change -> side-to-side wipe ONCE, right after the reply
+      zone.fadeActive = false;
+      zone.transitionPending = true;
+      zone.pendingR = targetR;
+      zone.pendingG = targetG;
+      zone.pendingB = targetB;
+      zone.pendingW = targetW;
+    } else if (fadeMs == 0) {
+      zone.fadeActive = false;
+      applyStateColorInstant(z, targetR, targetG, targetB, targetW);
+    } else {
+      // Real state change -> fade from wherever the zone is now
+      startFade(z, targetR, targetG, targetB, targetW, fadeMs);
+    }
+  } else if (colorChanged && zone.fadeActive) {
+    // Same state with a new color while fading -> keep fading, towards the new color
+    zone.fadeToR = targetR;
+    zone.fadeToG = targetG;
+    zone.fadeToB = targetB;
+    zone.fadeToW = targetW;
+  } else if (colorChanged) {
+    // Same state with a new color (tuned on the web) -> snap
+    zone.transitionPending = false;
+    applyStateColorInstant(z, targetR, targetG, targetB, targetW);
   } else {
     // Same state again -> ignore, no extra wipe, no snap
     // This avoids double transitions when the website sends duplicates.
   }
 
-  currentState = newState;
+  zone.stateName = stateStr;
 
-  Serial.print("OK: state = ");
-  Serial.println(stateStr);
+  message = "state = " + stateStr;
+  if (z > 0 || zone.count != LED_COUNT) {
+    message += " (zone " + String(z) + ")";
+  }
+  return true;
+}
+
+// One wipe per loop, so the others wait their turn instead of blocking together
+void runPendingTransition() {
+  for (int z = 0; z < MAX_ZONES; z++) {
+    Zone &zone = zones[z];
+    if (!zone.active || !zone.transitionPending) continue;
+    zone.transitionPending = false;
+    transitionSideToSide(z, zone.currR, zone.currG, zone.currB, zone.currW,
+                         zone.pendingR, zone.pendingG, zone.pendingB, zone.pendingW);
+    return;
+  }
 }
 
-// ---------------- STATE → FIXED BASE COLOR ----------------
+// ---------------- FRAMING ----------------
+
+void sendReply(long seq, const String &payload) {
+  String body = String(PROTOCOL_VERSION) + "," + String(seq) + "," + payload;
+  uint8_t checksum = frameChecksum(body.c_str(), body.length());
+
+  Serial.print('$');
+  Serial.print(body);
+  Serial.print('*');
+  if (checksum < 0x10) Serial.print('0');
+  Serial.println(checksum, HEX);
+}
+
+// Unsolicited frame, numbered separately from the web's commands
+void sendEvent(const String &type, long value) {
+  eventSeq++;
+  sendReply(eventSeq, "EVENT," + type + "," + String(value));
+}
+
+// XOR of the `length` characters from text
+uint8_t frameChecksum(const char *text, int length) {
+  uint8_t checksum = 0;
+  for (int i = 0; i < length; i++) {
+    checksum ^= (uint8_t)text[i];
+  }
+  return checksum;
+}
+
+// ---------------- PIXEL FRAMES ----------------
+
+// "PIXELS,START[,+],RRGGBBWW..." -> set LEDs from START onwards, one 8-digit hex group each;
+// "+" means more lines of the frame follow
+bool processPixels(const char *command, int length, String &message) {
+  int secondComma = findComma(command, length, 7);
+  if (secondComma == -1) {
+    message = F("Invalid pixel frame (no start index)");
+    return false;
+  }
+
+  int start = atoi(command + 7);
+  int dataStart = secondComma + 1;
+  bool more = false;
+  int flagComma = findComma(command, length, dataStart);
+  if (flagComma != -1) {
+    if (flagComma != dataStart + 1 || command[dataStart] != '+') {
+      message = F("Invalid pixel frame (flag)");
+      return false;
+    }
+    more = true;
+    dataStart = flagComma + 1;
+  }
+  int count = (length - dataStart) / 8;
+  if (start < 0 || count <= 0) {
+    message = F("Invalid pixel frame (no data)");
+    return false;
+  }
+
+  for (int i = 0; i < count && start + i < strip.numPixels(); i++) {
+    uint8_t channels[4];
+    for (int ch = 0; ch < 4; ch++) {
+      int pos = dataStart + i * 8 + ch * 2;
+      int hi = hexValue(command[pos]);
+      int lo = hexValue(command[pos + 1]);
+      if (hi < 0 || lo < 0) {
+        message = F("Invalid pixel frame (bad hex)");
+        return false;
+      }
+      channels[ch] = (uint8_t)((hi << 4) | lo);
+    }
+    strip.setPixelColor(start + i, strip.Color(channels[0], channels[1], channels[2], channels[3]));
+  }
+
+  // The web now drives the zones this frame covers
+  for (int z = 0; z < MAX_ZONES; z++) {
+    Zone &zone = zones[z];
+    if (!zone.active || zone.first >= start + count || zone.first + zone.count <= start) continue;
+    zone.streamingPixels = true;
+    zone.transitionPending = false;
+    zone.fadeActive = false;
+  }
+
+  if (more) {
+    if (!pixelFrameOpen) {
+      pixelFrameOpen = true;
+      pixelFrameStartMs = millis();
+    }
+  } else {
+    pixelFrameOpen = false;
+    strip.show();
+  }
+  // Empty message: no "OK:" line per unframed frame, at ~12 per second it would only flood the line
+  return true;
+}
+
+// Index of the first comma at or after `from`, or -1
+int findComma(const char *text, int length, int from) {
+  for (int i = from; i < length; i++) {
+    if (text[i] == ',') return i;
+  }
+  return -1;
+}
+
+bool hasPrefix(const char *text, int length, const char *prefix) {
+  int prefixLength = strlen(prefix);
+  return length >= prefixLength && strncmp(text, prefix, prefixLength) == 0;
+}
+
+int hexValue(char c) {
+  if (c >= '0' && c <= '9') return c - '0';
+  if (c >= 'a' && c <= 'f') return c - 'a' + 10;
+  if (c >= 'A' && c <= 'F') return c - 'A' + 10;
+  return -1;
+}
+
+// ---------------- BUILT-IN STATES ----------------
+
+// Map text to enum (STATE_NONE for states only the web knows)
+State stateFromName(const String &name) {
+  if (name == "standby") return STATE_STANDBY;
+  if (name == "arrival") return STATE_ARRIVAL;
+  if (name == "alert") return STATE_ALERT;
+  if (name == "adaptive") return STATE_ADAPTIVE;
+  if (name == "connection") return STATE_CONNECTION;
+  return STATE_NONE;
+}
+
+// Fallback colors for the built-in states
 
 void getColorForState(State s, uint8_t &r, uint8_t &g, uint8_t &b, uint8_t &w) {
   switch (s) {
@@ -192,79 +711,161 @@ void getColorForState(State s, uint8_t &r, uint8_t &g, uint8_t &b, uint8_t &w) {
   }
 }
 
-// ---------------- COLOR APPLICATION ----------------
-
-// Instantly fill the whole strip with a solid color
-void applyStateColorInstant(uint8_t r, uint8_t g, uint8_t b, uint8_t w) {
-  currR = r;
-  currG = g;
-  currB = b;
-  currW = w;
-  hasCurrentColor = true;
+// ---------------- ZONES ----------------
+
+// Put a zone on LEDs first..first+count-1 with no state yet
+void resetZone(int z, int first, int count) {
+  Zone &zone = zones[z];
+  zone.active = true;
+  zone.first = first;
+  zone.count = count;
+  zone.stateName = "";
+  zone.hasColor = false;
+  zone.currR = zone.currG = zone.currB = zone.currW = 0;
+  zone.pulsePeriodMs = 0;
+  zone.pulseMin = 1.0f;
+  zone.pulseMax = 1.0f;
+  zone.fadeActive = false;
+  zone.fadeX1 = 0.42f; zone.fadeY1 = 0.0f; zone.fadeX2 = 0.58f; zone.fadeY2 = 1.0f; // ease-in-out
+  zone.streamingPixels = false;
+  zone.transitionPending = false;
+}
 
-  uint32_t color = strip.Color(r, g, b, w);
-  for (int i = 0; i < strip.numPixels(); i++) {
+// Set every LED of a zone (without show)
+void fillZone(int z, uint32_t color) {
+  Zone &zone = zones[z];
+  for (int i = zone.first; i < zone.first + zone.count && i < strip.numPixels(); i++) {
     strip.setPixelColor(i, color);
   }
+}
+
+bool isStreamingPixels() {
+  for (int z = 0; z < MAX_ZONES; z++) {
+    if (zones[z].active && zones[z].streamingPixels) return true;
+  }
+  return false;
+}
+
+// ---------------- COLOR APPLICATION ----------------
+
+// Instantly fill the whole zone with a solid color
+void applyStateColorInstant(int z, uint8_t r, uint8_t g, uint8_t b, uint8_t w) {
+  Zone &zone = zones[z];
+  zone.currR = r;
+  zone.currG = g;
+  zone.currB = b;
+  zone.currW = w;
+  zone.hasColor = true;
+
+  fillZone(z, strip.Color(r, g, b, w));
   strip.show();
 }
 
-// Blocking left-to-right transition from old color to new color
-void transitionSideToSide(uint8_t fromR, uint8_t fromG, uint8_t fromB, uint8_t fromW,
+// Blocking left-to-right transition from old color to new color across the zone
+void transitionSideToSide(int z,
+                          uint8_t fromR, uint8_t fromG, uint8_t fromB, uint8_t fromW,
                           uint8_t toR,   uint8_t toG,   uint8_t toB,   uint8_t toW) {
+  Zone &zone = zones[z];
 
   inTransition = true; // suspend pulsing
 
-  uint32_t fromColor = strip.Color(fromR, fromG, fromB, fromW);
-  uint32_t toColor   = strip.Color(toR,   toG,   toB,   toW);
+  uint32_t toColor = strip.Color(toR, toG, toB, toW);
 
   // Start in the "old" solid color (should already be like this, but makes it explicit)
-  for (int i = 0; i < strip.numPixels(); i++) {
-    strip.setPixelColor(i, fromColor);
-  }
+  fillZone(z, strip.Color(fromR, fromG, fromB, fromW));
   strip.show();
 
-  // Wipe from left (0) to right (LED_COUNT-1) exactly once
-  for (int idx = 0; idx < strip.numPixels(); idx++) {
+  // Wipe from the zone's first LED to its last exactly once
+  for (int idx = zone.first; idx < zone.first + zone.count && idx < strip.numPixels(); idx++) {
     strip.setPixelColor(idx, toColor);
     strip.show();
     delay(TRANSITION_DELAY);
   }
 
   // Commit the new base color
-  currR = toR;
-  currG = toG;
-  currB = toB;
-  currW = toW;
-  hasCurrentColor = true;
+  zone.currR = toR;
+  zone.currG = toG;
+  zone.currB = toB;
+  zone.currW = toW;
+  zone.hasColor = true;
 
   inTransition = false; // resume pulsing
 }
 
-// ---------------- PULSING (BRIGHTNESS ONLY) ----------------
+// Start a non-blocking fade from the zone's current color
+void startFade(int z, uint8_t toR, uint8_t toG, uint8_t toB, uint8_t toW, unsigned long durationMs) {
+  Zone &zone = zones[z];
+  zone.fadeFromR = zone.currR;
+  zone.fadeFromG = zone.currG;
+  zone.fadeFromB = zone.currB;
+  zone.fadeFromW = zone.currW;
+  zone.fadeToR = toR;
+  zone.fadeToG = toG;
+  zone.fadeToB = toB;
+  zone.fadeToW = toW;
+  zone.fadeDurationMs = durationMs;
+  zone.fadeStartMs = millis();
+  zone.fadeActive = true;
+}
 
-// Global pulse: same hue, whole strip, per-state speed & depth
-void updatePulse() {
-  if (!hasCurrentColor) return;
-  if (currentState == STATE_NONE) return;
-  if (inTransition) return;  // don't fight the wipe
+void updateFade() {
+  unsigned long now = millis();
+  if (now - lastFadeUpdate < 20) return;  // ~50 FPS max
+  lastFadeUpdate = now;
+
+  bool changed = false;
+  for (int z = 0; z < MAX_ZONES; z++) {
+    Zone &zone = zones[z];
+    if (!zone.active || !zone.fadeActive) continue;
+
+    float progress = (now - zone.fadeStartMs) / (float)zone.fadeDurationMs;
+    if (progress >= 1.0f) {
+      zone.fadeActive = false;
+      zone.currR = zone.fadeToR;
+      zone.currG = zone.fadeToG;
+      zone.currB = zone.fadeToB;
+      zone.currW = zone.fadeToW;
+      zone.hasColor = true;
+    } else {
+      float eased = bezierEase(z, progress);
+      // The curve may overshoot (e.g. a "back" easing), the color may not
+      zone.currR = (uint8_t)constrain(zone.fadeFromR + (zone.fadeToR - zone.fadeFromR) * eased, 0.0f, 255.0f);
+      zone.currG = (uint8_t)constrain(zone.fadeFromG + (zone.fadeToG - zone.fadeFromG) * eased, 0.0f, 255.0f);
+      zone.currB = (uint8_t)constrain(zone.fadeFromB + (zone.fadeToB - zone.fadeFromB) * eased, 0.0f, 255.0f);
+      zone.currW = (uint8_t)constrain(zone.fadeFromW + (zone.fadeToW - zone.fadeFromW) * eased, 0.0f, 255.0f);
+    }
 
-  // Standby should stay static: don't pulse, don't touch it
-  if (currentState == STATE_STANDBY) {
-    return;
+    fillZone(z, strip.Color(zone.currR, zone.currG, zone.currB, zone.currW));
+    changed = true;
   }
 
-  unsigned long now = millis();
-  if (now - lastPulseUpdate < 20) return;  // ~50 FPS max
-  lastPulseUpdate = now;
+  if (changed && !pixelFrameOpen) {
+    strip.show();
+  }
+}
+
+float bezierSample(float a, float b, float t) {
+  return ((1.0f - 3.0f * b + 3.0f * a) * t + (3.0f * b - 6.0f * a)) * t * t + 3.0f * a * t;
+}
 
-  // Default pulse parameters
-  unsigned long periodMs = 4000;   // full cycle duration
-  float minFactor = 0.4f;          // min brightness relative to base
-  float maxFactor = 1.0f;          // max brightness relative to base
+// CSS cubic-bezier timing of a zone's fade: progress 0..1 -> eased 0..1, solved by bisection
+float bezierEase(int z, float x) {
+  Zone &zone = zones[z];
+  float low = 0.0f, high = 1.0f, t = x;
+  for (int i = 0; i < 20; i++) {
+    float value = bezierSample(zone.fadeX1, zone.fadeX2, t);
+    if (fabs(value - x) < 0.001f) break;
+    if (value < x) low = t; else high = t;
+    t = (low + high) * 0.5f;
+  }
+  return bezierSample(zone.fadeY1, zone.fadeY2, t);
+}
+
+// ---------------- PULSING (BRIGHTNESS ONLY) ----------------
 
-  // Tune per state
-  switch (currentState) {
+// Fallback pulse for the built-in states: period, min/max brightness relative to base
+void getPulseForState(State s, unsigned long &periodMs, float &minFactor, float &maxFactor) {
+  switch (s) {
     case STATE_ARRIVAL:
       // Calm, slower breathing
       periodMs  = 6000;
@@ -296,24 +897,113 @@ void updatePulse() {
     case STATE_STANDBY:
     case STATE_NONE:
     default:
-      return; // already handled standby above
+      // Standby should stay static: don't pulse
+      periodMs  = 0;
+      minFactor = 1.0f;
+      maxFactor = 1.0f;
+      break;
   }
+}
 
-  if (periodMs == 0) return;
+// Pulse per zone: same hue, whole zone, per-state speed & depth
+void updatePulse() {
+  if (inTransition) return;  // don't fight the wipe
 
-  float phase = (now % periodMs) / (float)periodMs;          // 0..1
-  float wave  = (sinf(2.0f * PI_F * phase) + 1.0f) * 0.5f;   // 0..1
-  float factor = minFactor + (maxFactor - minFactor) * wave; // min..max
+  unsigned long now = millis();
+  if (now - lastPulseUpdate < 20) return;  // ~50 FPS max
+  lastPulseUpdate = now;
 
-  // Apply brightness factor to the base color
-  uint8_t r = (uint8_t)(currR * factor);
-  uint8_t g = (uint8_t)(currG * factor);
-  uint8_t b = (uint8_t)(currB * factor);
-  uint8_t w = (uint8_t)(currW * factor);
+  bool changed = false;
+  for (int z = 0; z < MAX_ZONES; z++) {
+    Zone &zone = zones[z];
+    if (!zone.active || !zone.hasColor) continue;
+    if (zone.pulsePeriodMs == 0) continue; // static state
+    if (zone.transitionPending || zone.fadeActive) continue;  // don't fight the wipe or fade
+    if (zone.streamingPixels) continue; // the web is driving every LED
+
+    float phase = (now % zone.pulsePeriodMs) / (float)zone.pulsePeriodMs;   // 0..1
+    float wave  = (sinf(2.0f * PI_F * phase) + 1.0f) * 0.5f;               // 0..1
+    float factor = zone.pulseMin + (zone.pulseMax - zone.pulseMin) * wave; // min..max
+
+    // Apply brightness factor to the base color
+    uint8_t r = (uint8_t)(zone.currR * factor);
+    uint8_t g = (uint8_t)(zone.currG * factor);
+    uint8_t b = (uint8_t)(zone.currB * factor);
+    uint8_t w = (uint8_t)(zone.currW * factor);
+
+    fillZone(z, strip.Color(r, g, b, w));
+    changed = true;
+  }
 
-  uint32_t color = strip.Color(r, g, b, w);
-  for (int i = 0; i < strip.numPixels(); i++) {
-    strip.setPixelColor(i, color);
+  if (changed && !pixelFrameOpen) {
+    strip.show();
   }
-  strip.show();
-}
\ No newline at end of file
+}
+
+// ---------------- SENSORS ----------------
+
+void setupSensors() {
+#if PIR_PIN >= 0
+  pinMode(PIR_PIN, INPUT);
+#endif
+#if BUTTON_PIN >= 0
+  pinMode(BUTTON_PIN, INPUT_PULLUP);
+#endif
+#if DISTANCE_TRIG_PIN >= 0 && DISTANCE_ECHO_PIN >= 0
+  pinMode(DISTANCE_TRIG_PIN, OUTPUT);
+  digitalWrite(DISTANCE_TRIG_PIN, LOW);
+  pinMode(DISTANCE_ECHO_PIN, INPUT);
+#endif
+}
+
+void updateSensors() {
+  unsigned long now = millis();
+
+#if PIR_PIN >= 0
+  // Report presence at once, absence only after PIR_HOLD_MS without motion
+  if (digitalRead(PIR_PIN) == HIGH) {
+    lastMotionMs = now;
+    if (lastPresence != 1) {
+      lastPresence = 1;
+      sendEvent("presence", 1);
+    }
+  } else if (lastPresence != 0 && (lastPresence == -1 || now - lastMotionMs >= PIR_HOLD_MS)) {
+    lastPresence = 0;
+    sendEvent("presence", 0);
+  }
+#endif
+
+#if BUTTON_PIN >= 0
+  int reading = digitalRead(BUTTON_PIN);
+  if (reading != buttonReading) {
+    buttonReading = reading;
+    buttonChangedMs = now;
+  }
+  if (now - buttonChangedMs >= BUTTON_DEBOUNCE_MS && reading != buttonState) {
+    buttonState = reading;
+    if (buttonState == LOW) {
+      sendEvent("button", 1);
+    }
+  }
+#endif
+
+#if DISTANCE_TRIG_PIN >= 0 && DISTANCE_ECHO_PIN >= 0
+  // pulseIn blocks for up to ~25 ms; skip while frames are streaming or arriving,
+  // so the 64 byte serial buffer can't overflow
+  if (now - lastDistanceMs >= DISTANCE_INTERVAL_MS && !isStreamingPixels() && Serial.available() == 0) {
+    lastDistanceMs = now;
+
+    digitalWrite(DISTANCE_TRIG_PIN, HIGH);
+    delayMicroseconds(10);
+    digitalWrite(DISTANCE_TRIG_PIN, LOW);
+    unsigned long echoUs = pulseIn(DISTANCE_ECHO_PIN, HIGH, DISTANCE_MAX_CM * 58UL);
+
+    // No echo = nothing in range
+    long distanceCm = echoUs == 0 ? DISTANCE_MAX_CM : (long)(echoUs / 58);
+    if (lastDistanceCm < 0 || labs(distanceCm - lastDistanceCm) >= DISTANCE_CHANGE_CM) {
+      lastDistanceCm = distanceCm;
+      sendEvent("distance", distanceCm);
+    }
+  }
+#endif
+}
@@ -0,0 +1,439 @@
+// Audio-reactive modulation (controller only)
+// Analyses a microphone / line-in or a loaded audio file with Web Audio and rides
+// intensity (loudness), distortion (bass), speed (treble) and LED brightness on top of
+// the current state - including its transitions. Shift+A (or ?audio=1) opens the panel.
+//
+// Each state has a sensitivity (input gain) and smoothing (0 = instant, 0.95 = very slow)
+// from states.json ("audio"), adjustable in the panel and kept in localStorage.
+// Every factor stays within `bounds`, so the audio can never push the visuals far
+// from the state's own look.
+
+const AudioReactive = {
+    settingsKey: 'audioStateSettings',
+    sourceKey: 'audioSource',
+    context: null,
+    analyser: null,
+    source: null,
+    stream: null,
+    audioElement: null,
+    timer: null,
+    updateInterval: 33,     // ms
+    broadcastInterval: 66,  // ms between modulation updates sent to the displays
+    lastBroadcast: 0,
+    lastLEDBrightness: null,
+    timeData: null,
+    frequencyData: null,
+    levels: { loudness: 0, bass: 0, mid: 0, treble: 0 },
+    settings: {},
+    panel: null,
+
+    defaults: { sensitivity: 1, smoothing: 0.8 },
+
+    // Frequency bands in Hz
+    bands: {
+        bass: [20, 250],
+        mid: [250, 2000],
+        treble: [2000, 8000]
+    },
+
+    // How far each level moves its parameter (factor = 1 + depth * level), and the hard limits
+    depth: { intensity: 0.5, distortion: 0.6, speed: 0.4, ledBrightness: 0.7 },
+    bounds: {
+        intensity: [1, 1.5],
+        distortion: [1, 1.6],
+        speed: [1, 1.4],
+        ledBrightness: [0.3, 1]
+    },
+
+    init() {
+        this.settings = this.loadSettings();
+        this.buildPanel();
+
+        ExhibitionState.onChange(() => this.refreshPanel());
+
+        onShortcut('A', () => this.togglePanel());
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('audio') === '1') {
+            this.togglePanel(true);
+        }
+
+        // Without a click since page load the browser keeps the audio context suspended
+        document.addEventListener('pointerdown', () => {
+            if (this.context?.state === 'suspended') {
+                this.context.resume();
+            }
+        });
+
+        // Resume the last live input (files have to be picked again)
+        const saved = safeStorage.get(this.sourceKey);
+        if (saved && saved.startsWith('input:')) {
+            this.startInput(saved.slice('input:'.length)).catch(() => {});
+        }
+    },
+
+    isSupported() {
+        return typeof window.AudioContext === 'function' || typeof window.webkitAudioContext === 'function';
+    },
+
+    // ---------------- Per-state settings ----------------
+
+    loadSettings() {
+        try {
+            return JSON.parse(safeStorage.get(this.settingsKey)) || {};
+        } catch (error) {
+            console.warn('Stored audio settings are not valid JSON', error);
+            return {};
+        }
+    },
+
+    // Catalogue values, overridden by what was set in the panel
+    getStateSettings(state) {
+        const settings = {
+            ...this.defaults,
+            ...StateCatalogue.get(state)?.audio,
+            ...this.settings[state]
+        };
+        return {
+            sensitivity: Math.min(4, Math.max(0, settings.sensitivity)),
+            smoothing: Math.min(0.99, Math.max(0, settings.smoothing))
+        };
+    },
+
+    setStateSetting(state, name, value) {
+        this.settings[state] = { ...this.settings[state], [name]: value };
+        safeStorage.set(this.settingsKey, JSON.stringify(this.settings));
+    },
+
+    // ---------------- Sources ----------------
+
+    ensureContext() {
+        if (!this.context) {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            this.context = new Context();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0; // smoothing is per state, see update()
+            this.timeData = new Float32Array(this.analyser.fftSize);
+            this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+        }
+        // Created or resumed from a click, so autoplay rules let it run
+        this.context.resume();
+        return this.context;
+    },
+
+    // deviceId '' = the default input
+    async startInput(deviceId = '') {
+        if (!this.isSupported() || !navigator.mediaDevices?.getUserMedia) {
+            throw new Error('Audio input is not available in this browser');
+        }
+        this.stop();
+        const context = this.ensureContext();
+
+        // Raw signal: the browser's voice processing would flatten the dynamics
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+
+        this.stream = stream;
+        this.source = context.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+        safeStorage.set(this.sourceKey, `input:${deviceId}`);
+        this.start();
+        this.refreshDevices();
+    },
+
+    startFile(file) {
+        if (!this.isSupported()) {
+            throw new Error('Web Audio is not available in this browser');
+        }
+        this.stop();
+        const context = this.ensureContext();
+
+        const audio = new Audio(URL.createObjectURL(file));
+        audio.loop = true;
+        this.audioElement = audio;
+        this.source = context.createMediaElementSource(audio);
+        // Files are also heard, inputs are not (no feedback loop)
+        this.source.connect(this.analyser);
+        this.source.connect(context.destination);
+        audio.play().catch((error) => {
+            // E.g. a format the browser cannot decode - unless another source took over meanwhile
+            if (this.audioElement !== audio) return;
+            console.error('Audio file failed:', error);
+            this.stop();
+            this.showStatus(`Cannot play the file: ${error.message}`);
+        });
+        safeStorage.set(this.sourceKey, 'file');
+        this.start();
+    },
+
+    start() {
+        clearInterval(this.timer);
+        this.levels = { loudness: 0, bass: 0, mid: 0, treble: 0 };
+        this.timer = setInterval(() => this.update(), this.updateInterval);
+        this.refreshPanel();
+    },
+
+    stop({ forget = false } = {}) {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.audioElement) {
+            this.audioElement.pause();
+            URL.revokeObjectURL(this.audioElement.src);
+            this.audioElement = null;
+        }
+        if (forget) {
+            safeStorage.set(this.sourceKey, '');
+        }
+
+        // Hand everything back to the state configs
+        ExhibitionState.setModulation('audio', null);
+        if (typeof LEDController !== 'undefined') {
+            LEDController.setBrightness('audio', null);
+        }
+        this.lastLEDBrightness = null;
+        this.refreshPanel();
+    },
+
+    isRunning() {
+        return !!this.timer;
+    },
+
+    // ---------------- Analysis ----------------
+
+    // Average level (0-1) of the FFT bins between two frequencies
+    bandLevel([low, high]) {
+        const binWidth = this.context.sampleRate / this.analyser.fftSize;
+        const first = Math.max(1, Math.floor(low / binWidth));
+        const last = Math.min(this.frequencyData.length - 1, Math.ceil(high / binWidth));
+        let sum = 0;
+        for (let i = first; i <= last; i++) {
+            sum += this.frequencyData[i];
+        }
+        const decibels = sum / Math.max(1, last - first + 1);
+        // -90 dB (silence) .. -20 dB (loud)
+        return Math.min(1, Math.max(0, (decibels + 90) / 70));
+    },
+
+    update() {
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+
+        let sumSquares = 0;
+        for (let i = 0; i < this.timeData.length; i++) {
+            sumSquares += this.timeData[i] * this.timeData[i];
+        }
+        const rms = Math.sqrt(sumSquares / this.timeData.length);
+
+        const { sensitivity, smoothing } = this.getStateSettings(ExhibitionState.currentState);
+        const raw = {
+            loudness: Math.min(1, rms * 4 * sensitivity),
+            bass: Math.min(1, this.bandLevel(this.bands.bass) * sensitivity),
+            mid: Math.min(1, this.bandLevel(this.bands.mid) * sensitivity),
+            treble: Math.min(1, this.bandLevel(this.bands.treble) * sensitivity)
+        };
+
+        // Exponential smoothing, stronger for calmer states
+        Object.keys(raw).forEach(name => {
+            this.levels[name] = this.levels[name] * smoothing + raw[name] * (1 - smoothing);
+        });
+
+        this.applyLevels();
+        this.refreshMeters();
+    },
+
+    applyLevels() {
+        const { loudness, bass, treble } = this.levels;
+        const clamp = (name, value) => Math.min(this.bounds[name][1], Math.max(this.bounds[name][0], value));
+
+        // Silence leaves the state as it is, sound pushes it up
+        const factors = {
+            intensity: clamp('intensity', 1 + this.depth.intensity * loudness),
+            distortion: clamp('distortion', 1 + this.depth.distortion * bass),
+            speed: clamp('speed', 1 + this.depth.speed * treble)
+        };
+
+        // Local swirl every update, the displays at a lower rate
+        const now = performance.now();
+        if (now - this.lastBroadcast >= this.broadcastInterval) {
+            this.lastBroadcast = now;
+            ExhibitionState.setModulation('audio', factors);
+        } else {
+            SwirlBackground.setModulation('audio', factors);
+        }
+
+        if (typeof LEDController !== 'undefined') {
+            // The strip can't get brighter than its state color, so quiet dims it instead
+            const brightness = clamp('ledBrightness', 1 - this.depth.ledBrightness * (1 - loudness));
+            // Only resend the LED command for visible changes
+            if (this.lastLEDBrightness === null || Math.abs(brightness - this.lastLEDBrightness) >= 0.03) {
+                this.lastLEDBrightness = brightness;
+                LEDController.setBrightness('audio', brightness);
+            }
+        }
+    },
+
+    // ---------------- UI ----------------
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel audio-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>Audio</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <label class="tuning-row">
+                <span>Input</span>
+                <select data-field="device"></select>
+            </label>
+            <div class="tuning-row">
+                <button type="button" data-action="start">Listen</button>
+                <button type="button" data-action="file">Play file…</button>
+                <button type="button" data-action="stop">Stop</button>
+                <input type="file" accept="audio/*" data-field="file" hidden>
+            </div>
+            <div class="tuning-row audio-status" data-field="status"></div>
+            ${['loudness', 'bass', 'mid', 'treble'].map(name => `
+                <div class="tuning-row">
+                    <span>${name[0].toUpperCase() + name.slice(1)}</span>
+                    <meter min="0" max="1" data-meter="${name}"></meter>
+                </div>
+            `).join('')}
+            <div class="tuning-section">
+                <div class="tuning-row"><span>State</span><output data-field="state"></output></div>
+                <label class="tuning-row">
+                    <span>Sensitivity</span>
+                    <input type="range" min="0" max="4" step="0.05" data-setting="sensitivity">
+                    <output data-output="sensitivity"></output>
+                </label>
+                <label class="tuning-row">
+                    <span>Smoothing</span>
+                    <input type="range" min="0" max="0.99" step="0.01" data-setting="smoothing">
+                    <output data-output="smoothing"></output>
+                </label>
+            </div>
+        `;
+
+        panel.addEventListener('click', (event) => {
+            switch (event.target.dataset?.action) {
+                case 'close':
+                    this.togglePanel(false);
+                    break;
+                case 'start':
+                    this.startInput(panel.querySelector('[data-field="device"]').value).catch(error => {
+                        console.error('Audio input failed:', error);
+                        this.showStatus(`Cannot listen: ${error.message}`);
+                    });
+                    break;
+                case 'file':
+                    panel.querySelector('[data-field="file"]').click();
+                    break;
+                case 'stop':
+                    this.stop({ forget: true });
+                    break;
+            }
+        });
+
+        panel.querySelector('[data-field="file"]').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                try {
+                    this.startFile(file);
+                } catch (error) {
+                    this.showStatus(error.message);
+                }
+            }
+            event.target.value = '';
+        });
+
+        panel.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.setStateSetting(ExhibitionState.currentState, input.dataset.setting, parseFloat(input.value));
+                this.refreshPanel();
+            });
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    },
+
+    togglePanel(force) {
+        if (!this.panel) return;
+        const open = typeof force === 'boolean' ? force : this.panel.hidden;
+        this.panel.hidden = !open;
+        if (open) {
+            this.refreshDevices();
+            this.refreshPanel();
+        }
+    },
+
+    // Device names are only visible after the first permission grant
+    async refreshDevices() {
+        if (!this.panel || this.panel.hidden || !navigator.mediaDevices?.enumerateDevices) return;
+        const select = this.panel.querySelector('[data-field="device"]');
+        const selected = select.value || (safeStorage.get(this.sourceKey) || '').replace(/^input:/, '');
+        const devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'audioinput');
+
+        select.innerHTML = '';
+        select.add(new Option('Default input', ''));
+        devices.forEach((device, index) => {
+            if (device.deviceId && device.deviceId !== 'default') {
+                select.add(new Option(device.label || `Input ${index + 1}`, device.deviceId));
+            }
+        });
+        select.value = [...select.options].some(option => option.value === selected) ? selected : '';
+    },
+
+    showStatus(text) {
+        if (this.panel) {
+            this.panel.querySelector('[data-field="status"]').textContent = text;
+        }
+    },
+
+    refreshPanel() {
+        if (!this.panel || this.panel.hidden) return;
+
+        if (!this.isSupported()) {
+            this.showStatus('Web Audio is not available in this browser.');
+        } else if (this.audioElement) {
+            this.showStatus('Playing file');
+        } else if (this.stream) {
+            this.showStatus(`Listening: ${this.stream.getAudioTracks()[0]?.label || 'input'}`);
+        } else {
+            this.showStatus('Off');
+        }
+
+        const state = ExhibitionState.currentState;
+        const settings = this.getStateSettings(state);
+        this.panel.querySelector('[data-field="state"]').textContent = StateCatalogue.get(state)?.label || state || '-';
+        ['sensitivity', 'smoothing'].forEach(name => {
+            this.panel.querySelector(`[data-setting="${name}"]`).value = settings[name];
+            this.panel.querySelector(`[data-output="${name}"]`).textContent = settings[name].toFixed(2);
+        });
+        this.refreshMeters();
+    },
+
+    refreshMeters() {
+        if (!this.panel || this.panel.hidden) return;
+        Object.entries(this.levels).forEach(([name, value]) => {
+            this.panel.querySelector(`[data-meter="${name}"]`).value = this.isRunning() ? value : 0;
+        });
+    }
+};
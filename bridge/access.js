@@ -0,0 +1,12 @@
+// Who may connect to the bridges' WebSocket servers (see --host and --origin in each bridge)
+
+// verifyClient for a WebSocketServer: with origins given (from --origin), only pages served
+// from one of them get in. Only browsers send an Origin - other programs are kept out by
+// --host alone.
+const originCheck = (origins) => ({ origin, req }) => {
+    if (!origins.length || origins.includes(origin)) return true;
+    console.warn(`Refused a page from ${origin || 'no origin'} (${req.socket.remoteAddress})`);
+    return false;
+};
+
+module.exports = { originCheck };
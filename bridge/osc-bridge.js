@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+// OSC bridge: receives OSC over UDP (QLab, TouchDesigner, ...) and hands it to the
+// controller page over WebSocket, and sends the page's feedback back out as OSC.
+//
+//   cd bridge && npm install
+//   node osc-bridge.js [--udp 9000] [--port 8082] [--feedback 127.0.0.1:9001]
+//                      [--host 127.0.0.1] [--origin http://localhost:8000]
+//
+// The controller connects with index.html?osc=ws://localhost:8082. The WebSocket side only
+// accepts pages on this machine unless --host names an address to listen on (0.0.0.0 for
+// all), and --origin (comma separated) only lets pages served from those origins in. OSC
+// itself is received on every network interface.
+// --feedback takes one or more host:port pairs (comma separated) that get the
+// outgoing messages. On the WebSocket side every OSC message is one JSON text:
+//   { "address": "/exhibition/state", "args": ["alert"] }
+// Bundles are unpacked into their messages; time tags are ignored.
+
+const dgram = require('dgram');
+const { WebSocketServer } = require('ws');
+const { originCheck } = require('./access');
+
+const readOption = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const options = {
+    udpPort: parseInt(readOption('udp', '9000'), 10),
+    port: parseInt(readOption('port', '8082'), 10),
+    host: readOption('host', '127.0.0.1'),
+    origins: readOption('origin', '').split(',').map(origin => origin.trim()).filter(Boolean),
+    feedback: readOption('feedback', '127.0.0.1:9001')
+        .split(',')
+        .filter(Boolean)
+        .map(target => {
+            const [host, port] = target.trim().split(':');
+            return { host, port: parseInt(port, 10) };
+        })
+        .filter(target => target.host && target.port)
+};
+
+// ---------------- OSC 1.0 encoding ----------------
+
+const padded = (length) => Math.ceil((length + 1) / 4) * 4;
+
+const readString = (buffer, offset) => {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) throw new Error('Unterminated string');
+    return { value: buffer.toString('utf8', offset, end), offset: offset + padded(end - offset) };
+};
+
+const writeString = (value) => {
+    const text = Buffer.from(String(value), 'utf8');
+    const buffer = Buffer.alloc(padded(text.length));
+    text.copy(buffer);
+    return buffer;
+};
+
+const decodeMessage = (buffer) => {
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) throw new Error('Not an OSC message');
+    if (address.offset >= buffer.length) return { address: address.value, args: [] };
+
+    const tags = readString(buffer, address.offset);
+    if (!tags.value.startsWith(',')) throw new Error('Missing type tags');
+
+    const args = [];
+    let offset = tags.offset;
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buffer.readInt32BE(offset)); offset += 4; break;
+            // float32 -> the value that was typed (0.3, not 0.30000001192092896)
+            case 'f': args.push(parseFloat(buffer.readFloatBE(offset).toPrecision(7))); offset += 4; break;
+            case 'd': args.push(buffer.readDoubleBE(offset)); offset += 8; break;
+            case 'h': args.push(Number(buffer.readBigInt64BE(offset))); offset += 8; break;
+            case 's':
+            case 'S': {
+                const string = readString(buffer, offset);
+                args.push(string.value);
+                offset = string.offset;
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            case 'I': args.push(Infinity); break;
+            default: throw new Error(`Unsupported OSC type "${tag}"`);
+        }
+    }
+    return { address: address.value, args };
+};
+
+// A packet is a message or a bundle of packets
+const decodePacket = (buffer) => {
+    if (buffer.toString('utf8', 0, 8) !== '#bundle\0') {
+        return [decodeMessage(buffer)];
+    }
+    const messages = [];
+    let offset = 16; // "#bundle\0" + time tag
+    while (offset + 4 <= buffer.length) {
+        const size = buffer.readInt32BE(offset);
+        messages.push(...decodePacket(buffer.subarray(offset + 4, offset + 4 + size)));
+        offset += 4 + size;
+    }
+    return messages;
+};
+
+const encodeMessage = ({ address, args = [] }) => {
+    let tags = ',';
+    const parts = [];
+    args.forEach(arg => {
+        if (typeof arg === 'number') {
+            tags += 'f';
+            const part = Buffer.alloc(4);
+            part.writeFloatBE(arg);
+            parts.push(part);
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null) {
+            tags += 'N';
+        } else {
+            tags += 's';
+            parts.push(writeString(arg));
+        }
+    });
+    return Buffer.concat([writeString(address), writeString(tags), ...parts]);
+};
+
+// ---------------- Relay ----------------
+
+const clients = new Set();
+const udp = dgram.createSocket('udp4');
+
+udp.on('message', (packet, sender) => {
+    let messages;
+    try {
+        messages = decodePacket(packet);
+    } catch (error) {
+        console.warn(`Ignoring OSC packet from ${sender.address}: ${error.message}`);
+        return;
+    }
+
+    messages.forEach(message => {
+        console.log(`OSC in  ${message.address} ${message.args.join(' ')}`);
+        const text = JSON.stringify(message);
+        clients.forEach(client => client.send(text));
+    });
+});
+
+udp.on('error', (error) => {
+    console.error('UDP error:', error.message);
+});
+
+udp.bind(options.udpPort, () => {
+    console.log(`Listening for OSC on udp/${options.udpPort}`);
+});
+
+const server = new WebSocketServer({
+    host: options.host,
+    port: options.port,
+    verifyClient: originCheck(options.origins)
+});
+
+server.on('connection', (socket, request) => {
+    console.log(`Page connected from ${request.socket.remoteAddress}`);
+    clients.add(socket);
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.warn('Ignoring malformed message from page');
+            return;
+        }
+        if (typeof message?.address !== 'string' || !Array.isArray(message.args || [])) return;
+
+        const packet = encodeMessage(message);
+        console.log(`OSC out ${message.address} ${(message.args || []).join(' ')}`);
+        options.feedback.forEach(({ host, port }) => udp.send(packet, port, host));
+    });
+
+    socket.on('close', () => {
+        clients.delete(socket);
+    });
+});
+
+console.log(`OSC bridge listening on ws://${options.host}:${options.port}, feedback to ${options.feedback.map(t => `${t.host}:${t.port}`).join(', ') || 'nobody'}`);
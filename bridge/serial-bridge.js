@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// LED bridge: owns the Arduino's serial port and relays it over WebSocket,
+// so the LED controller works from any browser (and any machine on the LAN).
+//
+//   cd bridge && npm install
+//   node serial-bridge.js --serial /dev/ttyACM0 [--baud 115200] [--port 8081]
+//                         [--host 127.0.0.1] [--origin http://localhost:8000]
+//
+// Without --serial the first port that looks like an Arduino is used.
+// The bridge only accepts pages on this machine, unless --host names another address
+// to listen on (0.0.0.0 for all) - for a controller on another computer. --origin
+// (comma separated) only lets pages served from those origins in.
+// Every line from the Arduino is sent to all connected pages as one message;
+// text from a page is written to the Arduino unchanged. While the Arduino is
+// unplugged, pages are disconnected (and reconnect once it is back).
+
+const { SerialPort, ReadlineParser } = require('serialport');
+const { WebSocketServer } = require('ws');
+const { originCheck } = require('./access');
+
+const readOption = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const options = {
+    serialPath: readOption('serial', null),
+    baudRate: parseInt(readOption('baud', '115200'), 10),
+    port: parseInt(readOption('port', '8081'), 10),
+    host: readOption('host', '127.0.0.1'),
+    origins: readOption('origin', '').split(',').map(origin => origin.trim()).filter(Boolean),
+    reopenDelay: 2000 // ms between attempts to reopen the serial port
+};
+
+// Arduino boards and common USB-serial chips
+const ARDUINO_VENDOR_IDS = ['2341', '2a03', '1a86', '0403', '10c4'];
+
+let serial = null;
+const clients = new Set();
+
+const findSerialPath = async () => {
+    if (options.serialPath) return options.serialPath;
+    const ports = await SerialPort.list();
+    const match = ports.find(port => ARDUINO_VENDOR_IDS.includes((port.vendorId || '').toLowerCase()));
+    return match ? match.path : null;
+};
+
+const openSerial = async () => {
+    let path = null;
+    let port = null;
+    try {
+        path = await findSerialPath();
+        if (path) {
+            port = new SerialPort({ path, baudRate: options.baudRate, autoOpen: false });
+        }
+    } catch (error) {
+        // Listing the ports fails e.g. without access to udev; try again like for a missing Arduino
+        console.warn(`Cannot look for the Arduino: ${error.message}`);
+    }
+    if (!port) {
+        setTimeout(openSerial, options.reopenDelay);
+        return;
+    }
+
+    port.open((error) => {
+        if (error) {
+            console.warn(`Cannot open ${path}: ${error.message}`);
+            setTimeout(openSerial, options.reopenDelay);
+            return;
+        }
+
+        console.log(`Serial port ${path} open at ${options.baudRate} baud`);
+        serial = port;
+
+        const parser = port.pipe(new ReadlineParser({ delimiter: '\n' }));
+        parser.on('data', (line) => {
+            const text = `${line.trim()}\n`;
+            clients.forEach(client => client.send(text));
+        });
+    });
+
+    port.on('close', () => {
+        console.warn(`Serial port ${path} closed`);
+        serial = null;
+        // Let the pages see the loss - they reconnect with backoff
+        clients.forEach(client => client.close(1011, 'Arduino disconnected'));
+        setTimeout(openSerial, options.reopenDelay);
+    });
+
+    port.on('error', (error) => {
+        console.error('Serial error:', error.message);
+    });
+};
+
+const server = new WebSocketServer({
+    host: options.host,
+    port: options.port,
+    verifyClient: originCheck(options.origins)
+});
+
+server.on('connection', (socket, request) => {
+    if (!serial) {
+        socket.close(1013, 'Arduino not connected');
+        return;
+    }
+
+    console.log(`Page connected from ${request.socket.remoteAddress}`);
+    clients.add(socket);
+
+    socket.on('message', (data) => {
+        if (serial) {
+            serial.write(data.toString());
+        }
+    });
+
+    socket.on('close', () => {
+        clients.delete(socket);
+    });
+});
+
+console.log(`LED bridge listening on ws://${options.host}:${options.port}`);
+openSerial();
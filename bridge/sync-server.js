@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// Sync server: relays state messages between the controller and the displays
+// over the LAN, in place of the browser-local BroadcastChannel.
+//
+//   cd bridge && npm install
+//   node sync-server.js [--port 8090] [--host 127.0.0.1] [--origin http://192.168.1.10:8000]
+//
+// Pages open index.html / display.html with ?sync=ws://<this machine>:8090 (and
+// ?room=<name> when several installations share one server). The server only accepts
+// pages on this machine unless --host names an address to listen on (0.0.0.0 for all)
+// - needed as soon as the controller or a display runs on another computer. --origin
+// (comma separated) only lets pages served from those origins in. Every message from
+// a page goes to the other pages in its room. The last state, configs, display
+// layout and calm mode of each room are kept and sent to pages as they join, so a
+// display that starts (or reconnects) while the controller is away still shows the
+// right state.
+// The clock pings of the displays and the controller's answers (see sharedClock.js)
+// are relayed like any other message.
+
+const { WebSocketServer } = require('ws');
+const { originCheck } = require('./access');
+
+const readOption = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const options = {
+    port: parseInt(readOption('port', '8090'), 10),
+    host: readOption('host', '127.0.0.1'),
+    origins: readOption('origin', '').split(',').map(origin => origin.trim()).filter(Boolean),
+    pingInterval: 30000 // ms - drops pages that went away without closing (e.g. a sleeping tablet)
+};
+
+// room name -> { clients: Set, state: message | null, configs: {}, layout: message | null, calm: message | null }
+const rooms = new Map();
+
+const getRoom = (name) => {
+    if (!rooms.has(name)) {
+        rooms.set(name, { clients: new Set(), state: null, configs: {}, layout: null, calm: null });
+    }
+    return rooms.get(name);
+};
+
+const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+const join = (socket, message) => {
+    leave(socket);
+    socket.room = typeof message.room === 'string' && message.room ? message.room : 'default';
+    socket.role = message.role || 'page';
+
+    const room = getRoom(socket.room);
+    room.clients.add(socket);
+    console.log(`${socket.role} joined room "${socket.room}" from ${socket.address} (${room.clients.size} connected)`);
+
+    if (Object.keys(room.configs).length) {
+        send(socket, { type: 'state-configs', configs: room.configs });
+    }
+    if (room.layout) {
+        send(socket, room.layout);
+    }
+    if (room.calm) {
+        send(socket, room.calm);
+    }
+    if (room.state) {
+        send(socket, room.state);
+    }
+};
+
+const leave = (socket) => {
+    if (!socket.room) return;
+    const room = rooms.get(socket.room);
+    if (room) {
+        room.clients.delete(socket);
+        console.log(`${socket.role} left room "${socket.room}" (${room.clients.size} connected)`);
+    }
+    socket.room = null;
+};
+
+const relay = (socket, message) => {
+    const room = rooms.get(socket.room);
+    if (!room) return;
+
+    // Keep what a page joining later needs
+    if (message.type === 'state-change') {
+        room.state = message;
+    } else if (message.type === 'state-configs') {
+        room.configs = { ...room.configs, ...message.configs };
+    } else if (message.type === 'display-layout') {
+        room.layout = message;
+    } else if (message.type === 'calm-mode') {
+        room.calm = message;
+    }
+
+    room.clients.forEach(client => {
+        if (client !== socket) {
+            send(client, message);
+        }
+    });
+};
+
+const server = new WebSocketServer({
+    host: options.host,
+    port: options.port,
+    verifyClient: originCheck(options.origins)
+});
+
+server.on('connection', (socket, request) => {
+    socket.address = request.socket.remoteAddress;
+    socket.isAlive = true;
+
+    socket.on('pong', () => {
+        socket.isAlive = true;
+    });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.warn(`Ignoring malformed message from ${socket.address}`);
+            return;
+        }
+
+        if (message?.type === 'join') {
+            join(socket, message);
+        } else if (socket.room && message?.type) {
+            relay(socket, message);
+        }
+    });
+
+    socket.on('close', () => {
+        leave(socket);
+    });
+});
+
+setInterval(() => {
+    server.clients.forEach(socket => {
+        if (!socket.isAlive) {
+            socket.terminate();
+            return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+    });
+}, options.pingInterval);
+
+console.log(`Sync server listening on ws://${options.host}:${options.port}`);
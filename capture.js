@@ -0,0 +1,489 @@
+// Capture of the swirl as stills, videos and loops (controller only)
+// Shift+C (or ?capture=1) opens the panel. Stills and videos are rendered off screen by
+// SwirlBackground.captureFrame at any size, with u_time stepped by exactly 1/fps per frame
+// instead of following the screen: the same settings always give the same frames. Videos
+// are encoded with WebCodecs, each frame stamped with index/fps, so they render as fast as
+// the GPU and encoder allow (webmWriter.js packs the frames). Browsers without VideoEncoder
+// fall back to MediaRecorder, which stamps frames with the wall clock and so takes at least
+// as long as the video plays. Live modulations (MIDI faders, audio) are left out.
+//   From - render the transition from another state into the chosen one
+//   Loop - the last seconds crossfade into the first frame, so the video repeats seamlessly
+// "Record screen" records the visible canvas in real time instead, modulations included.
+
+const SwirlCapture = {
+    mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+    codecs: [               // VideoEncoder codec and its WebM codec id, in order of preference
+        { codec: 'vp09.00.51.08', webm: 'V_VP9' },
+        { codec: 'vp8', webm: 'V_VP8' }
+    ],
+    bitsPerPixel: 0.1,      // video bitrate = width * height * fps * bitsPerPixel
+    keyFrameInterval: 2,    // seconds
+    maxEncodeQueue: 2,      // frames waiting in the encoder before rendering pauses
+    maxSize: 16384,         // pixels per side
+    panel: null,
+    job: null,              // { cancelled } of the video being rendered
+    busy: false,
+    screenRecorder: null,
+
+    defaults: {
+        state: null,
+        from: '',
+        width: 1920,
+        height: 1080,
+        fps: 30,
+        duration: 10,       // seconds
+        start: 0,           // u_time of the first frame
+        loop: false,
+        crossfade: 2        // seconds
+    },
+
+    init() {
+        this.buildPanel();
+
+        onShortcut('C', () => this.togglePanel());
+
+        if (new URLSearchParams(window.location.search).get('capture') === '1') {
+            this.togglePanel(true);
+        }
+    },
+
+    isSupported() {
+        return !!SwirlBackground.getCaptureContext();
+    },
+
+    getMimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return this.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    },
+
+    canEncode() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    },
+
+    // The first codec the encoder takes at this size, or null
+    async getEncoderConfig(settings) {
+        if (!this.canEncode()) return null;
+        for (const { codec, webm } of this.codecs) {
+            const config = {
+                codec,
+                width: settings.width,
+                height: settings.height,
+                framerate: settings.fps,
+                bitrate: this.bitrate(settings)
+            };
+            try {
+                if ((await VideoEncoder.isConfigSupported(config)).supported) {
+                    return { config, webm };
+                }
+            } catch (error) {
+                // Invalid for this codec (e.g. too large); try the next one
+            }
+        }
+        return null;
+    },
+
+    bitrate(settings) {
+        return Math.round(settings.width * settings.height * settings.fps * this.bitsPerPixel);
+    },
+
+    // ---------------- Rendering ----------------
+
+    // The swirl config `elapsed` seconds into the capture. Loops show one state only - a
+    // transition cannot lead back into its own start.
+    configAt(settings, elapsed) {
+        const target = stateConfigs[settings.state];
+        if (settings.loop || !settings.from || !stateConfigs[settings.from]) return target;
+        return SwirlBackground.interpolateConfig(
+            stateConfigs[settings.from], target, Transitions.resolve(settings.from, settings.state), elapsed);
+    },
+
+    renderAt(settings, elapsed) {
+        return SwirlBackground.captureFrame(
+            this.configAt(settings, elapsed), settings.start + elapsed, settings.width, settings.height);
+    },
+
+    // Frame `index` as a 2D canvas. For loops the frames from `duration - crossfade` on are
+    // blended with the frames before the start, so the last frame leads into the first.
+    renderFrame(settings, index) {
+        const elapsed = index / settings.fps;
+        const frame = this.renderAt(settings, elapsed);
+        if (!settings.loop) return frame;
+
+        const fade = Math.min(settings.crossfade, settings.duration / 2);
+        const weight = fade > 0 ? SwirlFallback.smoothstep(settings.duration - fade, settings.duration, elapsed) : 0;
+        if (weight > 0) {
+            const ctx = frame.getContext('2d');
+            ctx.globalAlpha = weight;
+            ctx.drawImage(this.renderAt(settings, elapsed - settings.duration), 0, 0);
+            ctx.globalAlpha = 1;
+        }
+        return frame;
+    },
+
+    async exportStill(settings) {
+        const frame = this.renderFrame(settings, 0);
+        const blob = await new Promise(resolve => frame.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            throw new Error('The browser could not encode the image');
+        }
+        downloadBlob(blob, `${this.fileName(settings)}.png`);
+    },
+
+    // onProgress(done, total, realTime) - realTime when the recorder fallback is in use.
+    // Resolves to false when cancelled.
+    async exportVideo(settings, onProgress) {
+        const encoding = await this.getEncoderConfig(settings);
+        return encoding
+            ? this.encodeVideo(settings, encoding, onProgress)
+            : this.recordVideo(settings, onProgress);
+    },
+
+    // Each frame goes to the encoder with its own timestamp, so the video plays at `fps`
+    // however long the frames took to render. Rendering pauses while the encoder is behind.
+    async encodeVideo(settings, { config, webm }, onProgress) {
+        const writer = WebMWriter.create({ codec: webm, width: settings.width, height: settings.height, fps: settings.fps });
+        let failure = null;
+        const encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                writer.addFrame(data, chunk.timestamp, chunk.type === 'key');
+            },
+            error: (error) => {
+                failure = error;
+            }
+        });
+        encoder.configure(config);
+
+        const job = { cancelled: false };
+        this.job = job;
+        const frameCount = Math.max(1, Math.round(settings.duration * settings.fps));
+        const frameDuration = 1000000 / settings.fps; // µs
+        const keyFrameEvery = Math.max(1, Math.round(settings.fps * this.keyFrameInterval));
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        // The screen's swirl would only compete for the GPU
+        SwirlBackground.stop();
+        try {
+            for (let index = 0; index < frameCount && !job.cancelled && !failure; index++) {
+                const frame = new VideoFrame(this.renderFrame(settings, index), {
+                    timestamp: Math.round(index * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(frame, { keyFrame: index % keyFrameEvery === 0 });
+                frame.close();
+                onProgress?.(index + 1, frameCount, false);
+                // Yield so the progress shows, and until the encoder has caught up
+                do {
+                    await wait(0);
+                } while (encoder.encodeQueueSize > this.maxEncodeQueue && !failure);
+            }
+            if (!job.cancelled && !failure) {
+                await encoder.flush();
+            }
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+            this.job = null;
+            SwirlBackground.start();
+        }
+
+        if (failure) throw failure;
+        if (!job.cancelled) {
+            downloadBlob(writer.finish(), `${this.fileName(settings)}.webm`);
+        }
+        return !job.cancelled;
+    },
+
+    // Fallback without WebCodecs: frames are drawn one by one onto a canvas stream with
+    // requestFrame(). The recorder only runs while a frame is on show, for 1/fps each, so the
+    // video plays at `fps` however long each frame took to render - and never renders faster
+    // than real time.
+    async recordVideo(settings, onProgress) {
+        const mimeType = this.getMimeType();
+        if (!mimeType) {
+            throw new Error('Video recording is not available in this browser');
+        }
+
+        const output = document.createElement('canvas');
+        output.width = settings.width;
+        output.height = settings.height;
+        const ctx = output.getContext('2d');
+        const stream = output.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: this.bitrate(settings)
+        });
+
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size) chunks.push(event.data);
+        };
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+        });
+
+        const job = { cancelled: false };
+        this.job = job;
+        const frameCount = Math.max(1, Math.round(settings.duration * settings.fps));
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        // The screen's swirl would only compete for the GPU
+        SwirlBackground.stop();
+        try {
+            recorder.start();
+            recorder.pause();
+            for (let index = 0; index < frameCount && !job.cancelled; index++) {
+                ctx.drawImage(this.renderFrame(settings, index), 0, 0);
+                recorder.resume();
+                track.requestFrame();
+                await wait(1000 / settings.fps);
+                recorder.pause();
+                onProgress?.(index + 1, frameCount, true);
+            }
+            recorder.resume();
+            recorder.stop();
+            await stopped;
+        } finally {
+            track.stop();
+            this.job = null;
+            SwirlBackground.start();
+        }
+
+        if (!job.cancelled) {
+            downloadBlob(new Blob(chunks, { type: recorder.mimeType || mimeType }), `${this.fileName(settings)}.webm`);
+        }
+        return !job.cancelled;
+    },
+
+    cancel() {
+        if (this.job) {
+            this.job.cancelled = true;
+        }
+    },
+
+    // Real-time recording of what the screen shows, fallback renderers included
+    startScreenRecording(fps = 30) {
+        const mimeType = this.getMimeType();
+        if (!mimeType) {
+            throw new Error('Video recording is not available in this browser');
+        }
+        const canvas = SwirlBackground.fallback?.canvas || SwirlBackground.canvas;
+        const stream = canvas.captureStream(fps);
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size) chunks.push(event.data);
+        };
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(new Blob(chunks, { type: recorder.mimeType || mimeType }), `swirl-screen-${stamp}.webm`);
+        };
+        recorder.start(1000);
+        this.screenRecorder = recorder;
+    },
+
+    stopScreenRecording() {
+        if (this.screenRecorder) {
+            this.screenRecorder.stop();
+            this.screenRecorder = null;
+        }
+    },
+
+    fileName(settings) {
+        const name = settings.from ? `${settings.from}-to-${settings.state}` : settings.state;
+        return `swirl-${name}-${settings.width}x${settings.height}${settings.loop ? '-loop' : ''}`;
+    },
+
+    // ---------------- UI ----------------
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel capture-panel';
+        panel.hidden = true;
+        const number = (field, label, min, max, step) => `
+            <label class="tuning-row">
+                <span>${label}</span>
+                <input type="number" min="${min}" max="${max}" step="${step}" data-field="${field}" value="${this.defaults[field]}">
+            </label>
+        `;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>Capture</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <label class="tuning-row">
+                <span>State</span>
+                <select data-field="state"></select>
+            </label>
+            <label class="tuning-row">
+                <span>From</span>
+                <select data-field="from"></select>
+            </label>
+            <div class="tuning-row">
+                <span>Size</span>
+                <input type="number" min="16" max="${this.maxSize}" step="1" data-field="width" value="${this.defaults.width}">
+                ×
+                <input type="number" min="16" max="${this.maxSize}" step="1" data-field="height" value="${this.defaults.height}">
+            </div>
+            ${number('start', 'Start time', 0, 100000, 0.1)}
+            <div class="tuning-row">
+                <button type="button" data-action="still">Still (PNG)</button>
+            </div>
+            <div class="tuning-section">
+                ${number('fps', 'Frame rate', 1, 120, 1)}
+                ${number('duration', 'Duration (s)', 0.1, 3600, 0.1)}
+                <label class="tuning-row">
+                    <span>Loop</span>
+                    <input type="checkbox" data-field="loop">
+                </label>
+                ${number('crossfade', 'Crossfade (s)', 0, 60, 0.1)}
+                <div class="tuning-row">
+                    <button type="button" data-action="video">Render video</button>
+                    <button type="button" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+            <div class="tuning-section">
+                <div class="tuning-row">
+                    <button type="button" data-action="screen">Record screen</button>
+                </div>
+            </div>
+            <div class="tuning-row capture-status" data-field="status"></div>
+        `;
+
+        panel.addEventListener('click', (event) => {
+            switch (event.target.dataset?.action) {
+                case 'close':
+                    this.togglePanel(false);
+                    break;
+                case 'still':
+                    this.run(() => this.exportStill(this.readSettings()), 'Still saved');
+                    break;
+                case 'video': {
+                    const settings = this.readSettings();
+                    this.run(async () => {
+                        const finished = await this.exportVideo(settings, (done, total, realTime) => {
+                            this.showStatus(`Rendering frame ${done} / ${total}${realTime ? ` (at least ${settings.duration} s)` : ''}`);
+                        });
+                        if (!finished) throw new Error('Cancelled');
+                    }, 'Video saved');
+                    break;
+                }
+                case 'cancel':
+                    this.cancel();
+                    break;
+                case 'screen':
+                    if (this.screenRecorder) {
+                        this.stopScreenRecording();
+                        this.refreshPanel();
+                    } else {
+                        try {
+                            this.startScreenRecording(this.readSettings().fps);
+                            this.refreshPanel();
+                        } catch (error) {
+                            this.showStatus(error.message);
+                        }
+                    }
+                    break;
+            }
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    },
+
+    // One export at a time; the buttons are disabled while it runs
+    async run(task, doneText) {
+        if (this.job || this.busy) return;
+        this.busy = true;
+        this.refreshPanel();
+        try {
+            await task();
+            this.showStatus(doneText);
+        } catch (error) {
+            console.error('Capture failed:', error);
+            this.showStatus(`Capture failed: ${error.message}`);
+        } finally {
+            this.busy = false;
+            this.refreshPanel();
+        }
+    },
+
+    readSettings() {
+        const field = (name) => this.panel.querySelector(`[data-field="${name}"]`);
+        const number = (name, min, max) => {
+            const value = parseFloat(field(name).value);
+            return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : this.defaults[name];
+        };
+        return {
+            state: field('state').value,
+            from: field('from').value,
+            width: Math.round(number('width', 16, this.maxSize)),
+            height: Math.round(number('height', 16, this.maxSize)),
+            fps: number('fps', 1, 120),
+            duration: number('duration', 0.1, 3600),
+            start: number('start', 0, 100000),
+            loop: field('loop').checked,
+            crossfade: number('crossfade', 0, 60)
+        };
+    },
+
+    togglePanel(force) {
+        if (!this.panel) return;
+        const open = typeof force === 'boolean' ? force : this.panel.hidden;
+        this.panel.hidden = !open;
+        if (open) {
+            this.fillStates();
+            this.refreshPanel();
+        }
+    },
+
+    fillStates() {
+        const stateSelect = this.panel.querySelector('[data-field="state"]');
+        const fromSelect = this.panel.querySelector('[data-field="from"]');
+        const state = stateSelect.value || ExhibitionState.currentState;
+        const from = fromSelect.value;
+
+        stateSelect.innerHTML = '';
+        fromSelect.innerHTML = '';
+        fromSelect.add(new Option('- (no transition)', ''));
+        StateCatalogue.ids().forEach(id => {
+            const label = StateCatalogue.get(id)?.label || id;
+            stateSelect.add(new Option(label, id));
+            fromSelect.add(new Option(label, id));
+        });
+        stateSelect.value = StateCatalogue.has(state) ? state : StateCatalogue.ids()[0];
+        fromSelect.value = StateCatalogue.has(from) ? from : '';
+    },
+
+    showStatus(text) {
+        if (this.panel) {
+            this.panel.querySelector('[data-field="status"]').textContent = text;
+        }
+    },
+
+    refreshPanel() {
+        if (!this.panel || this.panel.hidden) return;
+
+        const supported = this.isSupported();
+        const busy = !!this.job || this.busy;
+        const canRecord = !!this.getMimeType();
+        const canExport = canRecord || this.canEncode();
+        const button = (action) => this.panel.querySelector(`[data-action="${action}"]`);
+        button('still').disabled = !supported || busy;
+        button('video').disabled = !supported || busy || !canExport;
+        button('cancel').disabled = !this.job;
+        button('screen').disabled = !canRecord;
+        button('screen').textContent = this.screenRecorder ? 'Stop recording' : 'Record screen';
+
+        if (!supported) {
+            this.showStatus('Stills and videos need WebGL; only screen recording is available.');
+        } else if (!canExport) {
+            this.showStatus('This browser cannot record WebM video; stills only.');
+        } else if (this.screenRecorder) {
+            this.showStatus('Recording the screen…');
+        }
+    }
+};
@@ -0,0 +1,162 @@
+// Display regions for video walls and projector blends
+// A page can show one rectangle of a larger virtual canvas, so the swirl continues across
+// several screens or projectors:
+//   ?canvas=3900,1080&region=1980,0,1920,1080   canvas width,height and this page's x,y,width,height
+//   ?blend=240,0,0,0                              edge blend widths left,right,top,bottom
+// Any unit works (pixels, mm) as long as all numbers use the same one. Leave gaps between
+// regions for the bezels; let projector regions overlap by their blend width.
+// Or ?display=<id> takes the region from "displayLayout" in the controller's states.json,
+// which the controller sends to the displays:
+//   "displayLayout": { "canvas": [3900, 1080],
+//                      "displays": [{ "id": "right", "rect": [1980, 0, 1920, 1080], "blend": { "left": 240 } }] }
+// Both are remembered (?region=off to forget). Regions need WebGL - the fallback renderers
+// draw the whole swirl.
+
+const DisplayRegion = {
+    blendGamma: 2.2,        // of the projectors, for an overlap as bright as the rest
+    blendSteps: 16,         // gradient stops per blended edge
+    edges: ['left', 'right', 'top', 'bottom'],
+
+    id: null,               // display id for the controller's layout
+    region: null,           // { canvas: [w, h], rect: [x, y, w, h], blend: { left, right, top, bottom } }
+    fromURL: false,         // a region from the URL wins over the controller's layout
+    overlay: null,
+    aspectWarned: false,
+
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('region') === 'off') {
+            ['displayId', 'displayCanvas', 'displayRegion', 'displayBlend'].forEach(key => safeStorage.set(key, ''));
+        } else {
+            [['display', 'displayId'], ['canvas', 'displayCanvas'], ['region', 'displayRegion'], ['blend', 'displayBlend']].forEach(([param, key]) => {
+                if (params.get(param)) {
+                    safeStorage.set(key, params.get(param));
+                }
+            });
+        }
+
+        this.id = safeStorage.get('displayId') || null;
+        const rect = this.parseNumbers(safeStorage.get('displayRegion'), 4);
+        if (rect) {
+            const region = this.validate({
+                canvas: this.parseNumbers(safeStorage.get('displayCanvas'), 2),
+                rect,
+                blend: this.parseNumbers(safeStorage.get('displayBlend'), 4)
+            });
+            if (region) {
+                this.fromURL = true;
+                this.setRegion(region);
+            }
+        }
+    },
+
+    // "1,2,3" -> [1, 2, 3], or null unless there are exactly `count` numbers
+    parseNumbers(text, count) {
+        if (!text || typeof text !== 'string') return null;
+        const numbers = text.split(',').map(Number);
+        return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+    },
+
+    // { canvas, rect, blend } with blend as [l, r, t, b] or { left, ... } -> a region, or null
+    // with a warning. A missing canvas is the rect's own size.
+    validate({ canvas, rect, blend }) {
+        const isNumbers = (value, count) => Array.isArray(value) && value.length === count && value.every(Number.isFinite);
+        if (!isNumbers(rect, 4) || rect[2] <= 0 || rect[3] <= 0) {
+            console.warn('Ignoring invalid display region:', rect);
+            return null;
+        }
+        canvas = canvas ?? [rect[0] + rect[2], rect[1] + rect[3]];
+        if (!isNumbers(canvas, 2) || canvas[0] <= 0 || canvas[1] <= 0) {
+            console.warn('Ignoring display region with an invalid canvas:', canvas);
+            return null;
+        }
+
+        const widths = Array.isArray(blend) ? blend : this.edges.map(edge => blend?.[edge] ?? 0);
+        const edges = {};
+        this.edges.forEach((edge, index) => {
+            const width = widths[index];
+            const limit = index < 2 ? rect[2] / 2 : rect[3] / 2;
+            edges[edge] = Number.isFinite(width) ? Math.min(limit, Math.max(0, width)) : 0;
+        });
+        return { canvas, rect, blend: edges };
+    },
+
+    // The layout sent by the controller; used when this page has a display id and no region of its own
+    applyLayout(layout) {
+        if (this.fromURL || !this.id || !layout) return;
+        const entry = (Array.isArray(layout.displays) ? layout.displays : []).find(display => display?.id === this.id);
+        if (!entry) {
+            console.warn(`Display "${this.id}" is not in the controller's display layout`);
+            this.setRegion(null);
+            return;
+        }
+        this.setRegion(this.validate({ canvas: layout.canvas, rect: entry.rect, blend: entry.blend }));
+    },
+
+    setRegion(region) {
+        this.region = region;
+        this.aspectWarned = false;
+        this.updateOverlay();
+        if (SwirlBackground.isReady) {
+            SwirlBackground.resize();
+        }
+    },
+
+    // Shader resolution and offset (px) for a canvas of width x height showing the region:
+    // the whole virtual canvas at this screen's scale, shifted to the region. Null for the whole swirl.
+    getView(width, height) {
+        if (!this.region) return null;
+        const { canvas, rect } = this.region;
+        const scaleX = width / rect[2];
+        const scaleY = height / rect[3];
+        // The swirl would not line up with the neighbouring screens
+        if (!this.aspectWarned && Math.abs(scaleX / scaleY - 1) > 0.02) {
+            this.aspectWarned = true;
+            console.warn(`Display region ${rect.join(',')} does not have this screen's aspect ratio, the swirl is stretched`);
+        }
+        return {
+            resolution: [canvas[0] * scaleX, canvas[1] * scaleY],
+            // gl_FragCoord counts from the bottom
+            offset: [rect[0] * scaleX, (canvas[1] - rect[1] - rect[3]) * scaleY]
+        };
+    },
+
+    // Black gradients over the blended edges. Each projector's light falls off so that the
+    // two add up to full brightness across the overlap (smoothstep in linear light, gamma encoded).
+    updateOverlay() {
+        const blend = this.region?.blend;
+        const edges = blend ? this.edges.filter(edge => blend[edge] > 0) : [];
+        if (!edges.length) {
+            this.overlay?.remove();
+            this.overlay = null;
+            return;
+        }
+
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'display-blend';
+            document.body.appendChild(this.overlay);
+        }
+
+        const stops = [];
+        for (let step = 0; step <= this.blendSteps; step++) {
+            const position = step / this.blendSteps;
+            const light = position * position * (3 - 2 * position);
+            const alpha = 1 - Math.pow(light, 1 / this.blendGamma);
+            stops.push(`rgba(0, 0, 0, ${alpha.toFixed(3)}) ${(position * 100).toFixed(1)}%`);
+        }
+        const [, , width, height] = this.region.rect;
+        // direction, position, size of each edge's gradient
+        const layers = {
+            left: ['to right', 'left', `${blend.left / width * 100}% 100%`],
+            right: ['to left', 'right', `${blend.right / width * 100}% 100%`],
+            top: ['to bottom', 'top', `100% ${blend.top / height * 100}%`],
+            bottom: ['to top', 'bottom', `100% ${blend.bottom / height * 100}%`]
+        };
+        const style = this.overlay.style;
+        style.backgroundImage = edges.map(edge => `linear-gradient(${layers[edge][0]}, ${stops.join(', ')})`).join(', ');
+        style.backgroundPosition = edges.map(edge => layers[edge][1]).join(', ');
+        style.backgroundSize = edges.map(edge => layers[edge][2]).join(', ');
+        style.backgroundRepeat = 'no-repeat';
+    }
+};
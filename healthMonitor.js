@@ -0,0 +1,347 @@
+// Health of the installation, as seen from the controller
+// Every display sends a heartbeat over the sync channel every few seconds: frame rate,
+// renderer, render size, window size and the state it shows. The controller lists them with
+// the time each was last heard from, and flags the ones that went quiet. Next to each LED
+// status badge it shows the Arduino's last reply and the error count of the link.
+// Something dropping out raises an alert at the top of the controller page: a display that
+// stopped responding, draws without WebGL or shows another state than the controller, and an
+// LED link that was lost or reported an error. Shift+H (or ?health=1) opens the dashboard.
+
+const HealthMonitor = {
+    heartbeatInterval: 5000,    // ms between a display's heartbeats
+    staleAfter: 15000,          // ms without a heartbeat before a display counts as gone
+    alertLifetime: 60000,       // ms an alert about a single error stays up
+    mismatchHeartbeats: 2,      // heartbeats in a row with another state before that is an alert
+
+    role: 'controller',
+    channel: null,
+    id: null,                   // this page's id in heartbeats, kept over reloads of the tab
+    heartbeatTimer: null,
+    viewers: new Map(),         // id -> last heartbeat, with lastSeen (ms), stale, mismatches
+    alerts: new Map(),          // key -> { message, time, transient }
+    dismissed: new Set(),       // keys of alerts closed by hand, until their cause clears
+    panel: null,
+    alertList: null,
+
+    // Before the channel is set up
+    init(role) {
+        this.role = role;
+        try {
+            this.id = sessionStorage.getItem('viewerId');
+            if (!this.id) {
+                this.id = Math.random().toString(36).slice(2, 10);
+                sessionStorage.setItem('viewerId', this.id);
+            }
+        } catch (error) {
+            this.id = Math.random().toString(36).slice(2, 10);
+        }
+
+        if (role !== 'controller') return;
+
+        if (typeof LEDController !== 'undefined') {
+            LEDController.onStatus((status) => this.handleLEDStatus(status));
+        }
+
+        this.buildPanel();
+        this.alertList = document.createElement('div');
+        this.alertList.className = 'health-alerts';
+        this.alertList.addEventListener('click', (event) => {
+            if (event.target.dataset.dismiss) {
+                this.dismiss(event.target.dataset.dismiss);
+            } else if (event.target.closest('.health-alert')) {
+                this.togglePanel(true);
+            }
+        });
+        document.body.appendChild(this.alertList);
+
+        onShortcut('H', () => this.togglePanel());
+        if (new URLSearchParams(window.location.search).get('health') === '1') {
+            this.togglePanel(true);
+        }
+        setInterval(() => this.check(), 1000);
+    },
+
+    // Send heartbeats (display) or collect them (controller)
+    attach(channel) {
+        this.channel = channel;
+        if (this.role === 'controller') {
+            channel.addEventListener('message', (event) => {
+                if (event.data?.type === 'heartbeat') {
+                    this.handleHeartbeat(event.data);
+                } else if (event.data?.type === 'viewer-leave') {
+                    this.forget(event.data.id);
+                }
+            });
+            return;
+        }
+
+        channel.addEventListener('connect', () => this.sendHeartbeat());
+        this.sendHeartbeat();
+        // A display closed on purpose is no alert
+        window.addEventListener('pagehide', () => {
+            channel.postMessage({ type: 'viewer-leave', id: this.id });
+        });
+    },
+
+    sendHeartbeat() {
+        clearTimeout(this.heartbeatTimer);
+        this.channel.postMessage({ type: 'heartbeat', id: this.id, ...this.getStatus() });
+        this.heartbeatTimer = setTimeout(() => this.sendHeartbeat(), this.heartbeatInterval);
+    },
+
+    // What this page renders
+    getStatus() {
+        const stats = QualityGovernor.getStats();
+        const canvas = SwirlBackground.canvas;
+        return {
+            display: DisplayRegion.id,
+            state: ExhibitionState.currentState,
+            renderer: SwirlBackground.isReady ? SwirlBackground.rendererType : 'off',
+            fps: SwirlBackground.isReady ? Math.round(stats.fps) : 0,
+            quality: `${stats.level + 1}/${stats.levels}`,
+            resolution: canvas ? [canvas.width, canvas.height] : null,
+            viewport: [window.innerWidth, window.innerHeight],
+            hidden: document.hidden,
+            calm: MotionSafety.isCalm()
+        };
+    },
+
+    // ---------------- Controller ----------------
+
+    getName(viewer) {
+        return viewer.display || `#${viewer.id}`;
+    },
+
+    handleHeartbeat(data) {
+        if (typeof data.id !== 'string') return;
+        const known = this.viewers.get(data.id);
+        const viewer = { ...data, lastSeen: Date.now(), stale: false, mismatches: known?.mismatches || 0 };
+        this.viewers.set(data.id, viewer);
+        const name = this.getName(viewer);
+
+        if (known?.stale) {
+            this.clear(`display:${data.id}`);
+            this.record(name, 'back');
+        }
+
+        if (data.renderer !== 'webgl') {
+            const renderer = data.renderer === 'off' ? 'no swirl at all' : `the ${data.renderer} fallback`;
+            this.raise(`renderer:${data.id}`, `Display ${name} has no WebGL and shows ${renderer}`);
+        } else {
+            this.clear(`renderer:${data.id}`);
+        }
+
+        const label = (id) => StateCatalogue.get(id)?.label || id;
+        viewer.mismatches = data.state && data.state !== ExhibitionState.currentState ? viewer.mismatches + 1 : 0;
+        if (viewer.mismatches >= this.mismatchHeartbeats) {
+            this.raise(`state:${data.id}`, `Display ${name} shows ${label(data.state)} instead of ${label(ExhibitionState.currentState)}`);
+        } else {
+            this.clear(`state:${data.id}`);
+        }
+
+        this.refresh();
+    },
+
+    forget(id) {
+        this.viewers.delete(id);
+        ['display', 'renderer', 'state'].forEach(kind => this.clear(`${kind}:${id}`));
+        this.refresh();
+    },
+
+    // Flag displays that went quiet, drop expired alerts; every second
+    check() {
+        const now = Date.now();
+        this.viewers.forEach(viewer => {
+            if (!viewer.stale && now - viewer.lastSeen > this.staleAfter) {
+                viewer.stale = true;
+                const name = this.getName(viewer);
+                this.raise(`display:${viewer.id}`, `Display ${name} stopped responding`);
+                this.record(name, 'stale');
+            }
+        });
+        this.alerts.forEach((alert, key) => {
+            if (alert.transient && now - alert.time > this.alertLifetime) {
+                this.clear(key);
+            }
+        });
+        this.refresh();
+    },
+
+    handleLEDStatus({ type, device, reason, message }) {
+        // Only worth naming when there is more than one
+        const label = LEDController.devices.length > 1 ? `LED ${LEDController.getDevice(device)?.label || device}` : 'LED';
+        if (type === 'connect' || (type === 'disconnect' && reason === 'requested')) {
+            this.clear(`led:${device}`);
+        } else if (type === 'disconnect') {
+            this.raise(`led:${device}`, `${label} link lost${message ? ` (${message})` : ''}`);
+        } else if (type === 'error') {
+            this.raise(`led-error:${device}`, `${label} error: ${message}`, { transient: true });
+        }
+        this.refresh();
+    },
+
+    // Journal entry for a display going quiet and coming back (see journal.js)
+    record(name, message) {
+        if (typeof EventJournal !== 'undefined') {
+            EventJournal.record({ type: 'display', source: name, message });
+        }
+    },
+
+    // ---------------- Alerts ----------------
+
+    // An alert per key; a transient one (single errors) is replaced by the next and expires
+    raise(key, message, { transient = false } = {}) {
+        const existing = this.alerts.get(key);
+        if (existing && !transient) return;
+        if (!existing) {
+            console.warn('Health alert:', message);
+        }
+        this.dismissed.delete(key);
+        this.alerts.set(key, { message, time: Date.now(), transient });
+        this.renderAlerts();
+    },
+
+    clear(key) {
+        this.dismissed.delete(key);
+        if (this.alerts.delete(key)) {
+            this.renderAlerts();
+        }
+    },
+
+    dismiss(key) {
+        this.dismissed.add(key);
+        this.renderAlerts();
+    },
+
+    renderAlerts() {
+        if (!this.alertList) return;
+        this.alertList.innerHTML = [...this.alerts]
+            .filter(([key]) => !this.dismissed.has(key))
+            .map(([key, alert]) => `
+                <div class="health-alert">
+                    <span>${this.escape(alert.message)}</span>
+                    <button type="button" data-dismiss="${this.escape(key)}" aria-label="Dismiss">×</button>
+                </div>
+            `).join('');
+    },
+
+    // ---------------- UI ----------------
+
+    escape(text) {
+        return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    },
+
+    formatAge(time) {
+        const seconds = Math.max(0, Math.round((Date.now() - time) / 1000));
+        if (seconds < 60) return `${seconds} s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        return `${Math.floor(seconds / 3600)} h ago`;
+    },
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel health-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>Health</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <ul class="tuning-warnings" data-field="alerts"></ul>
+            <div class="health-list">
+                <table>
+                    <thead><tr><th>Display</th><th>State</th><th>Renderer</th><th>FPS</th><th>Size</th><th>Last seen</th></tr></thead>
+                    <tbody data-field="viewers"></tbody>
+                </table>
+            </div>
+            <div class="tuning-row">
+                <button type="button" data-action="forget">Forget stale displays</button>
+            </div>
+            <div class="tuning-section health-list">
+                <table>
+                    <thead><tr><th>LED</th><th>Link</th><th>Last reply</th><th>Errors</th></tr></thead>
+                    <tbody data-field="devices"></tbody>
+                </table>
+            </div>
+        `;
+
+        panel.addEventListener('click', (event) => {
+            switch (event.target.dataset?.action) {
+                case 'close':
+                    this.togglePanel(false);
+                    break;
+                case 'forget':
+                    [...this.viewers.values()].filter(viewer => viewer.stale).forEach(viewer => this.forget(viewer.id));
+                    break;
+            }
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    },
+
+    togglePanel(force) {
+        if (!this.panel) return;
+        const open = typeof force === 'boolean' ? force : this.panel.hidden;
+        this.panel.hidden = !open;
+        this.refresh();
+    },
+
+    refresh() {
+        this.refreshLEDBadges();
+        if (!this.panel || this.panel.hidden) return;
+
+        const label = (id) => StateCatalogue.get(id)?.label || id || '–';
+        const rendererLabel = (type) => ({ webgl: 'WebGL', canvas: 'Canvas', gradient: 'Gradient', off: 'Off' }[type] || type);
+        const row = (viewer, name, seen) => {
+            const size = viewer.resolution ? `${viewer.resolution[0]}×${viewer.resolution[1]}` : '–';
+            const notes = [viewer.hidden && 'hidden', viewer.calm && 'calm'].filter(Boolean).join(', ');
+            const classes = [viewer.stale && 'stale', viewer.renderer !== 'webgl' && 'fallback'].filter(Boolean).join(' ');
+            return `<tr class="${classes}"><td>${this.escape(name)}</td><td>${this.escape(label(viewer.state))}</td>` +
+                `<td>${this.escape(rendererLabel(viewer.renderer))}</td>` +
+                `<td>${this.escape(viewer.fps)}${notes ? ` (${this.escape(notes)})` : ''}</td>` +
+                `<td title="Window ${this.escape(viewer.viewport?.join('×') || '–')}, quality ${this.escape(viewer.quality)}">${this.escape(size)}</td>` +
+                `<td>${this.escape(seen)}</td></tr>`;
+        };
+        const rows = [row(this.getStatus(), 'This controller', 'now')];
+        if (!this.channel) {
+            rows.push('<tr><td colspan="6">No sync channel - displays cannot report</td></tr>');
+        } else if (!this.viewers.size) {
+            rows.push('<tr><td colspan="6">No display has reported yet</td></tr>');
+        }
+        this.viewers.forEach(viewer => {
+            rows.push(row(viewer, this.getName(viewer), `${this.formatAge(viewer.lastSeen)}${viewer.stale ? ' · stale' : ''}`));
+        });
+        this.panel.querySelector('[data-field="viewers"]').innerHTML = rows.join('');
+
+        const devices = typeof LEDController !== 'undefined' ? LEDController.devices : [];
+        this.panel.querySelector('[data-field="devices"]').innerHTML = devices.map(device => {
+            const link = device.isConnected ? 'Connected' : device.isReconnecting ? 'Reconnecting' : 'Disconnected';
+            const reply = device.lastReply ? `${this.formatAge(device.lastReply.time)}: ${device.lastReply.line}` : '–';
+            return `<tr class="${device.isReconnecting ? 'stale' : ''}"><td>${this.escape(device.label)}</td><td>${link}</td>` +
+                `<td>${this.escape(reply)}</td><td>${device.errorCount}</td></tr>`;
+        }).join('') || '<tr><td colspan="4">No LED devices</td></tr>';
+
+        this.panel.querySelector('[data-field="alerts"]').innerHTML = [...this.alerts.values()]
+            .map(alert => `<li>${this.escape(alert.message)}</li>`).join('');
+    },
+
+    // Last reply and error count next to each LED status badge
+    refreshLEDBadges() {
+        if (typeof LEDController === 'undefined') return;
+        LEDController.devices.forEach(device => {
+            const element = device.elements.health;
+            if (!element) return;
+            const parts = [];
+            if (device.isConnected) {
+                parts.push(device.lastReply ? `Reply ${this.formatAge(device.lastReply.time)}` : 'No reply yet');
+            }
+            if (device.errorCount) {
+                parts.push(`${device.errorCount} error${device.errorCount === 1 ? '' : 's'}`);
+            }
+            element.textContent = parts.join(' · ');
+            element.title = device.lastReply ? `Last reply: ${device.lastReply.line}` : '';
+            element.classList.toggle('warning', this.alerts.has(`led:${device.id}`) || this.alerts.has(`led-error:${device.id}`));
+        });
+    }
+};
@@ -0,0 +1,399 @@
+// Event journal (controller only)
+// Records every state change (with the previous state and what triggered it), the idle
+// stages, displays going quiet and coming back (see healthMonitor.js) and the LED links'
+// connects, disconnects and errors in IndexedDB, so daily use can be reported and
+// overnight incidents traced. Entries older than maxAgeDays, and the oldest beyond
+// maxEntries, are removed. Shift+J (or ?journal=1) opens the journal with a summary per
+// period and CSV / JSON export.
+// Entries: { id, time (ms since 1970), type, state, previous, source, device, transport, message }
+//   type: 'state', 'idle' (message: stage, or 'awake'), 'display' (source: display, message: 'stale'
+//   or 'back'), 'led-connect', 'led-disconnect', 'led-error'
+
+const EventJournal = {
+    dbName: 'exhibition-journal',
+    storeName: 'events',
+    maxAgeDays: 90,
+    maxEntries: 100000,
+    pruneInterval: 3600000,  // ms
+    listLimit: 200,          // rows shown in the panel; exports have everything
+    db: null,
+    ready: null,             // promise of the opened database, resolves to null without IndexedDB
+    memory: [],              // fallback store without IndexedDB (private windows), lost on reload
+    nextMemoryId: 1,
+    panel: null,
+
+    // Periods in the panel: start and optional end (ms), computed when shown
+    ranges: {
+        today: { label: 'Today', start: () => new Date().setHours(0, 0, 0, 0) },
+        yesterday: { label: 'Yesterday', start: () => new Date().setHours(0, 0, 0, 0) - 86400000, end: () => new Date().setHours(0, 0, 0, 0) },
+        day: { label: 'Last 24 hours', start: () => Date.now() - 86400000 },
+        week: { label: 'Last 7 days', start: () => Date.now() - 7 * 86400000 },
+        all: { label: 'Everything', start: () => 0 }
+    },
+
+    // Before the first state is restored and the LED link opened, so those are recorded too
+    init() {
+        this.ready = this.open().catch(error => {
+            console.warn('Event journal not stored (IndexedDB unavailable), keeping it in memory:', error.message);
+            return null;
+        });
+        this.ready.then(() => this.prune());
+        setInterval(() => this.prune(), this.pruneInterval);
+
+        ExhibitionState.onChange((state, { source, previous }) => {
+            this.record({ type: 'state', state, previous, source });
+        });
+        InactivityWatcher.onStage((stage, { source }) => {
+            this.record({ type: 'idle', source, message: stage || 'awake' });
+        });
+        if (typeof LEDController !== 'undefined') {
+            LEDController.onStatus(({ type, device, transport, reason, reconnect, message }) => {
+                const details = type === 'disconnect' ? [reason, message] : [reconnect && 'reconnected', message];
+                this.record({ type: `led-${type}`, device, transport, message: details.filter(Boolean).join(': ') });
+            });
+        }
+
+        this.buildPanel();
+        onShortcut('J', () => this.togglePanel());
+        if (new URLSearchParams(window.location.search).get('journal') === '1') {
+            this.togglePanel(true);
+        }
+    },
+
+    // ---------------- Storage ----------------
+
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('no IndexedDB'));
+                return;
+            }
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('time', 'time');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // IDBRequest / IDBTransaction -> promise
+    done(request) {
+        return new Promise((resolve, reject) => {
+            if (request instanceof IDBTransaction) {
+                request.oncomplete = () => resolve();
+                request.onerror = () => reject(request.error);
+            } else {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }
+        });
+    },
+
+    async record(fields) {
+        const entry = {
+            time: Date.now(),
+            type: fields.type,
+            state: fields.state ?? null,
+            previous: fields.previous ?? null,
+            source: fields.source ?? null,
+            device: fields.device ?? null,
+            transport: fields.transport ?? null,
+            message: fields.message || ''
+        };
+
+        const db = await this.ready;
+        try {
+            if (db) {
+                const transaction = db.transaction(this.storeName, 'readwrite');
+                transaction.objectStore(this.storeName).add(entry);
+                await this.done(transaction);
+            } else {
+                this.memory.push({ id: this.nextMemoryId++, ...entry });
+            }
+        } catch (error) {
+            console.error('Event journal write failed:', error);
+        }
+        this.refreshPanel();
+    },
+
+    // Entries from start up to (not including) end, oldest first
+    async query(start = 0, end = Infinity) {
+        const db = await this.ready;
+        if (!db) {
+            return this.memory.filter(entry => entry.time >= start && entry.time < end);
+        }
+        const range = Number.isFinite(end) ? IDBKeyRange.bound(start, end, false, true) : IDBKeyRange.lowerBound(start);
+        const index = db.transaction(this.storeName).objectStore(this.storeName).index('time');
+        return this.done(index.getAll(range));
+    },
+
+    // Retention: age first, then the oldest beyond maxEntries
+    async prune() {
+        const cutoff = Date.now() - this.maxAgeDays * 86400000;
+        const db = await this.ready;
+        if (!db) {
+            this.memory = this.memory.filter(entry => entry.time >= cutoff).slice(-this.maxEntries);
+            return;
+        }
+        try {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const expired = await this.done(store.index('time').getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+            expired.forEach(id => store.delete(id));
+            const count = await this.done(store.count());
+            if (count > this.maxEntries) {
+                // Ids grow with every entry, so the oldest have the lowest keys
+                const keys = await this.done(store.getAllKeys(null, count - this.maxEntries));
+                store.delete(IDBKeyRange.upperBound(keys[keys.length - 1]));
+            }
+            await this.done(transaction);
+        } catch (error) {
+            console.error('Event journal cleanup failed:', error);
+        }
+    },
+
+    async clear() {
+        const db = await this.ready;
+        this.memory = [];
+        if (db) {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+            await this.done(transaction);
+        }
+    },
+
+    // ---------------- Reports ----------------
+
+    // { changes, bySource: { source: count }, byState: { state: seconds shown }, ledErrors, ledDisconnects }
+    // Time in a state counts from its entry (or the range start) to the next change or `end`.
+    // current: the state shown at `start`, if known
+    summarize(entries, start, end, current = null) {
+        const summary = { changes: 0, bySource: {}, byState: {}, ledErrors: 0, ledDisconnects: 0 };
+        let state = current;
+        let since = start;
+
+        const addTime = (until) => {
+            if (state && until > since) {
+                summary.byState[state] = (summary.byState[state] || 0) + (until - since) / 1000;
+            }
+        };
+
+        entries.forEach(entry => {
+            if (entry.type === 'state') {
+                addTime(entry.time);
+                state = entry.state;
+                since = entry.time;
+                // A restore after a reload is no change by anyone
+                if (entry.source !== 'restore') {
+                    summary.changes++;
+                    summary.bySource[entry.source] = (summary.bySource[entry.source] || 0) + 1;
+                }
+            } else if (entry.type === 'led-error') {
+                summary.ledErrors++;
+            } else if (entry.type === 'led-disconnect' && !entry.message.startsWith('requested')) {
+                summary.ledDisconnects++;
+            }
+        });
+        addTime(end);
+        return summary;
+    },
+
+    // State shown at a time: the last state entry before it. Walks the time index
+    // backwards from `time` and stops at the first state entry, so only the events
+    // since the last change are read.
+    async stateAt(time) {
+        const db = await this.ready;
+        if (!db) {
+            const entry = this.memory.findLast(entry => entry.type === 'state' && entry.time < time);
+            return entry ? entry.state : null;
+        }
+        const index = db.transaction(this.storeName).objectStore(this.storeName).index('time');
+        const request = index.openCursor(IDBKeyRange.upperBound(time, true), 'prev');
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(null);
+                } else if (cursor.value.type === 'state') {
+                    resolve(cursor.value.state);
+                } else {
+                    cursor.continue();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    columns: ['time', 'type', 'state', 'previous', 'source', 'device', 'transport', 'message'],
+
+    toCSV(entries) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = entries.map(entry => this.columns.map(column =>
+            escape(column === 'time' ? new Date(entry.time).toISOString() : entry[column])
+        ).join(','));
+        return [this.columns.join(','), ...rows].join('\n') + '\n';
+    },
+
+    async export(format, rangeName) {
+        const range = this.ranges[rangeName] || this.ranges.all;
+        const entries = await this.query(range.start(), range.end ? range.end() : Infinity);
+        const blob = format === 'csv'
+            ? new Blob([this.toCSV(entries)], { type: 'text/csv' })
+            : new Blob([JSON.stringify(entries.map(entry => ({ ...entry, time: new Date(entry.time).toISOString() })), null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `exhibition-journal-${rangeName}-${new Date().toISOString().slice(0, 10)}.${format}`);
+    },
+
+    // ---------------- UI ----------------
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel journal-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>Journal</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <label class="tuning-row">
+                <span>Period</span>
+                <select data-field="range">
+                    ${Object.entries(this.ranges).map(([name, range]) => `<option value="${name}">${range.label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="tuning-row">
+                <span>Show</span>
+                <select data-field="filter">
+                    <option value="">All events</option>
+                    <option value="state">States and idle</option>
+                    <option value="led">LED link</option>
+                </select>
+            </label>
+            <div class="journal-summary" data-field="summary"></div>
+            <div class="journal-list">
+                <table>
+                    <thead><tr><th>Time</th><th>Event</th><th>Details</th></tr></thead>
+                    <tbody data-field="entries"></tbody>
+                </table>
+            </div>
+            <div class="tuning-row">
+                <button type="button" data-action="csv">Export CSV</button>
+                <button type="button" data-action="json">Export JSON</button>
+                <button type="button" data-action="clear">Clear</button>
+            </div>
+        `;
+
+        panel.addEventListener('click', (event) => {
+            const rangeName = panel.querySelector('[data-field="range"]').value;
+            switch (event.target.dataset?.action) {
+                case 'close':
+                    this.togglePanel(false);
+                    break;
+                case 'csv':
+                case 'json':
+                    this.export(event.target.dataset.action, rangeName);
+                    break;
+                case 'clear':
+                    if (confirm('Delete the whole journal?')) {
+                        this.clear().then(() => this.refreshPanel());
+                    }
+                    break;
+            }
+        });
+        panel.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => this.refreshPanel());
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    },
+
+    togglePanel(force) {
+        if (!this.panel) return;
+        const open = typeof force === 'boolean' ? force : this.panel.hidden;
+        this.panel.hidden = !open;
+        if (open) {
+            this.refreshPanel();
+        }
+    },
+
+    describe(entry) {
+        const label = (id) => StateCatalogue.get(id)?.label || id;
+        // Only worth naming when there is more than one
+        const device = typeof LEDController !== 'undefined' && LEDController.devices.length > 1 && entry.device
+            ? LEDController.getDevice(entry.device)?.label || entry.device
+            : null;
+        switch (entry.type) {
+            case 'state':
+                return {
+                    event: label(entry.state),
+                    details: `${entry.previous ? `from ${label(entry.previous)}, ` : ''}${entry.source}`
+                };
+            case 'idle':
+                return {
+                    event: entry.message === 'awake' ? 'Awake' : `Idle: ${InactivityWatcher.labels[entry.message] || entry.message}`,
+                    details: entry.source
+                };
+            case 'display':
+                return { event: entry.message === 'stale' ? 'Display stopped responding' : 'Display back', details: entry.source };
+            case 'led-connect':
+                return { event: 'LED connected', details: [device, entry.transport, entry.message].filter(Boolean).join(', ') };
+            case 'led-disconnect':
+                return { event: 'LED disconnected', details: [device, entry.transport, entry.message].filter(Boolean).join(', ') };
+            case 'led-error':
+                return { event: 'LED error', details: [device, entry.message].filter(Boolean).join(', ') };
+            default:
+                return { event: entry.type, details: entry.message };
+        }
+    },
+
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        return hours ? `${hours} h ${minutes} min` : `${minutes} min`;
+    },
+
+    async refreshPanel() {
+        if (!this.panel || this.panel.hidden) return;
+
+        const rangeName = this.panel.querySelector('[data-field="range"]').value;
+        const filter = this.panel.querySelector('[data-field="filter"]').value;
+        const range = this.ranges[rangeName];
+        const start = range.start();
+        const end = range.end ? range.end() : Date.now();
+
+        const entries = await this.query(start, end);
+        const summary = this.summarize(entries, start, end, await this.stateAt(start));
+
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const byState = Object.entries(summary.byState)
+            .map(([state, seconds]) => `${escape(StateCatalogue.get(state)?.label || state)} ${this.formatDuration(seconds)}`)
+            .join(' · ');
+        const bySource = Object.entries(summary.bySource).map(([source, count]) => `${escape(source)} ${count}`).join(' · ');
+        this.panel.querySelector('[data-field="summary"]').innerHTML = `
+            <div>${summary.changes} state changes${bySource ? ` (${bySource})` : ''}</div>
+            <div>${byState || 'No state recorded'}</div>
+            <div>LED: ${summary.ledDisconnects} connection losses, ${summary.ledErrors} errors${this.db ? '' : ' · not stored (no IndexedDB)'}</div>
+        `;
+
+        const rows = entries
+            .filter(entry => !filter || (filter === 'state' ? ['state', 'idle'].includes(entry.type) : entry.type.startsWith('led-')))
+            .slice(-this.listLimit)
+            .reverse()
+            .map(entry => {
+                const { event, details } = this.describe(entry);
+                const time = new Date(entry.time);
+                const shown = rangeName === 'today' ? time.toLocaleTimeString() : time.toLocaleString();
+                return `<tr class="journal-${escape(entry.type)}"><td>${escape(shown)}</td><td>${escape(event)}</td><td>${escape(details)}</td></tr>`;
+            });
+        this.panel.querySelector('[data-field="entries"]').innerHTML = rows.join('') ||
+            '<tr><td colspan="3">No events</td></tr>';
+    }
+};
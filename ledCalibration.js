@@ -0,0 +1,355 @@
+// LED color calibration for RGBW strips (controller only)
+// Turns a screen color into the levels the strip is sent, per strip (zone):
+//   1. gamma - screen values are perceptual, an LED's PWM level is linear light
+//   2. white extraction - the part of the color the strip's white LED can make is moved to W,
+//      matched to that LED's color temperature
+//   3. white balance - per-channel gains that even out the strip's tint
+//   4. limits - a brightness cap, and a floor so dim colors don't go out
+// Profiles come from "calibration" on a device or zone (over its device's) in the ledLayout of
+// states.json, e.g.
+//   { "whiteTemperature": 3000, "balance": [1, 0.85, 0.7, 1], "maxBrightness": 0.6 }
+// and are overridden by what is set in the calibration panel (Shift+L or ?calibration=1),
+// which shows test swatches on a strip next to the same color on screen.
+
+const LEDCalibration = {
+    defaults: {
+        gamma: 2.2,               // 1 sends the screen values unchanged
+        whiteTemperature: 4500,   // K of the strip's white LED (SK6812 RGBW: 3000 warm, 4500 natural, 6500 cool)
+        whiteAmount: 1,           // share of the common white moved to the white LED (0 = RGB only)
+        balance: [1, 1, 1, 1],    // gains for R, G, B, W (0-1)
+        maxBrightness: 1,         // cap on every channel (0-1), e.g. for a weak power supply
+        minLevel: 13              // dimmest level (0-255) of a lit color - with the sketch's BRIGHTNESS 20,
+                                  // anything below 13 is off
+    },
+    temperatures: [2700, 3000, 4000, 4500, 5000, 6500],
+    storageKey: 'ledCalibration',
+    stored: null,           // zone id -> profile set in the panel, see getStored
+
+    // Test colors (screen RGB 0-1) in the panel; the states' own colors are added after them
+    swatches: [
+        { label: 'White', color: [1, 1, 1] },
+        { label: 'Gray 50%', color: [0.5, 0.5, 0.5] },
+        { label: 'Gray 20%', color: [0.2, 0.2, 0.2] },
+        { label: 'Gray 5%', color: [0.05, 0.05, 0.05] },
+        { label: 'Red', color: [1, 0, 0] },
+        { label: 'Green', color: [0, 1, 0] },
+        { label: 'Blue', color: [0, 0, 1] },
+        { label: 'Amber', color: [1, 0.6, 0.2] }
+    ],
+
+    panel: null,
+    selectedZone: null,
+    selectedSwatch: null,   // screen color shown on the selected zone while the panel is open
+
+    init() {
+        this.buildPanel();
+        onShortcut('L', () => this.togglePanel());
+        if (new URLSearchParams(window.location.search).get('calibration') === '1') {
+            this.togglePanel(true);
+        }
+    },
+
+    // ---------------- Profiles ----------------
+
+    getStored() {
+        if (!this.stored) {
+            try {
+                this.stored = JSON.parse(safeStorage.get(this.storageKey)) || {};
+            } catch (error) {
+                this.stored = {};
+            }
+        }
+        return this.stored;
+    },
+
+    // Profile of a zone: the defaults, its calibration from the layout (see LEDController.configure),
+    // then the panel's changes
+    getProfile(zone) {
+        return {
+            ...this.defaults,
+            ...zone?.calibration,
+            ...this.sanitize(zone ? this.getStored()[zone.id] : null)
+        };
+    },
+
+    // Only the known fields, within their ranges; invalid values are dropped with a warning
+    sanitize(profile) {
+        if (!profile || typeof profile !== 'object') return {};
+        const result = {};
+        const number = (name, min, max) => {
+            if (profile[name] === undefined) return;
+            if (Number.isFinite(profile[name]) && profile[name] >= min && profile[name] <= max) {
+                result[name] = profile[name];
+            } else {
+                console.warn(`Ignoring LED calibration ${name}:`, profile[name]);
+            }
+        };
+        number('gamma', 1, 3);
+        number('whiteTemperature', 1000, 10000);
+        number('whiteAmount', 0, 1);
+        number('maxBrightness', 0, 1);
+        number('minLevel', 0, 255);
+        if (profile.balance !== undefined) {
+            if (Array.isArray(profile.balance) && profile.balance.length === 4 &&
+                profile.balance.every(gain => Number.isFinite(gain) && gain >= 0 && gain <= 1)) {
+                result.balance = [...profile.balance];
+            } else {
+                console.warn('Ignoring LED calibration balance:', profile.balance);
+            }
+        }
+        return result;
+    },
+
+    // changes: part of a profile, or null to go back to the layout's values
+    setProfile(zone, changes) {
+        const stored = this.getStored();
+        if (changes) {
+            stored[zone.id] = { ...stored[zone.id], ...this.sanitize(changes) };
+        } else {
+            delete stored[zone.id];
+        }
+        safeStorage.set(this.storageKey, JSON.stringify(stored));
+        LEDController.refresh();
+    },
+
+    // ---------------- Colors ----------------
+
+    // Color of a white LED of this temperature, as linear RGB with its strongest channel at 1
+    // (Tanner Helland's blackbody approximation)
+    kelvinToRGB(kelvin) {
+        const t = kelvin / 100;
+        const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+        const g = t <= 66
+            ? 99.4708025861 * Math.log(t) - 161.1195681661
+            : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+        const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+        const linear = [r, g, b].map(value => Math.pow(Math.min(255, Math.max(0, value)) / 255, 2.2));
+        const peak = Math.max(...linear);
+        return linear.map(value => value / peak);
+    },
+
+    // Screen color (sRGB, each 0-1) -> { r, g, b, w } (0-255) for a strip
+    toRGBW(rgb, profile) {
+        let [r, g, b] = rgb.map(value => Math.pow(Math.min(1, Math.max(0, value)), profile.gamma));
+
+        // As much white as fits under every channel; what the white LED makes is taken off RGB
+        const white = this.kelvinToRGB(profile.whiteTemperature);
+        const w = Math.min(r / white[0], g / white[1], white[2] > 0 ? b / white[2] : Infinity) * profile.whiteAmount;
+        r -= w * white[0];
+        g -= w * white[1];
+        b -= w * white[2];
+
+        return this.limit([r, g, b, w], profile);
+    },
+
+    // LED levels (RGBW, each 0-1) -> { r, g, b, w } (0-255) after white balance and limits
+    limit(levels, profile) {
+        let values = levels.map((value, channel) => Math.max(0, value) * profile.balance[channel] * profile.maxBrightness * 255);
+
+        // Lift a dim color to the floor, keeping its hue
+        const peak = Math.max(...values);
+        if (peak > 0 && peak < profile.minLevel) {
+            values = values.map(value => value * profile.minLevel / peak);
+        }
+
+        const [r, g, b, w] = values.map(value => Math.min(255, Math.round(value)));
+        return { r, g, b, w };
+    },
+
+    // Rough on-screen look of LED levels, for previews: the white LED adds to every channel
+    previewColor({ r, g, b, w }) {
+        const channel = (value) => Math.min(255, value + w);
+        return `rgb(${channel(r)}, ${channel(g)}, ${channel(b)})`;
+    },
+
+    // ---------------- UI ----------------
+
+    // The test colors and every state's screen color
+    getSwatches() {
+        return [
+            ...this.swatches,
+            ...Object.keys(stateConfigs).map(state => ({
+                label: StateCatalogue.get(state)?.label || state,
+                color: LEDController.getScreenColor(state)
+            }))
+        ];
+    },
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel calibration-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>LED calibration</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <label class="tuning-row">
+                <span>Strip</span>
+                <select data-field="zone"></select>
+            </label>
+            <div class="calibration-swatches" data-field="swatches"></div>
+            <div class="calibration-preview" data-field="preview"></div>
+            <div class="tuning-row">
+                <span>Sent</span>
+                <span class="tuning-led-swatch" data-field="led-swatch"></span>
+                <output data-field="led-value"></output>
+            </div>
+            <div class="tuning-section">
+                <label class="tuning-row">
+                    <span>Gamma</span>
+                    <input type="range" data-profile="gamma" min="1" max="3" step="0.05">
+                    <output data-output="gamma"></output>
+                </label>
+                <label class="tuning-row">
+                    <span>White LED</span>
+                    <select data-profile="whiteTemperature">
+                        ${this.temperatures.map(kelvin => `<option value="${kelvin}">${kelvin} K</option>`).join('')}
+                    </select>
+                </label>
+                <label class="tuning-row">
+                    <span>White share</span>
+                    <input type="range" data-profile="whiteAmount" min="0" max="1" step="0.05">
+                    <output data-output="whiteAmount"></output>
+                </label>
+                ${['Red', 'Green', 'Blue', 'White'].map((label, channel) => `
+                    <label class="tuning-row">
+                        <span>${label} gain</span>
+                        <input type="range" data-balance="${channel}" min="0" max="1" step="0.01">
+                        <output data-output="balance-${channel}"></output>
+                    </label>
+                `).join('')}
+                <label class="tuning-row">
+                    <span>Max brightness</span>
+                    <input type="range" data-profile="maxBrightness" min="0.05" max="1" step="0.05">
+                    <output data-output="maxBrightness"></output>
+                </label>
+                <label class="tuning-row">
+                    <span>Min level</span>
+                    <input type="range" data-profile="minLevel" min="0" max="64" step="1">
+                    <output data-output="minLevel"></output>
+                </label>
+            </div>
+            <div class="tuning-row">
+                <button type="button" data-action="states">Show states</button>
+                <button type="button" data-action="reset">Reset strip</button>
+            </div>
+        `;
+
+        panel.querySelector('[data-field="zone"]').addEventListener('change', (event) => {
+            this.showSwatch(null);
+            this.selectedZone = event.target.value;
+            this.showSwatch(this.selectedSwatch);
+            this.refreshPanel();
+        });
+
+        panel.querySelectorAll('[data-profile]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.updateSelected({ [input.dataset.profile]: parseFloat(input.value) });
+            });
+        });
+        panel.querySelectorAll('[data-balance]').forEach(input => {
+            input.addEventListener('input', () => {
+                const balance = [...this.getProfile(LEDController.getZone(this.selectedZone)).balance];
+                balance[input.dataset.balance] = parseFloat(input.value);
+                this.updateSelected({ balance });
+            });
+        });
+
+        panel.addEventListener('click', (event) => {
+            const swatch = event.target.dataset?.swatch;
+            if (swatch !== undefined) {
+                this.showSwatch(this.getSwatches()[swatch].color);
+                this.refreshPanel();
+                return;
+            }
+            switch (event.target.dataset?.action) {
+                case 'close':
+                    this.togglePanel(false);
+                    break;
+                case 'states':
+                    this.showSwatch(null);
+                    this.refreshPanel();
+                    break;
+                case 'reset':
+                    this.setProfile(LEDController.getZone(this.selectedZone), null);
+                    this.refreshPanel();
+                    break;
+            }
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    },
+
+    // The strips show their states again once the panel is closed
+    togglePanel(force) {
+        if (!this.panel) return;
+        const open = typeof force === 'boolean' ? force : this.panel.hidden;
+        this.panel.hidden = !open;
+        if (open) {
+            if (!LEDController.getZone(this.selectedZone)) {
+                this.selectedZone = LEDController.zones[0]?.id ?? null;
+            }
+            this.refreshPanel();
+        } else {
+            this.showSwatch(null);
+        }
+    },
+
+    // color: screen RGB (0-1) to show on the selected zone, or null for its state
+    showSwatch(color) {
+        this.selectedSwatch = color;
+        if (this.selectedZone !== null) {
+            LEDController.setZoneSwatch(this.selectedZone, color);
+        }
+    },
+
+    updateSelected(changes) {
+        const zone = LEDController.getZone(this.selectedZone);
+        if (!zone) return;
+        this.setProfile(zone, changes);
+        this.refreshPanel();
+    },
+
+    refreshPanel() {
+        if (!this.panel || this.panel.hidden) return;
+
+        const zoneSelect = this.panel.querySelector('[data-field="zone"]');
+        zoneSelect.innerHTML = '';
+        LEDController.zones.forEach(zone => {
+            const device = LEDController.getDevice(zone.device);
+            const label = LEDController.devices.length > 1 && zone.label !== device.label ? `${device.label}: ${zone.label}` : zone.label;
+            zoneSelect.add(new Option(label, zone.id));
+        });
+        zoneSelect.value = this.selectedZone;
+
+        const toCSS = (color) => `rgb(${color.map(value => Math.round(value * 255)).join(', ')})`;
+        const swatches = this.getSwatches();
+        this.panel.querySelector('[data-field="swatches"]').innerHTML = swatches.map(({ label, color }, index) => `
+            <button type="button" class="calibration-swatch" data-swatch="${index}" title="${label}" style="background-color: ${toCSS(color)}"></button>
+        `).join('');
+
+        const zone = LEDController.getZone(this.selectedZone);
+        const profile = this.getProfile(zone);
+        this.panel.querySelectorAll('[data-profile]').forEach(input => {
+            input.value = profile[input.dataset.profile];
+        });
+        this.panel.querySelectorAll('[data-balance]').forEach(input => {
+            input.value = profile.balance[input.dataset.balance];
+            this.panel.querySelector(`[data-output="balance-${input.dataset.balance}"]`).textContent = profile.balance[input.dataset.balance].toFixed(2);
+        });
+        ['gamma', 'whiteAmount', 'maxBrightness'].forEach(name => {
+            this.panel.querySelector(`[data-output="${name}"]`).textContent = profile[name].toFixed(2);
+        });
+        this.panel.querySelector('[data-output="minLevel"]').textContent = profile.minLevel;
+
+        // What the strip is showing: the swatch, else the zone's state
+        const state = zone ? LEDController.getZoneState(zone) : null;
+        const screenColor = this.selectedSwatch || (state ? LEDController.getScreenColor(state) : null);
+        const sent = this.selectedSwatch ? this.toRGBW(this.selectedSwatch, profile) : state ? LEDController.getStateColor(state, zone) : null;
+        this.panel.querySelector('[data-field="preview"]').style.backgroundColor = screenColor ? toCSS(screenColor) : '';
+        this.panel.querySelector('[data-field="led-swatch"]').style.backgroundColor = sent ? this.previewColor(sent) : '';
+        this.panel.querySelector('[data-field="led-value"]').textContent = sent ? `${sent.r}, ${sent.g}, ${sent.b}, ${sent.w}` : '';
+    }
+};
@@ -1,290 +1,1202 @@
-// LED Controller for Arduino RGBW LED Strip
-// Uses Web Serial API to communicate with Arduino
+// LED Controller for Arduino RGBW LED strips
+// Talks to one or more Arduinos ("LED devices"), each through its own pluggable transport
+// (see ledTransports.js): Web Serial, a WebSocket bridge, or a simulated device.
+// A device's LEDs are split into zones - named LED ranges that show a state of their own
+// or follow the exhibition state, as picked on the controller. Devices and zones are set
+// up under "ledLayout" in states.json:
+//   "devices": [{ "id": "hall", "label": "Hall", "ledCount": 150, "transport": "serial" },
+//               { "id": "wall", "label": "Wall", "transport": "websocket", "url": "ws://10.0.0.5:8081" }]
+//   "zones": [{ "id": "entrance", "label": "Entrance", "device": "hall", "start": 0, "count": 60 },
+//             { "id": "ceiling", "label": "Ceiling", "device": "hall", "start": 60, "count": 90,
+//               "state": "follow", "path": [[0.05, 0.1], [0.95, 0.1]] }, ...]
+// Without a layout there is one device, and a device without zones is one zone over all
+// its LEDs. Such a device gets plain STATE commands, so older sketches keep working; the
+// zones of a split device are addressed with ZONE commands (see the sketch).
 
 const LEDController = {
-    port: null,
-    reader: null,
-    writer: null,
-    isConnected: false,
+    devices: [],            // see createDevice
+    // { id, label, device, index (on the device), start, count, state ('follow' or a state id),
+    //   path, calibration (see LEDCalibration.getProfile), shown (state last sent), transition,
+    //   swatch (calibration color shown instead of the state, see setZoneSwatch) }
+    zones: [],
     currentState: null,
-    transitionInterval: null,
-
-    // LED color mappings for each state (RGBW 0-255)
-    // Colors are derived from state configs, optimized for RGBW strips
-    // These are base colors - animations will vary from these
-    stateLEDColors: {
-        // Calculated from stateConfigs - will be updated dynamically
-    },
-
-    // Convert RGB (0-1) to RGBW (0-255) with NO white channel for maximum color saturation
-    rgbToRGBW(r, g, b) {
-        // Scale to 0-255
-        let r255 = Math.round(r * 255);
-        let g255 = Math.round(g * 255);
-        let b255 = Math.round(b * 255);
-
-        // Boost colors for better visibility and saturation
-        // Find the maximum value to determine scaling
-        const maxVal = Math.max(r255, g255, b255);
-        
-        // Boost dim colors more aggressively to match website appearance
-        if (maxVal > 0) {
-            // Boost factor: scale up to make colors more vibrant
-            // For very dim colors, boost more; for bright colors, boost less
-            let boostFactor = 1.0;
-            if (maxVal < 30) {
-                boostFactor = 100 / maxVal; // Strong boost for very dim
-            } else if (maxVal < 100) {
-                boostFactor = 1.5; // Moderate boost
-            } else if (maxVal < 200) {
-                boostFactor = 1.2; // Light boost
-            }
-            
-            r255 = Math.min(255, Math.round(r255 * boostFactor));
-            g255 = Math.min(255, Math.round(g255 * boostFactor));
-            b255 = Math.min(255, Math.round(b255 * boostFactor));
+    transition: null, // how the following zones fade into currentState (see Transitions.resolve)
+    maxZonesPerDevice: 4, // MAX_ZONES in the sketch
+
+    // Pixel ("flow") mode: stream the live swirl to the zones that follow the exhibition state
+    pixelMode: false,
+    ledCount: 90,       // LEDs of a device without "ledCount" in the layout
+    pixelFrameRate: 12, // frames per second - a 90 LED frame is ~800 bytes at 115200 baud
+    maxPixelsPerLine: 30, // MAX_PIXELS_PER_LINE in the sketch - longer zones take several PIXELS lines
+    // Polyline a zone is laid along, in normalized canvas coordinates (0-1, origin top-left),
+    // for zones without a "path" of their own
+    pixelPath: [[0.05, 0.5], [0.95, 0.5]],
+
+    // Framed serial protocol (see encodeFrame)
+    protocolVersion: 1,
+    ackTimeout: 400,    // ms to wait for an ACK before sending again
+    retryDelay: 150,    // ms, doubled on every retry
+    maxRetries: 4,
+    // NACK reasons caused by transmission errors - anything else would fail again
+    retryableReasons: ['checksum', 'format'],
+
+    // Automatic reconnect to the last used devices (see setupAutoReconnect)
+    reconnectBaseDelay: 1000, // ms, doubled per failed attempt
+    reconnectMaxDelay: 30000,
+
+    // Sensor events reported by the Arduinos (see handleEvent)
+    eventListeners: [],
+
+    // Link changes and errors, e.g. for the event journal (see onStatus)
+    statusListeners: [],
+
+    // Live brightness per input (MIDI fader, ...), each 0-1 - see setBrightness
+    brightnessFactors: {},
+    brightnessTimer: null,
+    brightnessRefreshDelay: 100, // ms - a moving fader would otherwise send a command per step
+
+    // Read the layout from the state catalogue, and transport and pixel mode settings from the
+    // URL (?ledTransport=websocket&ledMode=pixels&ledCount=60&ledPath=0,0.5;1,0.5 - ledTransport
+    // is for the first device), falling back to the last saved settings, and reopen the last
+    // used devices
+    init() {
+        const params = new URLSearchParams(window.location.search);
+
+        const count = parseInt(params.get('ledCount') || safeStorage.get('ledCount'), 10);
+        if (count > 0) {
+            this.ledCount = count;
         }
-        
-        // For RGBW strips, set white to 0 for maximum saturation
-        // RGB values stay as-is (no white subtraction)
-        return {
-            r: Math.min(255, r255),
-            g: Math.min(255, g255),
-            b: Math.min(255, b255),
-            w: 0  // No white channel for saturated colors
-        };
+
+        const path = this.parsePixelPath(params.get('ledPath') || safeStorage.get('ledPixelPath'));
+        if (path) {
+            this.pixelPath = path;
+        }
+
+        this.configure(StateCatalogue.ledLayout);
+        this.loadZoneStates();
+        this.devices.forEach(device => {
+            const requested = (device.index === 0 && params.get('ledTransport')) ||
+                safeStorage.get(`ledTransport${device.key}`) || device.preferredTransport;
+            device.transportType = this.pickTransportType(requested);
+        });
+        this.renderDevices();
+
+        const mode = params.get('ledMode') || safeStorage.get('ledMode');
+        this.pixelMode = mode === 'pixels';
+        this.updateModeUI();
+
+        this.devices.forEach(device => device.setupAutoReconnect());
     },
 
-    // Get LED color for a state (calculated from stateConfigs)
-    getStateColor(state) {
-        const config = stateConfigs[state];
-        if (config) {
-            // Mix primary and secondary colors for better representation
-            // Use 70% secondary (brighter) + 30% primary (darker) for depth
-            const mixFactor = 0.7;
-            const r = config.primary[0] * (1 - mixFactor) + config.secondary[0] * mixFactor;
-            const g = config.primary[1] * (1 - mixFactor) + config.secondary[1] * mixFactor;
-            const b = config.primary[2] * (1 - mixFactor) + config.secondary[2] * mixFactor;
-            
-            let rgbw = this.rgbToRGBW(r, g, b);
-            
-            // Special handling for standby - add very faint light (no white, just RGB)
-            if (state === 'standby') {
-                rgbw.r = Math.max(3, rgbw.r);
-                rgbw.g = Math.max(4, rgbw.g);
-                rgbw.b = Math.max(5, rgbw.b);
-                rgbw.w = 0; // No white for saturation
+    // Devices and zones from the "ledLayout" section of the manifest; invalid entries are
+    // dropped with a warning
+    configure(layout) {
+        layout = layout || {};
+        const isId = (id) => typeof id === 'string' && /^[a-z0-9-]+$/.test(id);
+        const isPath = (path) => Array.isArray(path) && path.length >= 2 &&
+            path.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+
+        this.devices = [];
+        const devices = Array.isArray(layout.devices) && layout.devices.length ? layout.devices : [{ id: 'main', label: 'LED' }];
+        devices.forEach((entry, index) => {
+            if (!isId(entry?.id) || this.devices.some(device => device.id === entry.id)) {
+                console.warn(`Ignoring invalid LED device #${index + 1}:`, entry);
+                return;
             }
-            
-            // Cache it
-            this.stateLEDColors[state] = rgbw;
-            return rgbw;
+            this.devices.push(this.createDevice({
+                id: entry.id,
+                label: typeof entry.label === 'string' ? entry.label : entry.id,
+                ledCount: Number.isInteger(entry.ledCount) && entry.ledCount > 0 ? entry.ledCount : this.ledCount,
+                preferredTransport: entry.transport || null,
+                url: typeof entry.url === 'string' ? entry.url : null,
+                calibration: LEDCalibration.sanitize(entry.calibration)
+            }));
+        });
+        if (!this.devices.length) {
+            this.devices.push(this.createDevice({ id: 'main', label: 'LED', ledCount: this.ledCount, calibration: {} }));
         }
-        
-        return { r: 0, g: 0, b: 0, w: 0 };
+
+        this.zones = [];
+        (Array.isArray(layout.zones) ? layout.zones : []).forEach((entry, index) => {
+            // The device may be left out when there is only one
+            const device = entry?.device === undefined && this.devices.length === 1
+                ? this.devices[0]
+                : this.devices.find(candidate => candidate.id === entry?.device);
+            const start = entry?.start ?? 0;
+            const count = entry?.count ?? (device ? device.ledCount - start : 0);
+            const path = isPath(entry?.path) ? entry.path : this.parsePixelPath(entry?.path);
+            const valid = isId(entry?.id) && !this.zones.some(zone => zone.id === entry.id) && device &&
+                Number.isInteger(start) && Number.isInteger(count) && start >= 0 && count > 0 &&
+                start + count <= device.ledCount && (entry.path === undefined || path);
+            if (!valid) {
+                console.warn(`Ignoring invalid LED zone #${index + 1}:`, entry);
+                return;
+            }
+
+            const deviceZones = this.zones.filter(zone => zone.device === device.id).length;
+            if (deviceZones >= this.maxZonesPerDevice) {
+                console.warn(`Ignoring LED zone "${entry.id}": ${device.label} already has ${this.maxZonesPerDevice} zones`);
+                return;
+            }
+
+            let state = entry.state ?? 'follow';
+            if (state !== 'follow' && !StateCatalogue.has(state)) {
+                console.warn(`LED zone "${entry.id}": unknown state "${state}", following the exhibition state`);
+                state = 'follow';
+            }
+
+            this.zones.push({
+                id: entry.id,
+                label: typeof entry.label === 'string' ? entry.label : entry.id,
+                device: device.id,
+                index: deviceZones,
+                start,
+                count,
+                state,
+                path,
+                calibration: { ...device.calibration, ...LEDCalibration.sanitize(entry.calibration) },
+                shown: null,
+                transition: null,
+                swatch: null
+            });
+        });
+
+        // A device without zones is one zone over all its LEDs
+        this.devices.forEach(device => {
+            if (!this.zones.some(zone => zone.device === device.id)) {
+                this.zones.push({
+                    id: device.id, label: device.label, device: device.id, index: 0,
+                    start: 0, count: device.ledCount, state: 'follow', path: null,
+                    calibration: device.calibration, shown: null, transition: null, swatch: null
+                });
+            }
+        });
     },
 
-    // Send command to Arduino: "STATE,R,G,B,W\n"
-    async sendCommand(state, color) {
-        if (!this.isConnected || !this.writer) {
-            return;
-        }
+    // The device with this id, or the first one
+    getDevice(id = null) {
+        return id === null ? this.devices[0] : this.devices.find(device => device.id === id) || null;
+    },
+
+    getZone(id) {
+        return this.zones.find(zone => zone.id === id) || null;
+    },
 
+    getDeviceZones(device) {
+        return this.zones.filter(zone => zone.device === device.id);
+    },
+
+    // Zone states picked on the controller, over the ones in the layout
+    loadZoneStates() {
+        let saved = {};
         try {
-            const command = `${state},${color.r},${color.g},${color.b},${color.w}\n`;
-            const encoder = new TextEncoder();
-            await this.writer.write(encoder.encode(command));
-            console.log('LED command sent:', command.trim());
+            saved = JSON.parse(safeStorage.get('ledZoneStates')) || {};
         } catch (error) {
-            console.error('Error sending LED command:', error);
-            this.handleDisconnect();
+            saved = {};
         }
+        this.zones.forEach(zone => {
+            const state = saved[zone.id];
+            if (state === 'follow' || StateCatalogue.has(state)) {
+                zone.state = state;
+            }
+        });
+    },
+
+    saveZoneStates() {
+        const states = {};
+        this.zones.forEach(zone => {
+            states[zone.id] = zone.state;
+        });
+        safeStorage.set('ledZoneStates', JSON.stringify(states));
     },
 
-    // Connect to Arduino via Web Serial API
-    async connect() {
-        if (!navigator.serial) {
-            alert('Web Serial API is not supported in this browser. Please use Chrome or Edge.');
-            return false;
+    // color: screen RGB (0-1) to show on a zone instead of its state, or null to go back at once
+    // (for the calibration panel)
+    setZoneSwatch(id, color) {
+        const zone = this.getZone(id);
+        if (!zone || (!color && !zone.swatch)) return;
+
+        zone.swatch = color;
+        if (this.pixelMode) {
+            this.startPixelStream();
+        }
+        if (this.getDevice(zone.device)?.isConnected && !this.getStreamingZones().includes(zone)) {
+            this.sendZone(zone, { instant: !color }).catch(error => this.logCommandError(error));
         }
+    },
 
-        try {
-            // Request port access
-            this.port = await navigator.serial.requestPort();
-            
-            // Open connection with baud rate 115200
-            await this.port.open({ baudRate: 115200 });
-            
-            // Set up reader and writer
-            this.reader = this.port.readable.getReader();
-            this.writer = this.port.writable.getWriter();
-            
-            this.isConnected = true;
-            this.updateConnectionUI();
-            
-            console.log('Connected to Arduino');
-            
-            // Send current state if set
-            if (this.currentState) {
-                const color = this.getStateColor(this.currentState);
-                await this.sendCommand(this.currentState, color);
-            }
-            
-            // Start reading responses (optional, for debugging)
-            this.readSerial();
-            
-            return true;
-        } catch (error) {
-            console.error('Connection error:', error);
-            if (error.name === 'NotFoundError') {
-                alert('No Arduino port selected.');
-            } else if (error.name === 'SecurityError') {
-                alert('Serial port access denied. Please grant permission.');
-            } else {
-                alert('Failed to connect: ' + error.message);
-            }
-            this.isConnected = false;
-            this.updateConnectionUI();
-            return false;
+    // The state a zone shows: its own, or the exhibition state when it follows
+    getZoneState(zone) {
+        return zone.state === 'follow' ? this.currentState : zone.state;
+    },
+
+    // state: a catalogue state id, or 'follow' for the exhibition state
+    setZoneState(id, state) {
+        const zone = this.getZone(id);
+        if (!zone || zone.state === state || (state !== 'follow' && !StateCatalogue.has(state))) return;
+
+        zone.state = state;
+        this.saveZoneStates();
+        this.updateZoneUI();
+
+        const next = this.getZoneState(zone);
+        if (next !== zone.shown) {
+            zone.transition = next ? Transitions.resolve(zone.shown, next) : null;
+            zone.shown = next;
+        }
+
+        if (this.pixelMode) {
+            // Joins or leaves the swirl stream
+            this.startPixelStream();
+        }
+        if (this.getDevice(zone.device)?.isConnected && !this.getStreamingZones().includes(zone)) {
+            this.sendZone(zone).catch(error => this.logCommandError(error));
         }
     },
 
-    // Disconnect from Arduino
-    async disconnect() {
-        try {
-            if (this.reader) {
-                await this.reader.cancel();
-                await this.reader.releaseLock();
-                this.reader = null;
-            }
-            
-            if (this.writer) {
-                await this.writer.releaseLock();
-                this.writer = null;
-            }
-            
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
-            }
-            
-            if (this.transitionInterval) {
-                clearInterval(this.transitionInterval);
-                this.transitionInterval = null;
+    // The requested transport if this browser supports it, else the first one that works here
+    pickTransportType(requested) {
+        if (LEDTransports[requested] && LEDTransports[requested].isSupported()) {
+            return requested;
+        }
+        return Object.keys(LEDTransports).find(type => LEDTransports[type].isSupported());
+    },
+
+    // For the first device's picker (see ExhibitionState.init)
+    setTransportType(type, id = null) {
+        return this.getDevice(id)?.setTransportType(type);
+    },
+
+    // "x,y;x,y;..." -> [[x, y], ...]
+    parsePixelPath(text) {
+        if (!text || typeof text !== 'string') return null;
+        const points = text.split(';')
+            .map(pair => pair.split(',').map(Number))
+            .filter(point => point.length === 2 && point.every(Number.isFinite));
+        return points.length >= 2 ? points : null;
+    },
+
+    // Default path for the zones without their own
+    setPixelPath(points) {
+        if (!Array.isArray(points) || points.length < 2) return;
+        this.pixelPath = points;
+        safeStorage.set('ledPixelPath', points.map(point => point.join(',')).join(';'));
+        if (this.pixelMode && this.devices.some(device => device.isConnected)) {
+            this.startPixelStream();
+        }
+    },
+
+    // Spread count sample points evenly (by length) along a path
+    getPixelPoints(path = this.pixelPath, count = this.ledCount) {
+        const segments = [];
+        let totalLength = 0;
+        for (let i = 1; i < path.length; i++) {
+            const length = Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]);
+            segments.push({ from: path[i - 1], to: path[i], start: totalLength, length });
+            totalLength += length;
+        }
+
+        const points = [];
+        let segmentIndex = 0;
+        for (let led = 0; led < count; led++) {
+            const distance = count > 1 ? (led / (count - 1)) * totalLength : 0;
+            while (segmentIndex < segments.length - 1 &&
+                   distance > segments[segmentIndex].start + segments[segmentIndex].length) {
+                segmentIndex++;
             }
-            
-            this.isConnected = false;
-            this.updateConnectionUI();
-            console.log('Disconnected from Arduino');
-        } catch (error) {
-            console.error('Disconnect error:', error);
+            const segment = segments[segmentIndex];
+            const t = segment.length > 0 ? (distance - segment.start) / segment.length : 0;
+            points.push([
+                segment.from[0] + (segment.to[0] - segment.from[0]) * t,
+                segment.from[1] + (segment.to[1] - segment.from[1]) * t
+            ]);
         }
+        return points;
     },
 
-    // Handle unexpected disconnect
-    handleDisconnect() {
-        this.isConnected = false;
-        this.updateConnectionUI();
-        if (this.transitionInterval) {
-            clearInterval(this.transitionInterval);
-            this.transitionInterval = null;
+    async setPixelMode(enabled) {
+        this.pixelMode = enabled;
+        safeStorage.set('ledMode', enabled ? 'pixels' : 'solid');
+        this.updateModeUI();
+
+        if (!this.devices.some(device => device.isConnected)) return;
+
+        if (enabled) {
+            this.startPixelStream();
+        } else {
+            this.stopPixelStream();
+            // Back to one solid color per zone
+            this.refresh();
         }
     },
 
-    // Read serial responses (for debugging/feedback)
-    async readSerial() {
-        if (!this.reader) return;
-        
-        try {
-            while (this.isConnected) {
-                const { value, done } = await this.reader.read();
-                if (done) break;
-                
-                const decoder = new TextDecoder();
-                const text = decoder.decode(value);
-                if (text.trim()) {
-                    console.log('Arduino:', text.trim());
+    // Pixel mode needs a running shader to sample from
+    canStreamPixels() {
+        return this.pixelMode && typeof SwirlBackground !== 'undefined' && SwirlBackground.isReady;
+    },
+
+    // Zones showing the live swirl: those following the exhibition state on a connected device,
+    // unless they show a calibration swatch
+    getStreamingZones() {
+        if (!this.canStreamPixels()) return [];
+        return this.zones.filter(zone => zone.state === 'follow' && !zone.swatch && this.getDevice(zone.device)?.isConnected);
+    },
+
+    // Sample the swirl along the path of every streaming zone, or stop when there are none.
+    // Called again whenever a device connects or drops, or a zone joins or leaves.
+    startPixelStream() {
+        if (!this.canStreamPixels()) {
+            console.warn('Swirl background not available, LED pixel mode falls back to solid colors.');
+            return;
+        }
+
+        const zones = this.getStreamingZones();
+        if (!zones.length) {
+            this.stopPixelStream();
+            return;
+        }
+
+        // One sampler for all zones; each frame is split up again per zone
+        const points = [];
+        const ranges = zones.map(zone => {
+            const from = points.length;
+            points.push(...this.getPixelPoints(zone.path || this.pixelPath, zone.count));
+            return { zone, from, to: points.length };
+        });
+        SwirlBackground.setSampler(points, (colors) => {
+            this.devices.forEach(device => {
+                const frames = ranges
+                    .filter(({ zone }) => zone.device === device.id)
+                    .map(({ zone, from, to }) => ({ zone, colors: colors.slice(from, to) }));
+                if (frames.length) {
+                    device.sendPixels(frames);
                 }
+            });
+        }, this.pixelFrameRate);
+    },
+
+    stopPixelStream() {
+        if (typeof SwirlBackground !== 'undefined') {
+            SwirlBackground.clearSampler();
+        }
+    },
+
+    // Screen color of a state (RGB 0-1): the catalogue's led.color, else its swirl colors mixed,
+    // 70% secondary (brighter) and 30% primary (darker) for depth
+    getScreenColor(state) {
+        const ledColor = StateCatalogue.get(state)?.led?.color;
+        if (ledColor) return ledColor;
+        const config = stateConfigs[state];
+        if (!config) return null;
+        const mixFactor = 0.7;
+        return config.primary.map((value, channel) => value * (1 - mixFactor) + config.secondary[channel] * mixFactor);
+    },
+
+    // LED color (RGBW 0-255) of a state on a zone: its screen color, calibrated for the strip
+    // (see ledCalibration.js). These are base colors - the Arduino's pulse varies from these.
+    getStateColor(state, zone = this.zones[0]) {
+        const screenColor = this.getScreenColor(state);
+        return screenColor ? LEDCalibration.toRGBW(screenColor, LEDCalibration.getProfile(zone)) : { r: 0, g: 0, b: 0, w: 0 };
+    },
+
+    // LED pulse for a state from the catalogue: { period (ms), min, max (0-1 of the base color) }
+    // A period of 0 keeps the color static.
+    getStatePulse(state) {
+        const pulse = StateCatalogue.get(state)?.led?.pulse;
+        if (!pulse || !(pulse.period > 0)) {
+            return { period: 0, min: 1, max: 1 };
+        }
+        const clamp = (value, fallback) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : fallback));
+        return { period: Math.round(pulse.period), min: clamp(pulse.min, 0.3), max: clamp(pulse.max, 1) };
+    },
+
+    // Send a zone's state: calibrated color (scaled by the live brightness), pulse (within the
+    // flash limits, see motionSafety.js) and fade.
+    // The Arduino only fades on a new state; changes within a state are applied at once.
+    // A calibration swatch is sent steady and unscaled, as state "calibration".
+    sendZone(zone, { instant = false } = {}) {
+        const state = this.getZoneState(zone);
+        const device = this.getDevice(zone.device);
+        if (!device || (!state && !zone.swatch)) {
+            return Promise.resolve(null);
+        }
+
+        const cut = { duration: 0, bezier: [0, 0, 1, 1] };
+        if (zone.swatch) {
+            const color = LEDCalibration.toRGBW(zone.swatch, LEDCalibration.getProfile(zone));
+            return device.sendCommand(zone, 'calibration', color, this.getStatePulse(null), cut);
+        }
+
+        const brightness = this.getBrightness();
+        const color = { ...this.getStateColor(state, zone) };
+        ['r', 'g', 'b', 'w'].forEach(channel => {
+            color[channel] = Math.round(color[channel] * brightness);
+        });
+        const pulse = MotionSafety.limitPulse(this.getStatePulse(state), this.getStateColor(state, zone));
+        return device.sendCommand(zone, state, color, pulse, instant ? cut : this.getFade(zone));
+    },
+
+    // Send every zone of a device that is not streaming the swirl
+    sendZones(device) {
+        const streaming = this.getStreamingZones();
+        this.getDeviceZones(device)
+            .filter(zone => !streaming.includes(zone))
+            .forEach(zone => {
+                this.sendZone(zone).catch(error => this.logCommandError(error));
+            });
+    },
+
+    // Fade of a zone's current transition: { duration (ms), bezier } - the strip follows the color curve
+    getFade(zone) {
+        const transition = zone.transition || Transitions.resolve(null, this.getZoneState(zone));
+        return { duration: Math.round(transition.duration * 1000), bezier: transition.color.bezier };
+    },
+
+    // factor 0-1 for one input, or null to remove it; the strips get the product of all inputs
+    setBrightness(source, factor) {
+        // The change starts from the brightness the strips have now
+        this.getBrightness();
+        if (factor === null || factor === undefined) {
+            delete this.brightnessFactors[source];
+        } else {
+            this.brightnessFactors[source] = Math.min(1, Math.max(0, factor));
+        }
+
+        this.scheduleBrightnessRefresh();
+    },
+
+    // Resend the zones until the brightness has caught up with its inputs
+    scheduleBrightnessRefresh() {
+        if (this.brightnessTimer) return;
+        this.brightnessTimer = setTimeout(() => {
+            this.brightnessTimer = null;
+            this.refresh();
+            if (this.getBrightness() !== this.getTargetBrightness()) {
+                this.scheduleBrightnessRefresh();
             }
-        } catch (error) {
-            console.error('Serial read error:', error);
-            this.handleDisconnect();
+        }, this.brightnessRefreshDelay);
+    },
+
+    getTargetBrightness() {
+        return Object.values(this.brightnessFactors).reduce((product, factor) => product * factor, 1);
+    },
+
+    // The product of all inputs, followed no faster than the safety limits allow
+    getBrightness() {
+        return MotionSafety.slew('ledBrightness', this.getTargetBrightness());
+    },
+
+    // "STATE,R,G,B,W,PERIOD,MIN,MAX[,FADE,X1,Y1,X2,Y2]"
+    // MIN/MAX are sent as percent, FADE in ms with its cubic-bezier curve in hundredths.
+    formatCommand(state, color, pulse = { period: 0, min: 1, max: 1 }, fade = null) {
+        let command = `${state},${color.r},${color.g},${color.b},${color.w},` +
+            `${pulse.period},${Math.round(pulse.min * 100)},${Math.round(pulse.max * 100)}`;
+        if (fade) {
+            command += `,${fade.duration},${fade.bezier.map(value => Math.round(value * 100)).join(',')}`;
         }
+        return command;
     },
 
-    // Update connection status UI
-    updateConnectionUI() {
-        const statusEl = document.getElementById('led-connection-status');
-        const buttonEl = document.getElementById('led-connect-btn');
-        
-        if (statusEl) {
-            statusEl.textContent = this.isConnected ? 'Connected' : 'Disconnected';
-            statusEl.className = this.isConnected ? 'led-status connected' : 'led-status disconnected';
+    // Framed protocol (v1): "$1,SEQ,PAYLOAD*CS\n"
+    // CS is the XOR of every character between '$' and '*', as two hex digits.
+    // The Arduino answers each frame with "$1,SEQ,ACK*CS" or "$1,SEQ,NACK,REASON*CS".
+    checksum(body) {
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) {
+            sum ^= body.charCodeAt(i);
         }
-        
-        if (buttonEl) {
-            buttonEl.textContent = this.isConnected ? 'Disconnect LED' : 'Connect LED';
-            buttonEl.disabled = false;
+        return sum.toString(16).toUpperCase().padStart(2, '0');
+    },
+
+    encodeFrame(seq, payload) {
+        const body = `${this.protocolVersion},${seq},${payload}`;
+        return `$${body}*${this.checksum(body)}\n`;
+    },
+
+    // "$1,SEQ,TYPE,ARGS...*CS" -> { valid, version, seq, type, args }, or null if it is not a frame
+    decodeFrame(line) {
+        const match = /^\$(.*)\*([0-9A-Fa-f]{2})$/.exec(line);
+        if (!match) return null;
+
+        const [, body, checksum] = match;
+        if (this.checksum(body) !== checksum.toUpperCase()) {
+            return { valid: false };
         }
+
+        const [version, seq, type, ...args] = body.split(',');
+        return { valid: true, version: Number(version), seq: Number(seq), type, args };
+    },
+
+    createCommandError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
     },
 
-    // Set LED state (called when exhibition state changes)
-    // Uses smooth but faster transitions
-    async setState(state) {
-        if (!this.isConnected) {
-            this.currentState = state;
-            return; // Silently fail if not connected
+    logCommandError(error) {
+        if (error.code !== 'superseded') {
+            console.warn('LED command failed:', error.message);
         }
+    },
+
+    // Listeners added with onEvent(listener) get { type, value, seq, device } for every
+    // "$1,N,EVENT,TYPE,VALUE*CS" a device reports
+    handleEvent(event) {
+        this.eventListeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Sensor event listener failed:', error);
+            }
+        });
+    },
+
+    onEvent(listener) {
+        this.eventListeners.push(listener);
+    },
 
-        // Use smooth but faster transition (3.5 seconds)
-        await this.transitionToState(state, 3500);
+    // listener({ type, device, transport, ...detail }) for
+    //   'connect'    - link opened ({ reconnect: true } when it was reopened on its own)
+    //   'disconnect' - { reason: 'requested' | 'lost', message }
+    //   'error'      - { message }: failed connect, write error, command refused or not confirmed
+    onStatus(listener) {
+        this.statusListeners.push(listener);
     },
 
-    // Smooth transition between colors - faster than website for better responsiveness
-    async transitionToState(state, duration = 3500) {
-        const previousState = this.currentState;
+    emitStatus(type, detail = {}) {
+        const status = { type, ...detail };
+        this.statusListeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('LED status listener failed:', error);
+            }
+        });
+    },
+
+    // Connect the device with this id, or the first one (for Web Serial: lets the user pick the port)
+    connect(id = null) {
+        return this.getDevice(id)?.connect() ?? Promise.resolve(false);
+    },
+
+    disconnect(id = null) {
+        return this.getDevice(id)?.disconnect() ?? Promise.resolve();
+    },
+
+    // The first device uses the controls in index.html. Every further device gets a row of
+    // its own below them, followed by a state picker per zone when there is more than one.
+    renderDevices() {
+        const [first, ...others] = this.devices;
+        first.elements = {
+            select: document.getElementById('led-transport-select'),
+            button: document.getElementById('led-connect-btn'),
+            status: document.getElementById('led-connection-status'),
+            health: document.getElementById('led-health')
+        };
+
+        const controls = document.querySelector('.led-controls');
+        if (controls && others.length) {
+            const label = document.createElement('span');
+            label.className = 'led-device-label';
+            label.textContent = first.label;
+            controls.prepend(label);
+        }
+
+        const list = document.getElementById('led-device-list');
+        if (list) {
+            list.innerHTML = '';
+            others.forEach(device => {
+                const row = document.createElement('div');
+                row.className = 'led-device-row';
+                row.innerHTML = `
+                    <span class="led-device-label"></span>
+                    <select class="led-transport-select" aria-label="LED connection type"></select>
+                    <button class="led-connect-btn">Connect LED</button>
+                    <span class="led-status disconnected">Disconnected</span>
+                    <span class="led-health"></span>
+                `;
+                row.querySelector('.led-device-label').textContent = device.label;
+                device.elements = {
+                    select: row.querySelector('select'),
+                    button: row.querySelector('button'),
+                    status: row.querySelector('.led-status'),
+                    health: row.querySelector('.led-health')
+                };
+                device.elements.button.addEventListener('click', () => {
+                    if (device.isConnected) {
+                        device.disconnect();
+                    } else {
+                        device.connect();
+                    }
+                });
+                device.elements.select.addEventListener('change', () => {
+                    device.setTransportType(device.elements.select.value);
+                });
+                list.appendChild(row);
+            });
+
+            if (this.zones.length > 1) {
+                this.zones.forEach(zone => {
+                    const row = document.createElement('label');
+                    row.className = 'led-device-row led-zone-row';
+                    row.innerHTML = `
+                        <span class="led-device-label"></span>
+                        <select class="led-transport-select led-zone-select"></select>
+                    `;
+                    row.querySelector('.led-device-label').textContent = zone.label;
+                    const select = row.querySelector('select');
+                    select.dataset.zone = zone.id;
+                    select.add(new Option('Follow', 'follow'));
+                    StateCatalogue.states.forEach(state => {
+                        select.add(new Option(state.label, state.id));
+                    });
+                    select.addEventListener('change', () => {
+                        this.setZoneState(zone.id, select.value);
+                    });
+                    list.appendChild(row);
+                });
+            }
+            list.hidden = !list.children.length;
+        }
+
+        this.devices.forEach(device => {
+            device.updateTransportUI();
+            device.updateConnectionUI();
+        });
+        this.updateZoneUI();
+    },
+
+    updateZoneUI() {
+        document.querySelectorAll('.led-zone-select').forEach(select => {
+            select.value = this.getZone(select.dataset.zone)?.state || 'follow';
+        });
+    },
+
+    updateModeUI() {
+        const modeEl = document.getElementById('led-mode-btn');
+        if (modeEl) {
+            modeEl.textContent = this.pixelMode ? 'LED: Flow' : 'LED: Solid';
+            modeEl.classList.toggle('active', this.pixelMode);
+        }
+    },
+
+    // Resend every zone's color, e.g. after its state's config was tuned
+    refresh() {
+        this.devices.forEach(device => {
+            if (device.isConnected) {
+                this.sendZones(device);
+            }
+        });
+    },
+
+    // Set LED state (called when exhibition state changes) - for the zones that follow it.
+    // The Arduinos fade from the old color to the new one in step with the shader.
+    async setState(state, transition = null) {
         this.currentState = state;
-        
-        if (!this.isConnected) {
+        this.transition = transition;
+
+        const following = this.zones.filter(zone => zone.state === 'follow');
+        following.forEach(zone => {
+            zone.shown = state;
+            zone.transition = transition;
+        });
+
+        if (this.canStreamPixels()) {
+            // Those strips follow the shader, which already transitions on its own
             return;
         }
 
-        const targetColor = this.getStateColor(state);
-        const startColor = previousState ? this.getStateColor(previousState) : { r: 0, g: 0, b: 0, w: 0 };
-        
-        const steps = 100; // More steps for smoother transition
-        const stepDuration = duration / steps;
-        let currentStep = 0;
+        // Zones of devices that are not connected are sent once they are
+        await Promise.all(following
+            .filter(zone => this.getDevice(zone.device)?.isConnected)
+            .map(zone => this.sendZone(zone).catch(error => this.logCommandError(error))));
+    },
+
+    // ---------------- Devices ----------------
 
-        if (this.transitionInterval) {
-            clearInterval(this.transitionInterval);
-        }
+    // One Arduino and its link: framing, retries, automatic reconnect and its row of controls.
+    // config: { id, label, ledCount, preferredTransport (layout "transport"), url (bridge) }
+    // Settings remembered per device get `key` appended to their name - nothing for the first
+    // device, so a single-device setup keeps its port, bridge address and transport.
+    createDevice(config, index = this.devices.length) {
+        const controller = this;
+        const key = index === 0 ? '' : `.${config.id}`;
+
+        return {
+            ...config,
+            index,
+            key,
+            transportType: null,
+            transport: null,
+            isConnected: false,
+            // Random start: not every Arduino restarts when this page reloads (boards with native USB
+            // don't), so it may still hold the previous page's last sequence number and take a match for a retry
+            nextSeq: 1 + Math.floor(Math.random() * 65535),
+            pendingFrames: new Map(),
+            pixelFrameInFlight: false,
+
+            // Automatic reconnect to the last used port or bridge (see setupAutoReconnect)
+            autoReconnect: true,
+            isOpening: false,
+            isReconnecting: false,
+            reconnectAttempts: 0,
+            reconnectTimer: null,
+
+            lastEventSeq: null,
+            lastReply: null,    // { time (ms since 1970), line } - the Arduino's last line, for the health dashboard
+            errorCount: 0,      // errors reported through onStatus since the page was loaded
+            elements: {},       // { select, button, status, health } - see LEDController.renderDevices
+
+            // What a transport gets to know about the device (see ledTransports.js)
+            describe() {
+                return { id: this.id, label: this.label, index, ledCount: this.ledCount, url: this.url, key };
+            },
+
+            async setTransportType(type) {
+                if (!LEDTransports[type] || type === this.transportType) return;
+
+                if (this.isConnected || this.isReconnecting) {
+                    await this.disconnect();
+                }
+                this.transportType = type;
+                safeStorage.set(`ledTransport${key}`, type);
+                this.updateTransportUI();
+            },
+
+            // More than one zone, or one that leaves LEDs out - needs ZONE commands
+            isSplit() {
+                const zones = controller.getDeviceZones(this);
+                return zones.length > 1 || zones[0].start > 0 || zones[0].count < this.ledCount;
+            },
+
+            // Send a zone's state command (framed, see encodeFrame): plain when the zone is the
+            // whole strip, so older sketches understand it, else as "ZONE,INDEX,START,COUNT,...".
+            // Resolves once the Arduino acknowledges it; rejects when it is refused, never
+            // confirmed, or replaced by a newer command for the zone before it was confirmed.
+            sendCommand(zone, state, color, pulse, fade) {
+                let command = controller.formatCommand(state, color, pulse, fade);
+                if (this.isSplit()) {
+                    command = `ZONE,${zone.index},${zone.start},${zone.count},${command}`;
+                }
+                return this.sendFrame(command, { supersedes: `zone:${zone.index}` }).then((result) => {
+                    console.log(`LED command confirmed (${this.label}):`, command);
+                    return result;
+                });
+            },
+
+            // Send per-LED colors to the Arduino, calibrated for its strip, as lines of at most
+            // maxPixelsPerLine LEDs: "PIXELS,START[,+],RRGGBBWW..." (hex, one group per LED).
+            // Every line but the last is marked "+", so the sketch shows the strip once for all
+            // zones - while it does, it misses serial bytes. frames: [{ zone, colors (RGB 0-255) }]
+            async sendPixels(frames) {
+                // Drop frames while the previous one is still being written rather than queueing them up
+                if (!this.isConnected || this.pixelFrameInFlight) {
+                    return;
+                }
+
+                const brightness = controller.getBrightness();
+                const toHex = (value) => Math.round(value * brightness).toString(16).padStart(2, '0');
+
+                const lines = [];
+                frames.forEach(({ zone, colors }) => {
+                    const profile = LEDCalibration.getProfile(zone);
+                    const groups = colors.map((color) => {
+                        const { r, g, b, w } = LEDCalibration.toRGBW(color.map(value => value / 255), profile);
+                        return `${toHex(r)}${toHex(g)}${toHex(b)}${toHex(w)}`;
+                    });
+                    for (let offset = 0; offset < groups.length; offset += controller.maxPixelsPerLine) {
+                        lines.push({ start: zone.start + offset, data: groups.slice(offset, offset + controller.maxPixelsPerLine).join('') });
+                    }
+                });
+
+                this.pixelFrameInFlight = true;
+                try {
+                    for (const [index, { start, data }] of lines.entries()) {
+                        const more = index < lines.length - 1 ? '+,' : '';
+                        await this.sendFrame(`PIXELS,${start},${more}${data}`, { reliable: false });
+                    }
+                } catch (error) {
+                    // Write errors are handled by writeLine
+                } finally {
+                    this.pixelFrameInFlight = false;
+                }
+            },
+
+            // Send one frame. Reliable frames are retried with backoff until the Arduino ACKs them;
+            // unreliable ones (pixel frames) are written once since a newer frame follows anyway.
+            // A reliable frame with a `supersedes` key cancels older unconfirmed frames with the same key.
+            sendFrame(payload, { reliable = true, supersedes = null } = {}) {
+                if (!this.isConnected) {
+                    return Promise.reject(controller.createCommandError('not-connected', `LED device ${this.label} is not connected`));
+                }
+
+                const seq = this.nextSeq;
+                this.nextSeq = this.nextSeq >= 65535 ? 1 : this.nextSeq + 1;
+                const frame = controller.encodeFrame(seq, payload);
+
+                if (!reliable) {
+                    return this.writeLine(frame).then(() => ({ seq, attempts: 1 }));
+                }
+
+                if (supersedes) {
+                    this.pendingFrames.forEach((pending, pendingSeq) => {
+                        if (pending.supersedes === supersedes) {
+                            this.settleFrame(pendingSeq, controller.createCommandError('superseded', 'Replaced by a newer command'));
+                        }
+                    });
+                }
+
+                return new Promise((resolve, reject) => {
+                    this.pendingFrames.set(seq, { frame, payload, supersedes, resolve, reject, attempts: 0, timer: null });
+                    this.transmitFrame(seq);
+                });
+            },
+
+            transmitFrame(seq) {
+                const pending = this.pendingFrames.get(seq);
+                if (!pending) return;
+
+                pending.attempts++;
+                // Write errors already end in handleDisconnect, which rejects every pending frame
+                this.writeLine(pending.frame).catch(() => {});
+                pending.timer = setTimeout(() => this.retryFrame(seq, 'timeout'), controller.ackTimeout);
+            },
+
+            retryFrame(seq, reason) {
+                const pending = this.pendingFrames.get(seq);
+                if (!pending) return;
+
+                clearTimeout(pending.timer);
+                if (pending.attempts > controller.maxRetries) {
+                    this.settleFrame(seq, controller.createCommandError(
+                        'no-ack',
+                        `Arduino did not confirm "${pending.payload}" after ${pending.attempts} attempts (${reason})`
+                    ));
+                    return;
+                }
+
+                // Same sequence number, so the Arduino can tell a retry from a new command
+                const backoff = controller.retryDelay * Math.pow(2, pending.attempts - 1);
+                pending.timer = setTimeout(() => this.transmitFrame(seq), backoff);
+            },
+
+            settleFrame(seq, error = null) {
+                const pending = this.pendingFrames.get(seq);
+                if (!pending) return;
+
+                clearTimeout(pending.timer);
+                this.pendingFrames.delete(seq);
+                if (error && ['no-ack', 'nack'].includes(error.code)) {
+                    this.emitStatus('error', { message: error.message });
+                }
+                if (error) {
+                    pending.reject(error);
+                } else {
+                    pending.resolve({ seq, attempts: pending.attempts });
+                }
+            },
+
+            rejectPendingFrames(code, message) {
+                [...this.pendingFrames.keys()].forEach(seq => {
+                    this.settleFrame(seq, controller.createCommandError(code, message));
+                });
+            },
 
-        this.transitionInterval = setInterval(async () => {
-            const progress = currentStep / steps;
-            
-            // Quintic ease-in-out matching website transitions
-            const eased = progress < 0.5
-                ? 16.0 * progress * progress * progress * progress * progress
-                : 1.0 - Math.pow(-2.0 * progress + 2.0, 5.0) / 2.0;
-
-            const color = {
-                r: Math.round(startColor.r + (targetColor.r - startColor.r) * eased),
-                g: Math.round(startColor.g + (targetColor.g - startColor.g) * eased),
-                b: Math.round(startColor.b + (targetColor.b - startColor.b) * eased),
-                w: Math.round(startColor.w + (targetColor.w - startColor.w) * eased)
-            };
-
-            await this.sendCommand(state, color);
-
-            currentStep++;
-            if (currentStep > steps) {
-                clearInterval(this.transitionInterval);
-                this.transitionInterval = null;
-                // Send final color to ensure accuracy
-                await this.sendCommand(state, targetColor);
+            async writeLine(text) {
+                try {
+                    if (!this.transport) {
+                        throw new Error(`LED device ${this.label} is not connected`);
+                    }
+                    await this.transport.write(text);
+                } catch (error) {
+                    console.error(`Error sending LED command (${this.label}):`, error);
+                    if (this.isConnected) {
+                        this.emitStatus('error', { message: `Write failed: ${error.message}` });
+                    }
+                    this.handleDisconnect(error);
+                    throw error;
+                }
+            },
+
+            // Handle one line received from the Arduino
+            handleLine(line) {
+                this.lastReply = { time: Date.now(), line };
+                if (!line.startsWith('$')) {
+                    // Boot messages and replies to unframed commands
+                    console.log(`Arduino (${this.label}):`, line);
+                    return;
+                }
+
+                const frame = controller.decodeFrame(line);
+                if (!frame || !frame.valid) {
+                    // The command it belonged to times out and is sent again
+                    console.warn(`Arduino (${this.label}): corrupted reply ignored:`, line);
+                    return;
+                }
+
+                // Sensor reports carry the Arduino's own event counter, not one of our sequence numbers
+                if (frame.type === 'EVENT') {
+                    this.handleEvent(frame);
+                    return;
+                }
+
+                const pending = this.pendingFrames.get(frame.seq);
+                if (!pending) {
+                    return; // ACK for an unreliable frame, or one already given up on
+                }
+
+                if (frame.type === 'ACK') {
+                    this.settleFrame(frame.seq);
+                } else if (frame.type === 'NACK') {
+                    const reason = frame.args.join(',') || 'unknown';
+                    if (controller.retryableReasons.includes(reason)) {
+                        console.warn(`Arduino (${this.label}) rejected frame ${frame.seq} (${reason}), retrying`);
+                        this.retryFrame(frame.seq, reason);
+                    } else {
+                        this.settleFrame(frame.seq, controller.createCommandError('nack', `Arduino refused "${pending.payload}": ${reason}`));
+                    }
+                }
+            },
+
+            // "$1,N,EVENT,TYPE,VALUE*CS" -> LEDController.handleEvent
+            handleEvent(frame) {
+                const [type, value] = frame.args;
+                if (!type) return;
+
+                if (this.lastEventSeq !== null && frame.seq > this.lastEventSeq + 1) {
+                    console.warn(`Arduino (${this.label}): ${frame.seq - this.lastEventSeq - 1} sensor event(s) lost`);
+                }
+                this.lastEventSeq = frame.seq;
+
+                controller.handleEvent({ type, value, seq: frame.seq, device: this.id });
+            },
+
+            emitStatus(type, detail = {}) {
+                if (type === 'error') {
+                    this.errorCount++;
+                }
+                controller.emitStatus(type, { device: this.id, transport: this.transportType, ...detail });
+            },
+
+            // Connect through the selected transport (for Web Serial: lets the user pick the port)
+            async connect() {
+                const definition = LEDTransports[this.transportType];
+                if (!definition) {
+                    alert('No LED connection type is supported in this browser.');
+                    return false;
+                }
+
+                this.stopReconnecting();
+                try {
+                    await this.openTransport({ interactive: true });
+                    this.setAutoReconnect(true);
+                    return true;
+                } catch (error) {
+                    console.error(`Connection error (${this.label}):`, error);
+                    this.emitStatus('error', { message: `Connect failed: ${error.message}` });
+                    if (error.name === 'NotFoundError') {
+                        alert('No Arduino port selected.');
+                    } else if (error.name === 'SecurityError') {
+                        alert('Serial port access denied. Please grant permission.');
+                    } else {
+                        alert(`Failed to connect ${this.label}: ${error.message}`);
+                    }
+                    this.isConnected = false;
+                    this.updateConnectionUI();
+                    return false;
+                }
+            },
+
+            // Open a link through the current transport and replay the zones' states
+            async openTransport(options = {}) {
+                if (this.isOpening) return;
+                this.isOpening = true;
+
+                const transport = LEDTransports[this.transportType].create({
+                    onLine: (line) => this.handleLine(line),
+                    onClose: (error) => {
+                        if (this.transport === transport) {
+                            console.error(`LED connection lost (${this.label}):`, error.message);
+                            this.handleDisconnect(error);
+                        }
+                    }
+                }, this.describe());
+
+                try {
+                    await transport.open(options);
+                } finally {
+                    this.isOpening = false;
+                }
+
+                const reconnect = this.isReconnecting;
+                this.transport = transport;
+                this.reconnectAttempts = 0;
+                this.isReconnecting = false;
+                this.isConnected = true;
+                this.lastEventSeq = null; // the Arduino restarts its count when the port opens
+                this.updateConnectionUI();
+
+                console.log(`Connected to Arduino ${this.label} (${LEDTransports[this.transportType].label})`);
+                this.emitStatus('connect', { reconnect });
+
+                // Send the zones' states. An Arduino resets when its serial port opens,
+                // so this usually takes a few retries until its bootloader is done.
+                controller.sendZones(this);
+
+                if (controller.pixelMode) {
+                    controller.startPixelStream();
+                }
+            },
+
+            // Disconnect from the Arduino (on request - no automatic reconnect until the next connect)
+            async disconnect() {
+                this.setAutoReconnect(false);
+                this.stopReconnecting();
+                this.isConnected = false;
+                this.rejectPendingFrames('disconnected', `LED device ${this.label} disconnected`);
+                if (controller.canStreamPixels()) {
+                    controller.startPixelStream();
+                }
+
+                await this.closeTransport();
+                this.updateConnectionUI();
+                console.log(`Disconnected from Arduino ${this.label}`);
+                this.emitStatus('disconnect', { reason: 'requested' });
+            },
+
+            async closeTransport() {
+                const transport = this.transport;
+                this.transport = null;
+                if (transport) {
+                    try {
+                        await transport.close();
+                    } catch (error) {
+                        console.warn(`LED transport close error (${this.label}):`, error);
+                    }
+                }
+            },
+
+            // Handle unexpected disconnect
+            handleDisconnect(error = null) {
+                // A lost device usually fails both reading and writing - only handle it once
+                if (!this.isConnected) return;
+
+                this.isConnected = false;
+                this.rejectPendingFrames('disconnected', 'LED connection lost');
+                if (controller.canStreamPixels()) {
+                    controller.startPixelStream();
+                }
+
+                this.isReconnecting = this.autoReconnect;
+                this.closeTransport().then(() => this.scheduleReconnect());
+                this.updateConnectionUI();
+                this.emitStatus('disconnect', { reason: 'lost', message: error?.message || '' });
+            },
+
+            // ---------------- Automatic reconnect ----------------
+
+            // Reopen the last used port or bridge on load and whenever it comes back
+            setupAutoReconnect() {
+                this.autoReconnect = safeStorage.get(`ledAutoReconnect${key}`) === 'on';
+
+                Object.keys(LEDTransports).forEach(type => {
+                    const definition = LEDTransports[type];
+                    if (typeof definition.watchAvailability === 'function') {
+                        definition.watchAvailability(() => {
+                            if (type === this.transportType && !this.isConnected && this.autoReconnect) {
+                                this.reconnect();
+                            }
+                        }, this.describe());
+                    }
+                });
+
+                if (this.autoReconnect && LEDTransports[this.transportType]?.canReopen(this.describe())) {
+                    this.reconnect();
+                }
+            },
+
+            setAutoReconnect(enabled) {
+                this.autoReconnect = enabled;
+                safeStorage.set(`ledAutoReconnect${key}`, enabled ? 'on' : 'off');
+            },
+
+            async reconnect() {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+                if (this.isConnected || this.isOpening) return;
+
+                this.isReconnecting = true;
+                this.updateConnectionUI();
+
+                try {
+                    await this.openTransport({ interactive: false });
+                    return;
+                } catch (error) {
+                    console.warn(`LED reconnect attempt failed (${this.label}):`, error.message);
+                }
+
+                this.scheduleReconnect();
+            },
+
+            scheduleReconnect() {
+                const definition = LEDTransports[this.transportType];
+                if (!this.autoReconnect || this.isConnected || !definition || !definition.canReopen(this.describe())) {
+                    this.isReconnecting = false;
+                    this.updateConnectionUI();
+                    return;
+                }
+
+                clearTimeout(this.reconnectTimer);
+                const delay = Math.min(controller.reconnectMaxDelay, controller.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts));
+                this.reconnectAttempts++;
+                this.isReconnecting = true;
+                this.updateConnectionUI();
+                this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+            },
+
+            stopReconnecting() {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+                this.reconnectAttempts = 0;
+                this.isReconnecting = false;
+            },
+
+            // Update connection status UI
+            updateConnectionUI() {
+                const { status: statusEl, button: buttonEl } = this.elements;
+
+                if (statusEl) {
+                    if (this.isConnected) {
+                        statusEl.textContent = 'Connected';
+                        statusEl.className = 'led-status connected';
+                    } else if (this.isReconnecting) {
+                        statusEl.textContent = 'Reconnecting…';
+                        statusEl.className = 'led-status reconnecting';
+                    } else {
+                        statusEl.textContent = 'Disconnected';
+                        statusEl.className = 'led-status disconnected';
+                    }
+                }
+
+                if (buttonEl) {
+                    buttonEl.textContent = this.isConnected ? 'Disconnect LED' : 'Connect LED';
+                    buttonEl.disabled = false;
+                }
+            },
+
+            updateTransportUI() {
+                const selectEl = this.elements.select;
+                if (!selectEl) return;
+
+                if (!selectEl.options.length) {
+                    Object.keys(LEDTransports).forEach(type => {
+                        if (LEDTransports[type].isSupported()) {
+                            selectEl.add(new Option(LEDTransports[type].label, type));
+                        }
+                    });
+                }
+                selectEl.value = this.transportType;
             }
-        }, stepDuration);
+        };
     }
 };
-
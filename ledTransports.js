@@ -0,0 +1,693 @@
+// Transports for the LED controller
+// A transport carries text lines between LEDController and the LED device.
+//
+// Each entry in LEDTransports describes one kind of link:
+//   label                           - shown in the transport picker
+//   isSupported()                   - whether this browser can use it
+//   canReopen(device)               - whether it can be opened again without user interaction
+//   watchAvailability(cb, device)   - optional, calls cb when the device may be reachable again
+//   create(handlers, device)        - returns a link { open(options), write(text), close() }
+//
+// handlers.onLine(line) is called for every line received from the device,
+// handlers.onClose(error) once when the link drops without close() being called.
+// device describes the LED device the link is for: { id, label, index, ledCount, url, key }.
+// key is appended to the names of the settings remembered per device ('' for the first
+// device, so a single-device setup keeps its settings).
+
+// Split a stream of text chunks into lines
+const createLineBuffer = (onLine) => {
+    let buffer = '';
+    return (text) => {
+        buffer += text;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) {
+                onLine(line);
+            }
+        }
+    };
+};
+
+const LEDTransports = {
+    // Arduino on this computer's USB port (Chrome/Edge only)
+    serial: {
+        label: 'USB (Web Serial)',
+        baudRate: 115200,
+
+        isSupported() {
+            return typeof navigator !== 'undefined' && !!navigator.serial;
+        },
+
+        // Ports granted earlier stay available through getPorts() without asking the user again
+        canReopen(device = {}) {
+            return this.isSupported() && !!this.getSavedPortInfo(device.key);
+        },
+
+        watchAvailability(callback, device = {}) {
+            if (!this.isSupported()) return;
+            navigator.serial.addEventListener('connect', (event) => {
+                if (this.matchesSavedPort(event.target, device.key)) {
+                    console.log(`Arduino plugged in${device.label ? ` (${device.label})` : ''}`);
+                    callback();
+                }
+            });
+        },
+
+        getSavedPortInfo(key = '') {
+            try {
+                return JSON.parse(safeStorage.get(`ledPortInfo${key}`));
+            } catch (error) {
+                return null;
+            }
+        },
+
+        savePortInfo(port, key = '') {
+            const { usbVendorId, usbProductId } = port.getInfo();
+            safeStorage.set(`ledPortInfo${key}`, JSON.stringify({ usbVendorId, usbProductId }));
+        },
+
+        matchesSavedPort(port, key = '') {
+            const saved = this.getSavedPortInfo(key);
+            if (!saved) return false;
+            const info = port.getInfo();
+            return info.usbVendorId === saved.usbVendorId && info.usbProductId === saved.usbProductId;
+        },
+
+        // Boards of the same model report the same USB ids, so two of them are told apart only
+        // by which one is still free - they may swap after both were unplugged
+        create(handlers, device = {}) {
+            const transport = this;
+            return {
+                port: null,
+                reader: null,
+                writer: null,
+                isOpen: false,
+
+                // interactive: ask the user for a port, otherwise reopen the remembered one
+                async open({ interactive = false } = {}) {
+                    let port;
+                    if (interactive) {
+                        port = await navigator.serial.requestPort();
+                    } else {
+                        const ports = await navigator.serial.getPorts();
+                        // A port another device already has open has a readable stream
+                        port = ports.find(candidate => transport.matchesSavedPort(candidate, device.key) && !candidate.readable);
+                        if (!port) {
+                            throw new Error('Remembered Arduino port is not available');
+                        }
+                    }
+
+                    await port.open({ baudRate: transport.baudRate });
+
+                    this.port = port;
+                    this.reader = port.readable.getReader();
+                    this.writer = port.writable.getWriter();
+                    this.isOpen = true;
+                    transport.savePortInfo(port, device.key);
+
+                    this.handleUnplug = (event) => {
+                        if (event.target === this.port) {
+                            this.fail(new Error('Arduino unplugged'));
+                        }
+                    };
+                    navigator.serial.addEventListener('disconnect', this.handleUnplug);
+
+                    this.readLoop();
+                },
+
+                async write(text) {
+                    const encoder = new TextEncoder();
+                    await this.writer.write(encoder.encode(text));
+                },
+
+                async readLoop() {
+                    const reader = this.reader;
+                    const decoder = new TextDecoder();
+                    const receive = createLineBuffer(handlers.onLine);
+                    try {
+                        while (this.isOpen) {
+                            const { value, done } = await reader.read();
+                            if (done) break;
+                            receive(decoder.decode(value, { stream: true }));
+                        }
+                    } catch (error) {
+                        console.error('Serial read error:', error);
+                        this.fail(error);
+                        return;
+                    }
+                    this.fail(new Error('Serial stream closed'));
+                },
+
+                fail(error) {
+                    if (!this.isOpen) return;
+                    this.isOpen = false;
+                    this.release();
+                    handlers.onClose(error);
+                },
+
+                async close() {
+                    this.isOpen = false;
+                    await this.release();
+                },
+
+                async release() {
+                    const { reader, writer, port } = this;
+                    this.reader = null;
+                    this.writer = null;
+                    this.port = null;
+
+                    if (this.handleUnplug) {
+                        navigator.serial.removeEventListener('disconnect', this.handleUnplug);
+                        this.handleUnplug = null;
+                    }
+
+                    // Each step may fail when the device is already gone - carry on regardless
+                    try {
+                        if (reader) {
+                            await reader.cancel();
+                            await reader.releaseLock();
+                        }
+                    } catch (error) {
+                        console.warn('Serial reader close error:', error);
+                    }
+
+                    try {
+                        if (writer) {
+                            await writer.releaseLock();
+                        }
+                    } catch (error) {
+                        console.warn('Serial writer close error:', error);
+                    }
+
+                    try {
+                        if (port) {
+                            await port.close();
+                        }
+                    } catch (error) {
+                        console.warn('Serial port close error:', error);
+                    }
+                }
+            };
+        }
+    },
+
+    // Arduino on another process or machine, through bridge/serial-bridge.js
+    websocket: {
+        label: 'Network bridge (WebSocket)',
+        defaultUrl: 'ws://localhost:8081',
+
+        isSupported() {
+            return typeof WebSocket !== 'undefined';
+        },
+
+        canReopen() {
+            return this.isSupported();
+        },
+
+        // ?ledBridge=ws://host:port (first device only), else the device's "url" from the
+        // layout, else the last used address - one bridge per Arduino
+        getUrl(device = {}) {
+            const key = device.key || '';
+            const params = new URLSearchParams(window.location.search);
+            const url = (!key && params.get('ledBridge')) || device.url ||
+                safeStorage.get(`ledBridgeUrl${key}`) || this.defaultUrl;
+            safeStorage.set(`ledBridgeUrl${key}`, url);
+            return url;
+        },
+
+        create(handlers, device = {}) {
+            const transport = this;
+            return {
+                socket: null,
+                isOpen: false,
+
+                open() {
+                    const url = transport.getUrl(device);
+                    const receive = createLineBuffer(handlers.onLine);
+
+                    return new Promise((resolve, reject) => {
+                        const socket = new WebSocket(url);
+
+                        socket.addEventListener('open', () => {
+                            this.socket = socket;
+                            this.isOpen = true;
+                            resolve();
+                        });
+
+                        socket.addEventListener('message', (event) => {
+                            receive(String(event.data));
+                        });
+
+                        // The bridge closes the socket when it loses the Arduino
+                        socket.addEventListener('close', (event) => {
+                            if (this.isOpen) {
+                                this.isOpen = false;
+                                handlers.onClose(new Error(`LED bridge closed the connection (${event.code})`));
+                            } else {
+                                reject(new Error(`Cannot reach LED bridge at ${url}`));
+                            }
+                        });
+                    });
+                },
+
+                async write(text) {
+                    if (!this.isOpen) {
+                        throw new Error('LED bridge is not connected');
+                    }
+                    this.socket.send(text);
+                },
+
+                async close() {
+                    this.isOpen = false;
+                    if (this.socket) {
+                        this.socket.close();
+                        this.socket = null;
+                    }
+                }
+            };
+        }
+    },
+
+    // No hardware: an in-browser copy of the Arduino sketch, drawn as a strip on screen
+    simulated: {
+        label: 'Simulated device',
+
+        isSupported() {
+            return true;
+        },
+
+        canReopen() {
+            return true;
+        },
+
+        create(handlers, options = {}) {
+            return {
+                device: null,
+
+                async open() {
+                    this.device = SimulatedLEDDevice.create((line) => handlers.onLine(line), options);
+                    this.device.boot();
+                },
+
+                async write(text) {
+                    if (!this.device) {
+                        throw new Error('Simulated LED device is not running');
+                    }
+                    this.device.receive(text);
+                },
+
+                async close() {
+                    if (this.device) {
+                        this.device.shutdown();
+                        this.device = null;
+                    }
+                }
+            };
+        }
+    }
+};
+
+// Mirrors arduino_led_controller.ino: same command parsing, zones, framing and replies.
+// ?ledSimDrop=0.1 / ?ledSimCorrupt=0.1 lose or garble that share of incoming lines
+// to exercise the retry logic. Clicking the strip stands in for the PIR sensor.
+const SimulatedLEDDevice = {
+    ledCount: 90,
+    maxZones: 4,        // MAX_ZONES in the sketch
+    protocolVersion: 1,
+    latency: 5, // ms before a reply is "sent"
+    pixelFrameTimeout: 100, // ms - PIXEL_FRAME_TIMEOUT_MS in the sketch
+    stripSpacing: 18,   // px between the strips of several simulated devices
+
+    // getColorForState() / getPulseForState() in the sketch - fallbacks for the built-in states
+    stateColors: {
+        standby: [4, 8, 20, 5],
+        arrival: [0, 0, 50, 0],
+        alert: [255, 0, 0, 0],
+        adaptive: [120, 0, 190, 0],
+        connection: [255, 130, 0, 0]
+    },
+    statePulses: {
+        arrival: { period: 6000, min: 0.3, max: 0.9 },
+        alert: { period: 1200, min: 0.2, max: 1.0 },
+        adaptive: { period: 5000, min: 0.25, max: 0.95 },
+        connection: { period: 7000, min: 0.3, max: 1.0 }
+    },
+
+    // resetZone() in the sketch
+    createZone(first, count, active = true) {
+        return {
+            active,
+            first,
+            count,
+            baseColor: null,
+            pulse: { period: 0, min: 1, max: 1 },
+            fade: null,         // { from, to, start, duration, ease } while fading to a new state
+            currentState: null,
+            streamingPixels: false
+        };
+    },
+
+    // options: { ledCount, index (stacks the strips of several devices), label }
+    create(send, { ledCount = null, index = 0, label = '' } = {}) {
+        const params = new URLSearchParams(window.location.search);
+        const definition = this;
+        const count = ledCount > 0 ? ledCount : definition.ledCount;
+
+        return {
+            pixels: Array.from({ length: count }, () => [0, 0, 0, 0]),
+            // Zone 0 is the whole strip until a ZONE command says otherwise
+            zones: Array.from({ length: definition.maxZones }, (_, zone) =>
+                zone === 0 ? definition.createZone(0, count) : definition.createZone(0, 0, false)),
+            timer: null,
+            pixelFrameStart: null, // set while lines of a pixel frame are still to come
+            lastSeq: null,
+            eventSeq: 0,
+            present: false,
+            dropRate: parseFloat(params.get('ledSimDrop')) || 0,
+            corruptRate: parseFloat(params.get('ledSimCorrupt')) || 0,
+            receive: null,
+            element: null,
+
+            boot() {
+                this.receive = createLineBuffer((line) => this.processLine(line));
+                this.createStrip();
+                // updateFade() / updatePulse() in the sketch
+                this.timer = setInterval(() => this.update(), 20);
+                this.reply('LED Controller Ready (simulated)');
+            },
+
+            shutdown() {
+                clearInterval(this.timer);
+                if (this.element) {
+                    this.element.remove();
+                    this.element = null;
+                }
+            },
+
+            reply(line) {
+                setTimeout(() => send(line), definition.latency);
+            },
+
+            processLine(line) {
+                if (Math.random() < this.dropRate) {
+                    return;
+                }
+                if (Math.random() < this.corruptRate) {
+                    const index = Math.floor(Math.random() * line.length);
+                    line = line.slice(0, index) + line.slice(index + 1);
+                }
+
+                if (line.startsWith('$')) {
+                    this.processFrame(line);
+                    return;
+                }
+
+                const result = this.processCommand(line);
+                if (!result.ok) {
+                    this.reply(`ERROR: ${result.message}`);
+                } else if (result.message) {
+                    this.reply(`OK: ${result.message}`);
+                }
+            },
+
+            processFrame(frame) {
+                const star = frame.lastIndexOf('*');
+                const fields = frame.slice(1).split(',');
+                const seq = parseInt(fields[1], 10) || 0;
+
+                if (star === -1 || star + 3 !== frame.length || fields.length < 3) {
+                    this.replyFrame(seq, 'NACK,format');
+                    return;
+                }
+
+                const body = frame.slice(1, star);
+                if (LEDController.checksum(body) !== frame.slice(star + 1).toUpperCase()) {
+                    this.replyFrame(seq, 'NACK,checksum');
+                    return;
+                }
+
+                if (parseInt(fields[0], 10) !== definition.protocolVersion) {
+                    this.replyFrame(seq, 'NACK,version');
+                    return;
+                }
+
+                if (seq === this.lastSeq) {
+                    this.replyFrame(seq, 'ACK');
+                    return;
+                }
+
+                const payload = body.slice(body.indexOf(',', body.indexOf(',') + 1) + 1);
+                const result = this.processCommand(payload);
+                if (result.ok) {
+                    this.lastSeq = seq;
+                    this.replyFrame(seq, 'ACK');
+                } else {
+                    this.replyFrame(seq, `NACK,${result.message}`);
+                }
+            },
+
+            // sendEvent() in the sketch
+            sendEvent(type, value) {
+                this.eventSeq++;
+                this.replyFrame(this.eventSeq, `EVENT,${type},${value}`);
+            },
+
+            // Stands in for a PIR sensor: clicking the strip toggles presence
+            togglePresence() {
+                this.present = !this.present;
+                this.element?.classList.toggle('present', this.present);
+                this.sendEvent('presence', this.present ? 1 : 0);
+            },
+
+            replyFrame(seq, payload) {
+                const body = `${definition.protocolVersion},${seq},${payload}`;
+                this.reply(`$${body}*${LEDController.checksum(body)}`);
+            },
+
+            processCommand(command) {
+                command = command.trim();
+                if (!command) {
+                    return { ok: false, message: 'Empty command' };
+                }
+
+                if (command.startsWith('PIXELS,')) {
+                    return this.processPixels(command);
+                }
+
+                if (command.startsWith('ZONE,')) {
+                    return this.processZone(command);
+                }
+
+                if (command.indexOf(',') === -1) {
+                    return { ok: false, message: 'Invalid format (no comma)' };
+                }
+
+                // A plain state command drives the whole strip again, as zone 0
+                const [main, ...others] = this.zones;
+                const wholeStrip = main.active && main.first === 0 && main.count === this.pixels.length &&
+                    !others.some(zone => zone.active);
+                others.forEach(zone => {
+                    zone.active = false;
+                });
+                if (!wholeStrip) {
+                    this.zones[0] = definition.createZone(0, this.pixels.length);
+                }
+                return this.applyState(0, command);
+            },
+
+            // "ZONE,ID,START,COUNT,STATE,..." -> (re)place zone ID and apply the state command to it
+            processZone(command) {
+                const fields = command.split(',');
+                if (fields.length < 5) {
+                    return { ok: false, message: 'Invalid zone (missing fields)' };
+                }
+
+                const id = parseInt(fields[1], 10) || 0;
+                const first = parseInt(fields[2], 10) || 0;
+                let count = parseInt(fields[3], 10) || 0;
+                if (id < 0 || id >= definition.maxZones) {
+                    return { ok: false, message: 'Invalid zone (id)' };
+                }
+                if (first < 0 || first >= this.pixels.length || count <= 0) {
+                    return { ok: false, message: 'Invalid zone (range)' };
+                }
+                count = Math.min(count, this.pixels.length - first);
+
+                const zone = this.zones[id];
+                if (!zone.active || zone.first !== first || zone.count !== count) {
+                    // Moved or new: clear the old range, then start afresh in the new one
+                    if (zone.active) {
+                        this.fill(zone, [0, 0, 0, 0]);
+                    }
+                    this.zones[id] = definition.createZone(first, count);
+                }
+
+                return this.applyState(id, fields.slice(4).join(','));
+            },
+
+            // applyState() in the sketch: "STATE,R,G,B,W[,PERIOD,MIN,MAX[,FADE,X1,Y1,X2,Y2]]" for one zone
+            applyState(id, command) {
+                const zone = this.zones[id];
+                const fields = command.split(',').slice(0, 13);
+                const state = fields[0].trim().toLowerCase();
+                if (!state) {
+                    return { ok: false, message: 'Missing state' };
+                }
+                const builtin = Object.prototype.hasOwnProperty.call(definition.stateColors, state);
+
+                // As sent, or the built-in color for the short form "STATE,0,0,0,0"
+                let color = fields.length >= 5
+                    ? fields.slice(1, 5).map(value => Math.min(255, Math.max(0, parseInt(value, 10) || 0)))
+                    : [0, 0, 0, 0];
+                if (fields.length < 8 && color.every(channel => channel === 0) && builtin) {
+                    color = [...definition.stateColors[state]];
+                }
+                const isOff = color.every(channel => channel === 0);
+
+                if (fields.length >= 8) {
+                    const percent = (value) => Math.min(100, Math.max(0, parseInt(value, 10) || 0)) / 100;
+                    zone.pulse = { period: Math.max(0, parseInt(fields[5], 10) || 0), min: percent(fields[6]), max: percent(fields[7]) };
+                } else {
+                    zone.pulse = definition.statePulses[state] || { period: 0, min: 1, max: 1 };
+                }
+
+                const fadeMs = fields.length >= 9 ? Math.max(0, parseInt(fields[8], 10) || 0) : 0;
+                const curve = fields.length >= 13 ? fields.slice(9, 13).map(value => (parseInt(value, 10) || 0) / 100) : [0.42, 0, 0.58, 1];
+                curve[0] = Math.min(1, Math.max(0, curve[0]));
+                curve[2] = Math.min(1, Math.max(0, curve[2]));
+
+                const target = zone.fade ? zone.fade.to : zone.baseColor;
+                const colorChanged = !target || color.some((channel, i) => channel !== target[i]);
+                if (zone.baseColor && !isOff && fadeMs > 0 && (state !== zone.currentState || zone.streamingPixels)) {
+                    zone.fade = { from: [...zone.baseColor], to: color, start: Date.now(), duration: fadeMs, ease: Transitions.cubicBezier(...curve) };
+                } else if (zone.fade && !isOff && state === zone.currentState && !zone.streamingPixels) {
+                    // Same state while fading: keep fading, towards the new color
+                    zone.fade.to = color;
+                } else if (!zone.baseColor || isOff || state !== zone.currentState || zone.streamingPixels || colorChanged) {
+                    // The sketch wipes on a new state without FADE; drawn instantly here
+                    zone.fade = null;
+                    zone.baseColor = color;
+                    this.fill(zone, color);
+                }
+                zone.streamingPixels = false;
+                zone.currentState = state;
+
+                const suffix = id > 0 || zone.count !== this.pixels.length ? ` (zone ${id})` : '';
+                return { ok: true, message: `state = ${state}${suffix}` };
+            },
+
+            // updateFade() and updatePulse() in the sketch
+            update() {
+                const now = Date.now();
+                // The last line of a pixel frame was lost: show what arrived
+                if (this.pixelFrameStart !== null && now - this.pixelFrameStart > definition.pixelFrameTimeout) {
+                    this.pixelFrameStart = null;
+                    this.show();
+                }
+
+                let changed = false;
+                this.zones.forEach(zone => {
+                    if (!zone.active || !zone.baseColor || zone.streamingPixels) return;
+
+                    if (zone.fade) {
+                        const { from, to, start, duration, ease } = zone.fade;
+                        const progress = (now - start) / duration;
+                        if (progress >= 1) {
+                            zone.fade = null;
+                            zone.baseColor = to;
+                        } else {
+                            const eased = ease(progress);
+                            zone.baseColor = from.map((channel, i) => Math.min(255, Math.max(0, Math.floor(channel + (to[i] - channel) * eased))));
+                        }
+                        this.fill(zone, zone.baseColor, false);
+                        changed = true;
+                    } else if (zone.pulse.period) {
+                        const { period, min, max } = zone.pulse;
+                        const phase = (now % period) / period;
+                        const factor = min + (max - min) * (Math.sin(2 * Math.PI * phase) + 1) * 0.5;
+                        this.fill(zone, zone.baseColor.map(channel => Math.floor(channel * factor)), false);
+                        changed = true;
+                    }
+                });
+                if (changed && this.pixelFrameStart === null) {
+                    this.show();
+                }
+            },
+
+            // "PIXELS,START[,+],HEX" - like the sketch, shows the strip only after a frame's last line
+            processPixels(command) {
+                const parts = command.split(',');
+                const start = parseInt(parts[1], 10);
+                const more = parts.length > 3;
+                if (more && parts[2] !== '+') {
+                    return { ok: false, message: 'Invalid pixel frame (flag)' };
+                }
+                const data = parts[more ? 3 : 2] || '';
+                const count = Math.floor(data.length / 8);
+                if (!(start >= 0) || count <= 0) {
+                    return { ok: false, message: 'Invalid pixel frame (no data)' };
+                }
+                if (!/^[0-9a-fA-F]*$/.test(data)) {
+                    return { ok: false, message: 'Invalid pixel frame (bad hex)' };
+                }
+
+                for (let i = 0; i < count && start + i < this.pixels.length; i++) {
+                    const group = data.slice(i * 8, i * 8 + 8);
+                    this.pixels[start + i] = [0, 2, 4, 6].map(offset => parseInt(group.slice(offset, offset + 2), 16));
+                }
+                // The web now drives the zones this frame covers
+                this.zones.forEach(zone => {
+                    if (zone.active && zone.first < start + count && zone.first + zone.count > start) {
+                        zone.fade = null;
+                        zone.streamingPixels = true;
+                    }
+                });
+                if (more) {
+                    this.pixelFrameStart = this.pixelFrameStart ?? Date.now();
+                } else {
+                    this.pixelFrameStart = null;
+                    this.show();
+                }
+                return { ok: true, message: '' };
+            },
+
+            // fillZone() in the sketch
+            fill(zone, color, show = true) {
+                for (let i = zone.first; i < zone.first + zone.count && i < this.pixels.length; i++) {
+                    this.pixels[i] = [...color];
+                }
+                if (show) {
+                    this.show();
+                }
+            },
+
+            createStrip() {
+                if (typeof document === 'undefined' || !document.body) return;
+                this.element = document.createElement('div');
+                this.element.className = 'led-sim-strip';
+                this.element.title = `Simulated LED strip${label ? ` (${label})` : ''} - click to toggle presence`;
+                // Further devices stack upwards from the first strip
+                if (index > 0) {
+                    this.element.style.transform = `translateY(${-index * definition.stripSpacing}px)`;
+                }
+                this.element.addEventListener('click', () => this.togglePresence());
+                this.pixels.forEach(() => {
+                    this.element.appendChild(document.createElement('span'));
+                });
+                document.body.appendChild(this.element);
+            },
+
+            // Approximate what an RGBW LED looks like: white adds to all three channels
+            show() {
+                if (!this.element) return;
+                this.pixels.forEach(([r, g, b, w], index) => {
+                    const cell = this.element.children[index];
+                    const channel = (value) => Math.min(255, value + w);
+                    cell.style.backgroundColor = `rgb(${channel(r)}, ${channel(g)}, ${channel(b)})`;
+                });
+            }
+        };
+    }
+};
@@ -0,0 +1,315 @@
+// Web MIDI control (controller only, Chrome/Edge)
+// Pads trigger states, faders ride speed, intensity, distortion and LED brightness
+// on top of the current state's config. Shift+M (or ?midi=1) opens the panel where
+// controls are bound with MIDI learn: click "Learn", then press the pad / move the fader.
+// Bindings are kept in localStorage. Bound pads light up for the active state.
+
+const MIDIControl = {
+    storageKey: 'midiBindings',
+    access: null,
+    bindings: { states: {}, faders: {} },
+    learning: null, // { kind: 'states' | 'faders', target }
+    values: {},     // fader target -> last factor
+    panel: null,
+    feedbackOn: 127,
+    feedbackOff: 0,
+
+    // Fader targets: CC 0-127 -> factor. Shader params center on 1 (unchanged) at 64.
+    faders: {
+        speed: { label: 'Speed', range: 2 },
+        intensity: { label: 'Intensity', range: 2 },
+        distortion: { label: 'Distortion', range: 2 },
+        ledBrightness: { label: 'LED brightness', range: 1 }
+    },
+
+    init() {
+        this.bindings = this.loadBindings();
+        this.buildPanel();
+
+        ExhibitionState.onChange(() => this.sendFeedback());
+
+        onShortcut('M', () => this.togglePanel());
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('midi') === '1') {
+            this.togglePanel(true);
+        }
+
+        // Browsers may ask for permission - only do so once MIDI is actually in use
+        if (this.hasBindings()) {
+            this.requestAccess();
+        }
+    },
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    },
+
+    async requestAccess() {
+        if (this.access || !this.isSupported()) return this.access;
+        try {
+            this.access = await navigator.requestMIDIAccess();
+        } catch (error) {
+            console.warn('MIDI access denied:', error.message);
+            this.refreshPanel();
+            return null;
+        }
+
+        this.access.addEventListener('statechange', () => {
+            this.attachInputs();
+            this.sendFeedback();
+            this.refreshPanel();
+        });
+        this.attachInputs();
+        this.sendFeedback();
+        this.refreshPanel();
+        return this.access;
+    },
+
+    attachInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data);
+        });
+    },
+
+    // ---------------- Bindings ----------------
+
+    loadBindings() {
+        try {
+            const stored = JSON.parse(safeStorage.get(this.storageKey));
+            if (stored) {
+                return { states: stored.states || {}, faders: stored.faders || {} };
+            }
+        } catch (error) {
+            console.warn('Stored MIDI bindings are not valid JSON', error);
+        }
+        return { states: {}, faders: {} };
+    },
+
+    saveBindings() {
+        safeStorage.set(this.storageKey, JSON.stringify(this.bindings));
+    },
+
+    hasBindings() {
+        return Object.keys(this.bindings.states).length > 0 || Object.keys(this.bindings.faders).length > 0;
+    },
+
+    // control: { type: 'note' | 'cc', channel: 1-16, number }
+    sameControl(a, b) {
+        return !!a && !!b && a.type === b.type && a.channel === b.channel && a.number === b.number;
+    },
+
+    describeControl(control) {
+        if (!control) return '-';
+        return `${control.type === 'note' ? 'Note' : 'CC'} ${control.number} · ch ${control.channel}`;
+    },
+
+    bind(kind, target, control) {
+        // A control does one thing
+        ['states', 'faders'].forEach(group => {
+            Object.keys(this.bindings[group]).forEach(key => {
+                if (this.sameControl(this.bindings[group][key], control)) {
+                    delete this.bindings[group][key];
+                }
+            });
+        });
+        this.bindings[kind][target] = control;
+        this.saveBindings();
+        this.sendFeedback();
+    },
+
+    unbind(kind, target) {
+        if (kind === 'faders') {
+            this.applyFader(target, null);
+        }
+        delete this.bindings[kind][target];
+        this.saveBindings();
+    },
+
+    // ---------------- Input ----------------
+
+    handleMessage(data) {
+        const [status, number, value = 0] = data;
+        const type = status & 0xf0;
+        const channel = (status & 0x0f) + 1;
+
+        let control;
+        if (type === 0x90 && value > 0) {
+            control = { type: 'note', channel, number };
+        } else if (type === 0xb0) {
+            control = { type: 'cc', channel, number };
+        } else {
+            return; // note off, clock, ...
+        }
+
+        if (this.learning) {
+            this.bind(this.learning.kind, this.learning.target, control);
+            this.learning = null;
+            this.refreshPanel();
+            return;
+        }
+
+        // Someone at the desk - also wakes the installation from sleep / blackout
+        ExhibitionState.inactivityWatcher?.reset('midi');
+
+        const state = Object.keys(this.bindings.states).find(id => this.sameControl(this.bindings.states[id], control));
+        // Buttons that send CC count as pressed above the middle
+        if (state && (control.type === 'note' || value >= 64)) {
+            if (state === ExhibitionState.currentState) {
+                this.sendFeedback();
+            } else {
+                ExhibitionState.changeState(state, { source: 'midi' });
+            }
+            return;
+        }
+
+        const fader = Object.keys(this.bindings.faders).find(target => this.sameControl(this.bindings.faders[target], control));
+        if (fader && control.type === 'cc') {
+            this.applyFader(fader, (value / 127) * this.faders[fader].range);
+        }
+    },
+
+    // factor, or null to hand the parameter back to the state config
+    applyFader(target, factor) {
+        if (factor === null) {
+            delete this.values[target];
+        } else {
+            // Exactly 1 around the center detent of a bipolar fader
+            this.values[target] = Math.abs(factor - 1) < 0.02 ? 1 : factor;
+        }
+
+        if (target === 'ledBrightness') {
+            if (typeof LEDController !== 'undefined') {
+                LEDController.setBrightness('midi', factor === null ? null : this.values[target]);
+            }
+        } else {
+            const { ledBrightness, ...shaderFactors } = this.values;
+            ExhibitionState.setModulation('midi', Object.keys(shaderFactors).length ? shaderFactors : null);
+        }
+        this.refreshFaderValues();
+    },
+
+    resetFaders() {
+        Object.keys(this.values).forEach(target => this.applyFader(target, null));
+    },
+
+    // ---------------- Pad feedback ----------------
+
+    // Light the pad of the active state, turn the other bound pads off
+    sendFeedback() {
+        if (!this.access) return;
+        const messages = Object.entries(this.bindings.states).map(([state, control]) => {
+            const value = state === ExhibitionState.currentState ? this.feedbackOn : this.feedbackOff;
+            const status = (control.type === 'note' ? 0x90 : 0xb0) | (control.channel - 1);
+            return [status, control.number, value];
+        });
+        this.access.outputs.forEach(output => {
+            messages.forEach(message => {
+                try {
+                    output.send(message);
+                } catch (error) {
+                    console.warn(`MIDI feedback to ${output.name} failed:`, error.message);
+                }
+            });
+        });
+    },
+
+    // ---------------- UI ----------------
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel midi-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>MIDI</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <div class="tuning-row midi-devices" data-field="devices"></div>
+            <div class="tuning-section" data-field="states"></div>
+            <div class="tuning-section" data-field="faders"></div>
+            <div class="tuning-row">
+                <button type="button" data-action="reset-faders">Reset faders</button>
+            </div>
+        `;
+
+        panel.addEventListener('click', (event) => {
+            const { action, kind, target } = event.target.dataset || {};
+            switch (action) {
+                case 'close':
+                    this.togglePanel(false);
+                    break;
+                case 'learn':
+                    this.learning = this.learning?.kind === kind && this.learning?.target === target ? null : { kind, target };
+                    this.refreshPanel();
+                    break;
+                case 'unbind':
+                    this.unbind(kind, target);
+                    this.refreshPanel();
+                    break;
+                case 'reset-faders':
+                    this.resetFaders();
+                    break;
+            }
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    },
+
+    togglePanel(force) {
+        if (!this.panel) return;
+        const open = typeof force === 'boolean' ? force : this.panel.hidden;
+        this.panel.hidden = !open;
+        if (open) {
+            this.requestAccess();
+            this.refreshPanel();
+        } else {
+            this.learning = null;
+        }
+    },
+
+    refreshPanel() {
+        if (!this.panel || this.panel.hidden) return;
+
+        const devices = this.panel.querySelector('[data-field="devices"]');
+        if (!this.isSupported()) {
+            devices.textContent = 'Web MIDI is not available in this browser (use Chrome or Edge).';
+        } else if (!this.access) {
+            devices.textContent = 'No MIDI access yet.';
+        } else {
+            const names = [...this.access.inputs.values()].map(input => input.name);
+            devices.textContent = names.length ? `Inputs: ${names.join(', ')}` : 'No MIDI devices connected.';
+        }
+
+        const row = (kind, target, label) => {
+            const isLearning = this.learning?.kind === kind && this.learning?.target === target;
+            const control = this.bindings[kind][target];
+            return `
+                <div class="tuning-row${isLearning ? ' midi-learning' : ''}">
+                    <span>${label}</span>
+                    <output>${isLearning ? 'Press or move…' : this.describeControl(control)}</output>
+                    ${kind === 'faders' ? `<output data-value="${target}"></output>` : ''}
+                    <button type="button" data-action="learn" data-kind="${kind}" data-target="${target}">${isLearning ? 'Cancel' : 'Learn'}</button>
+                    <button type="button" data-action="unbind" data-kind="${kind}" data-target="${target}" ${control ? '' : 'disabled'}>×</button>
+                </div>
+            `;
+        };
+
+        this.panel.querySelector('[data-field="states"]').innerHTML =
+            StateCatalogue.states.map(state => row('states', state.id, state.label)).join('');
+        this.panel.querySelector('[data-field="faders"]').innerHTML =
+            Object.entries(this.faders).map(([target, fader]) => row('faders', target, fader.label)).join('');
+        this.refreshFaderValues();
+    },
+
+    refreshFaderValues() {
+        if (!this.panel || this.panel.hidden) return;
+        Object.keys(this.faders).forEach(target => {
+            const output = this.panel.querySelector(`[data-value="${target}"]`);
+            if (output) {
+                output.textContent = target in this.values ? `×${this.values[target].toFixed(2)}` : '';
+            }
+        });
+    }
+};
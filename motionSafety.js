@@ -0,0 +1,236 @@
+// Photosensitivity and motion safeguards
+// Limits what the swirl and the LEDs may do, whatever states.json, a tuned variant or a live
+// input (MIDI, audio, idle stages) asks for:
+// - flash frequency: the LED pulse and the periodic patterns (rings, waves) stay below
+//   maxFlashRate bright-dark cycles per second (WCAG allows 3)
+// - rate of luminance change: state transitions are stretched, the rendered colors and the
+//   LED brightness follow at most maxLuminanceRate (relative luminance, 0-1) per second
+// - speed and intensity are capped
+// Calm mode uses stricter limits. The controller switches it for every page (tuning panel or
+// ?calm=1, remembered; ?calm=off), and a page whose system asks for reduced motion
+// (prefers-reduced-motion) is always calm; its body gets the class "calm-mode", which stops the
+// CSS state animations. The controller shows where a config is limited.
+
+const MotionSafety = {
+    limits: { maxSpeed: 0.9, maxIntensity: 1.5, maxFlashRate: 3, maxLuminanceRate: 2 },
+    calmLimits: { maxSpeed: 0.15, maxIntensity: 0.5, maxFlashRate: 0.25, maxLuminanceRate: 0.2 },
+    storageKey: 'calmMode',
+
+    calm: false,            // site-wide calm mode, set on the controller
+    reducedMotion: false,   // this page's system setting
+    onChange: null,
+    frame: null,            // last rendered { primary, secondary, level, time }
+    slews: {},              // key -> { value, time } (see slew)
+
+    init({ onChange } = {}) {
+        this.onChange = onChange || null;
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('calm')) {
+            safeStorage.set(this.storageKey, params.get('calm') === 'off' ? '' : '1');
+        }
+        this.calm = safeStorage.get(this.storageKey) === '1';
+
+        const query = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+        if (query) {
+            this.reducedMotion = query.matches;
+            query.addEventListener?.('change', (event) => {
+                this.reducedMotion = event.matches;
+                this.update();
+            });
+        }
+        document.body.classList.toggle('calm-mode', this.isCalm());
+    },
+
+    update() {
+        document.body.classList.toggle('calm-mode', this.isCalm());
+        this.onChange?.();
+    },
+
+    isCalm() {
+        return this.calm || this.reducedMotion;
+    },
+
+    getLimits() {
+        return this.isCalm() ? this.calmLimits : this.limits;
+    },
+
+    setCalm(enabled) {
+        if (this.calm === !!enabled) return;
+        this.calm = !!enabled;
+        safeStorage.set(this.storageKey, this.calm ? '1' : '');
+        this.update();
+    },
+
+    // ---------------- Luminance ----------------
+
+    // sRGB channel (0-1) <-> linear light
+    toLinear(channel) {
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    },
+
+    fromLinear(value) {
+        return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    },
+
+    // Relative luminance (WCAG) of an RGB color, channels 0-1
+    getLuminance(color) {
+        const [r, g, b] = color.map(channel => this.toLinear(Math.min(1, Math.max(0, channel))));
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    },
+
+    // The swirl's overall brightness: its colors weighted like the LED's screen color
+    getColorLevel(primary, secondary) {
+        return this.getLuminance(primary) * 0.3 + this.getLuminance(secondary) * 0.7;
+    },
+
+    // An LED color (0-255, { r, g, b, w }); the white channel counts as white light
+    getLEDLevel(color) {
+        return Math.min(1, this.getLuminance([color.r, color.g, color.b].map(value => value / 255)) + color.w / 255);
+    },
+
+    // Luminance of everything a state shows: page background, swirl colors, LED color (null where unset)
+    getStateLevels(state) {
+        const config = stateConfigs[state];
+        const definition = StateCatalogue.get(state);
+        const background = /^#[0-9a-f]{6}$/i.test(definition?.background || '')
+            ? [1, 3, 5].map(offset => parseInt(definition.background.slice(offset, offset + 2), 16) / 255)
+            : null;
+        const ledColor = definition?.led?.color;
+        return {
+            background: background ? this.getLuminance(background) : null,
+            primary: config ? this.getLuminance(config.primary) : null,
+            secondary: config ? this.getLuminance(config.secondary) : null,
+            led: ledColor ? this.getLEDLevel({ r: ledColor[0], g: ledColor[1], b: ledColor[2], w: ledColor[3] }) : null
+        };
+    },
+
+    // Largest luminance step of a state change
+    getLevelChange(from, to) {
+        const start = this.getStateLevels(from);
+        const end = this.getStateLevels(to);
+        return Object.keys(end).reduce((largest, key) => (
+            start[key] === null || end[key] === null ? largest : Math.max(largest, Math.abs(end[key] - start[key]))
+        ), 0);
+    },
+
+    // Steepest part of an easing (1 for linear), measured once per easing
+    getPeakSlope(easing) {
+        if (easing.peakSlope === undefined) {
+            const steps = 64;
+            let peak = 0;
+            for (let step = 0; step < steps; step++) {
+                peak = Math.max(peak, Math.abs(easing.fn((step + 1) / steps) - easing.fn(step / steps)) * steps);
+            }
+            easing.peakSlope = peak;
+        }
+        return easing.peakSlope;
+    },
+
+    // ---------------- Limits ----------------
+
+    // Highest speed for a pattern: maxSpeed, and for periodic patterns their flash rate
+    // (cycles per second at speed 1, see patterns.js) within maxFlashRate
+    getMaxSpeed(pattern) {
+        const limits = this.getLimits();
+        const flashRate = SwirlPatterns.get(pattern)?.flashRate;
+        return flashRate ? Math.min(limits.maxSpeed, limits.maxFlashRate / flashRate) : limits.maxSpeed;
+    },
+
+    // A transition long enough that, on its steepest part, no color it moves changes faster than allowed
+    limitTransition(transition, from, to) {
+        if (!from || !to || from === to) return transition;
+        const change = this.getLevelChange(from, to);
+        const minDuration = change * this.getPeakSlope(transition.color) / this.getLimits().maxLuminanceRate;
+        if (transition.duration >= minDuration) return transition;
+        return { ...transition, duration: Math.ceil(minDuration * 10) / 10 };
+    },
+
+    // LED pulse ({ period (ms), min, max }) of a base color (0-255): at most maxFlashRate cycles
+    // per second, and a sine slow enough for maxLuminanceRate
+    limitPulse(pulse, color) {
+        if (!(pulse.period > 0)) return pulse;
+        const limits = this.getLimits();
+        const swing = (pulse.max - pulse.min) * this.getLEDLevel(color);
+        const minPeriod = Math.max(1000 / limits.maxFlashRate, Math.PI * swing * 1000 / limits.maxLuminanceRate);
+        return pulse.period >= minPeriod ? pulse : { ...pulse, period: Math.ceil(minPeriod) };
+    },
+
+    // A value (0-1, e.g. LED brightness) that moves towards target at most maxLuminanceRate per second
+    slew(key, target, time = performance.now() / 1000) {
+        const last = this.slews[key];
+        let value = target;
+        if (last) {
+            const step = this.getLimits().maxLuminanceRate * Math.max(0, time - last.time);
+            value = Math.min(last.value + step, Math.max(last.value - step, target));
+        }
+        this.slews[key] = { value, time };
+        return value;
+    },
+
+    // A render config (after modulations) within the limits: speed and intensity capped, colors
+    // following their target at most maxLuminanceRate per second (mixed in linear light)
+    limitFrame(config, time = performance.now() / 1000) {
+        const limits = this.getLimits();
+        const patterns = [config.pattern, config.fade?.pattern].filter(Boolean);
+        config.speed = Math.min(config.speed, ...patterns.map(pattern => this.getMaxSpeed(pattern)));
+        config.intensity = Math.min(config.intensity, limits.maxIntensity);
+
+        const level = this.getColorLevel(config.primary, config.secondary);
+        const last = this.frame;
+        if (last) {
+            const step = limits.maxLuminanceRate * Math.max(0, time - last.time);
+            const change = Math.abs(level - last.level);
+            if (change > step) {
+                const share = step / change;
+                const mix = (from, to) => to.map((channel, index) =>
+                    this.fromLinear(this.toLinear(from[index]) + (this.toLinear(channel) - this.toLinear(from[index])) * share));
+                config.primary = mix(last.primary, config.primary);
+                config.secondary = mix(last.secondary, config.secondary);
+            }
+        }
+        this.frame = {
+            primary: config.primary,
+            secondary: config.secondary,
+            level: this.getColorLevel(config.primary, config.secondary),
+            time
+        };
+        return config;
+    },
+
+    // ---------------- Warnings ----------------
+
+    // What the limits change about a state as it is configured (for the controller)
+    check(state) {
+        const config = stateConfigs[state];
+        if (!config) return [];
+        const limits = this.getLimits();
+        const warnings = [];
+
+        const maxSpeed = this.getMaxSpeed(config.pattern);
+        if (config.speed > maxSpeed) {
+            warnings.push(`Speed ${config.speed.toFixed(2)} is above ${maxSpeed.toFixed(2)} for ${SwirlPatterns.get(config.pattern)?.label || config.pattern}`);
+        }
+        if (config.intensity > limits.maxIntensity) {
+            warnings.push(`Intensity ${config.intensity.toFixed(2)} is above ${limits.maxIntensity.toFixed(2)}`);
+        }
+
+        if (typeof LEDController !== 'undefined') {
+            const pulse = LEDController.getStatePulse(state);
+            const limited = this.limitPulse(pulse, LEDController.getStateColor(state));
+            if (limited.period !== pulse.period) {
+                warnings.push(`LED pulse of ${pulse.period} ms is slowed to ${limited.period} ms`);
+            }
+        }
+
+        StateCatalogue.ids().filter(from => from !== state).forEach(from => {
+            const transition = Transitions.resolve(from, state, { limited: false });
+            const limited = this.limitTransition(transition, from, state);
+            if (limited.duration !== transition.duration) {
+                const label = StateCatalogue.get(from)?.label || from;
+                warnings.push(`Change from ${label} takes ${limited.duration} s instead of ${transition.duration} s`);
+            }
+        });
+        return warnings;
+    }
+};
@@ -0,0 +1,140 @@
+// OSC control input (controller only)
+// Show-control systems (QLab, TouchDesigner, ...) send OSC over UDP to bridge/osc-bridge.js,
+// which passes it on over WebSocket. Enable with ?osc=ws://localhost:8082 (remembered
+// afterwards, ?osc=off to forget).
+//
+//   /exhibition/state alert              -> ExhibitionState.changeState('alert')
+//   /exhibition/param/speed 0.3          -> speed of the current state, live
+//   /exhibition/param/primary 0.3 0.1 0  -> color of the current state (RGB 0-1)
+//   /exhibition/state/get                -> replies with the feedback message below
+//
+// Outgoing feedback on every state change: /exhibition/state/current <id> <source>
+
+const OSCControl = {
+    prefix: '/exhibition',
+    socket: null,
+    isOpen: false,
+    url: null,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 30000,
+
+    init() {
+        this.url = this.getUrl();
+        if (!this.url) return;
+
+        ExhibitionState.onChange((state, { source }) => {
+            this.send('/state/current', [state, source]);
+        });
+
+        this.open();
+    },
+
+    getUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const requested = params.get('osc');
+        if (requested === 'off') {
+            safeStorage.set('oscBridgeUrl', '');
+            return null;
+        }
+        if (requested) {
+            safeStorage.set('oscBridgeUrl', requested);
+            return requested;
+        }
+        return safeStorage.get('oscBridgeUrl') || null;
+    },
+
+    open() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.isOpen = true;
+            this.reconnectAttempts = 0;
+            console.log(`OSC bridge connected (${this.url})`);
+        });
+
+        socket.addEventListener('message', (event) => {
+            try {
+                this.handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring OSC message:', error.message);
+            }
+        });
+
+        socket.addEventListener('close', () => {
+            if (this.isOpen) {
+                console.warn('OSC bridge connection lost');
+            }
+            this.isOpen = false;
+            this.socket = null;
+            this.scheduleReconnect();
+        });
+    },
+
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        const delay = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts));
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    },
+
+    // address is relative to the prefix, e.g. '/state/current'
+    send(address, args = []) {
+        if (!this.isOpen) return;
+        this.socket.send(JSON.stringify({ address: this.prefix + address, args }));
+    },
+
+    handleMessage({ address, args = [] }) {
+        if (typeof address !== 'string' || !address.startsWith(this.prefix + '/')) {
+            throw new Error(`unknown address ${address}`);
+        }
+        const path = address.slice(this.prefix.length);
+
+        if (path === '/state') {
+            const state = String(args[0] ?? '').toLowerCase();
+            if (!StateCatalogue.has(state)) {
+                throw new Error(`unknown state "${state}"`);
+            }
+            ExhibitionState.inactivityWatcher?.reset('osc');
+            ExhibitionState.changeState(state, { source: 'osc' });
+        } else if (path === '/state/get') {
+            this.send('/state/current', [ExhibitionState.currentState, 'query']);
+        } else if (path.startsWith('/param/')) {
+            ExhibitionState.inactivityWatcher?.reset('osc');
+            this.setParam(path.slice('/param/'.length), args);
+        } else {
+            throw new Error(`unknown address ${address}`);
+        }
+    },
+
+    // Changes the current state's config the same way the tuning panel does (viewers and LEDs follow)
+    setParam(name, args) {
+        const state = ExhibitionState.currentState;
+        const config = stateConfigs[state];
+        if (!config) return;
+
+        let value;
+        if (name === 'primary' || name === 'secondary') {
+            value = args.slice(0, 3).map(Number);
+            if (value.length !== 3 || !value.every(Number.isFinite)) {
+                throw new Error(`${name} needs three numbers`);
+            }
+            value = value.map(channel => Math.min(1, Math.max(0, channel)));
+        } else if (StateCatalogue.shaderParams.includes(name)) {
+            value = Number(args[0]);
+            if (!Number.isFinite(value)) {
+                throw new Error(`${name} needs a number`);
+            }
+            value = Math.max(0, value);
+        } else {
+            throw new Error(`unknown parameter "${name}"`);
+        }
+
+        ExhibitionState.applyStateConfigs({ [state]: { ...config, [name]: value } });
+        if (typeof TuningPanel !== 'undefined') {
+            TuningPanel.refresh();
+        }
+    }
+};
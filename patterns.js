@@ -0,0 +1,240 @@
+// Pattern library for the swirl background
+// Each pattern is the main() of a fragment shader plus the schema of its own uniforms. All
+// patterns share the uniforms and helpers in `common` (colors, speed, intensity, noise scale,
+// distortion, quality octaves, hash / noise / fbm), so every state config drives any of them.
+// A state picks its pattern in states.json:
+//   "shader": { "primary": [...], ..., "pattern": "pulse", "params": { "rings": 4 } }
+// Pattern uniforms are floats named u_<param>; params left out get the schema's default.
+// SwirlBackground compiles every pattern and crossfades between two of them on a state change.
+// The fallback renderers (swirlFallback.js) always draw the swirl.
+
+const SwirlPatterns = {
+    defaultPattern: 'swirl',
+
+    common: `
+        precision highp float;
+        uniform vec2 u_resolution;
+        uniform vec2 u_offset; // of this tile in the whole picture (captures larger than a canvas)
+        uniform float u_time;
+        uniform vec3 u_colorA;
+        uniform vec3 u_colorB;
+        uniform float u_speed;
+        uniform float u_intensity;
+        uniform float u_noiseScale;
+        uniform float u_distortion;
+        uniform int u_octaves;
+
+        float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+        }
+
+        float noise(vec2 p, float sharpness) {
+            vec2 i = floor(p);
+            vec2 f = fract(p);
+            float a = hash(i);
+            float b = hash(i + vec2(1.0, 0.0));
+            float c = hash(i + vec2(0.0, 1.0));
+            float d = hash(i + vec2(1.0, 1.0));
+
+            // Interpolation based on sharpness: smooth for low speed, sharp for high speed
+            // sharpness is normalized 0-1, where 0 = smooth curves, 1 = sharp/spikey
+            float curvePower = mix(2.0, 0.3, sharpness); // 2.0 = smooth, 0.3 = sharp/spikey
+
+            vec2 u;
+            u.x = pow(f.x, curvePower);
+            u.y = pow(f.y, curvePower);
+
+            return mix(a, b, u.x) +
+                   (c - a) * u.y * (1.0 - u.x) +
+                   (d - b) * u.x * u.y;
+        }
+
+        float fbm(vec2 p, float sharpness) {
+            float total = 0.0;
+            float amplitude = 0.5;
+            // Loops need a constant bound in WebGL 1 - the quality level stops it early
+            for (int i = 0; i < 5; i++) {
+                if (i >= u_octaves) break;
+                total += noise(p, sharpness) * amplitude;
+                p *= 2.0;
+                amplitude *= 0.5;
+            }
+            return total;
+        }
+
+        // Position in the whole picture, centered and corrected for the aspect ratio
+        vec2 centeredPosition() {
+            vec2 uv = (gl_FragCoord.xy + u_offset) / u_resolution.xy;
+            return (uv - 0.5) * vec2(u_resolution.x / u_resolution.y, 1.0);
+        }
+    `,
+
+    // id -> { label, uniforms: { name: { label, min, max, step, default } }, source }
+    // flashRate: bright-dark cycles per second a point goes through at speed 1, for the
+    // periodic patterns - MotionSafety keeps it below its flash limit
+    patterns: {
+        swirl: {
+            label: 'Swirl',
+            uniforms: {},
+            source: `
+                void main() {
+                    vec2 centered = centeredPosition();
+
+                    // Normalize speed to control curve sharpness (0.08 to 0.9 range)
+                    float normalizedSpeed = clamp((u_speed - 0.05) / 0.85, 0.0, 1.0);
+                    float curveSharpness = normalizedSpeed;
+
+                    float t = u_time * u_speed;
+                    float flow = fbm(centered * u_noiseScale + t, curveSharpness);
+                    float swirl = fbm(centered * (u_noiseScale * 0.5) + vec2(flow * u_distortion), curveSharpness);
+
+                    // Make rotation angle changes more abrupt for high speed (spikey curves)
+                    float angleMultiplier = mix(1.0, 2.5, normalizedSpeed); // More rotation variation at high speed
+                    float angle = swirl * 6.2831 * angleMultiplier;
+                    float s = sin(angle);
+                    float c = cos(angle);
+                    vec2 rotated = mat2(c, -s, s, c) * centered;
+
+                    float layered = fbm(rotated * (u_noiseScale * 1.8) + t * 0.2, curveSharpness);
+
+                    // Adjust smoothstep edges based on speed: sharper transitions for high speed
+                    float edgeLow = mix(0.1, 0.3, normalizedSpeed);
+                    float edgeHigh = mix(0.9, 0.7, normalizedSpeed);
+                    float pattern = smoothstep(edgeLow, edgeHigh, layered * u_intensity);
+
+                    // Apply additional sharpening for very high speeds (spikey effect)
+                    float spikeFactor = clamp((normalizedSpeed - 0.7) / 0.3, 0.0, 1.0);
+                    pattern = mix(pattern, pow(pattern, 0.4), spikeFactor);
+
+                    vec3 color = mix(u_colorA, u_colorB, pattern);
+                    gl_FragColor = vec4(color, 1.0);
+                }
+            `
+        },
+
+        // Horizontal bands rolling upwards, their fronts bent by noise
+        waves: {
+            label: 'Waves',
+            flashRate: 6 / 6.2831,
+            uniforms: {
+                waveCount: { label: 'Waves', min: 1, max: 8, step: 0.5, default: 3 },
+                tilt: { label: 'Tilt', min: -1, max: 1, step: 0.05, default: 0.2 }
+            },
+            source: `
+                void main() {
+                    vec2 centered = centeredPosition();
+                    float t = u_time * u_speed;
+
+                    float bend = (fbm(centered * u_noiseScale + vec2(t * 0.3, 0.0), 0.0) - 0.5) * u_distortion;
+                    float phase = (centered.y + centered.x * u_tilt + bend) * u_waveCount * 6.2831 - t * 6.0;
+                    float wave = 0.5 + 0.5 * sin(phase);
+
+                    float pattern = smoothstep(0.15, 0.85, wave) * clamp(u_intensity * 1.6, 0.0, 1.0);
+                    gl_FragColor = vec4(mix(u_colorA, u_colorB, pattern), 1.0);
+                }
+            `
+        },
+
+        // Soft glowing specks carried upwards by a slow noise current, each twinkling on its own
+        drift: {
+            label: 'Particle drift',
+            flashRate: 5 / 6.2831,
+            uniforms: {
+                density: { label: 'Density', min: 4, max: 40, step: 1, default: 14 },
+                size: { label: 'Particle size', min: 0.05, max: 0.5, step: 0.01, default: 0.2 }
+            },
+            source: `
+                void main() {
+                    vec2 centered = centeredPosition();
+                    float t = u_time * u_speed;
+
+                    // One particle per grid cell; the whole grid is moved by the current
+                    vec2 current = vec2(fbm(centered * u_noiseScale + t * 0.2, 0.0),
+                                        fbm(centered * u_noiseScale - t * 0.2 + 7.3, 0.0)) - 0.5;
+                    vec2 p = (centered + current * u_distortion * 0.3) * u_density + vec2(0.0, -t * 2.0);
+                    vec2 cell = floor(p);
+
+                    // Neighbouring cells too, so a particle near the edge of its cell is not clipped
+                    float glow = 0.0;
+                    for (int y = -1; y <= 1; y++) {
+                        for (int x = -1; x <= 1; x++) {
+                            vec2 c = cell + vec2(float(x), float(y));
+                            vec2 center = c + 0.5 + (vec2(hash(c), hash(c + 17.0)) - 0.5) * 0.5;
+                            center += vec2(sin(t * 3.0 + hash(c + 3.1) * 6.2831), cos(t * 2.0 + hash(c + 5.7) * 6.2831)) * 0.2;
+                            float twinkle = 0.5 + 0.5 * sin(t * 5.0 + hash(c + 9.2) * 6.2831);
+                            glow += (1.0 - smoothstep(0.0, u_size, length(p - center))) * twinkle;
+                        }
+                    }
+
+                    float haze = fbm(centered * u_noiseScale * 0.5 + t * 0.1, 0.0) * 0.4;
+                    float pattern = clamp((glow * 1.6 + haze) * u_intensity, 0.0, 1.0);
+                    gl_FragColor = vec4(mix(u_colorA, u_colorB, pattern), 1.0);
+                }
+            `
+        },
+
+        // Rings running out from the center with a sharp front and a soft tail
+        pulse: {
+            label: 'Radial pulse',
+            flashRate: 2,
+            uniforms: {
+                rings: { label: 'Rings', min: 1, max: 10, step: 0.5, default: 3 },
+                sharpness: { label: 'Sharpness', min: 0, max: 1, step: 0.05, default: 0.6 }
+            },
+            source: `
+                void main() {
+                    vec2 centered = centeredPosition();
+                    float t = u_time * u_speed;
+
+                    float wobble = (fbm(centered * u_noiseScale * 2.0 + t * 0.5, u_sharpness) - 0.5) * u_distortion * 0.3;
+                    float radius = length(centered) + wobble;
+                    float phase = fract(radius * u_rings - t * 2.0);
+                    float ring = pow(phase, mix(1.0, 6.0, u_sharpness));
+
+                    // Brightest in the middle
+                    float falloff = mix(1.0, 0.5, smoothstep(0.1, 0.9, radius));
+                    float pattern = clamp(ring * falloff * u_intensity * 1.5, 0.0, 1.0);
+                    gl_FragColor = vec4(mix(u_colorA, u_colorB, pattern), 1.0);
+                }
+            `
+        }
+    },
+
+    // Add a pattern: { label, uniforms, source, flashRate } - see patterns
+    register(id, pattern) {
+        if (!/^[a-z0-9-]+$/.test(id) || typeof pattern?.source !== 'string') {
+            console.warn(`Ignoring invalid pattern "${id}"`);
+            return;
+        }
+        this.patterns[id] = { label: id, uniforms: {}, ...pattern };
+    },
+
+    has(id) {
+        return Object.prototype.hasOwnProperty.call(this.patterns, id);
+    },
+
+    get(id) {
+        return this.has(id) ? this.patterns[id] : null;
+    },
+
+    ids() {
+        return Object.keys(this.patterns);
+    },
+
+    // Complete fragment shader: shared part, the pattern's uniforms, its main()
+    getFragmentSource(id) {
+        const pattern = this.get(id);
+        const declarations = Object.keys(pattern.uniforms).map(name => `uniform float u_${name};`).join('\n');
+        return `${this.common}\n${declarations}\n${pattern.source}`;
+    },
+
+    // A config's params for its pattern: the known ones within range, defaults for the rest
+    resolveParams(id, params) {
+        const resolved = {};
+        Object.entries(this.get(id)?.uniforms || {}).forEach(([name, schema]) => {
+            const value = params?.[name];
+            resolved[name] = Number.isFinite(value) ? Math.min(schema.max, Math.max(schema.min, value)) : schema.default;
+        });
+        return resolved;
+    }
+};
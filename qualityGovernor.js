@@ -0,0 +1,188 @@
+// Render quality governor for the swirl background
+// Measures the frame rate and steps the render resolution and fbm octave count down
+// when the machine can't hold the target, and back up once it has headroom again.
+// Rendering pauses while the page is hidden (except the frames LED flow mode samples, see
+// SwirlBackground.updateBackgroundSampling).
+//   ?maxFps=30   cap the frame rate, e.g. for fanless PCs (remembered, ?maxFps=off to remove)
+//   ?quality=2   pin a quality level (0 = lowest) instead of adapting
+// SwirlBackground asks shouldRender() before and calls recordFrame() after every frame.
+
+const QualityGovernor = {
+    // resolution: share of the device pixels rendered (devicePixelRatio, at most maxPixelRatio)
+    levels: [
+        { resolution: 0.3, octaves: 2 },
+        { resolution: 0.45, octaves: 3 },
+        { resolution: 0.6, octaves: 4 },
+        { resolution: 0.8, octaves: 5 },
+        { resolution: 1, octaves: 5 }
+    ],
+    maxPixelRatio: 2,
+    targetFps: 60,
+    sampleSeconds: 2,       // frame rate is measured over this window
+    upgradeSeconds: 10,     // steady target frame rate needed before stepping up
+    holdSeconds: 60,        // no stepping down after a step that did not help
+    retrySeconds: 300,      // a level that was too slow is not tried again before this
+
+    level: null,
+    pinned: false,
+    maxFps: null,
+    paused: false,
+    fps: 0,
+    lastFrameTime: null,
+    windowStart: null,
+    windowFrames: 0,
+    steadySince: null,
+    stepDown: null,         // { fps } of the window before the last step down
+    holdUntil: 0,
+    slowAt: {},             // level -> time it was last left for being too slow
+    onLevelChange: null,
+
+    // hooks: { onPause, onResume, onLevelChange }
+    init({ onPause, onResume, onLevelChange } = {}) {
+        this.onLevelChange = onLevelChange;
+        this.level = this.levels.length - 1;
+
+        const params = new URLSearchParams(window.location.search);
+        const requestedCap = params.get('maxFps');
+        if (requestedCap === 'off') {
+            safeStorage.set('maxFps', '');
+        } else if (requestedCap) {
+            safeStorage.set('maxFps', requestedCap);
+        }
+        this.setMaxFps(parseFloat(safeStorage.get('maxFps')) || null, { persist: false });
+
+        const requestedLevel = parseInt(params.get('quality'), 10);
+        if (requestedLevel >= 0 && requestedLevel < this.levels.length) {
+            this.level = requestedLevel;
+            this.pinned = true;
+        }
+
+        document.addEventListener('visibilitychange', () => {
+            this.paused = document.hidden;
+            this.reset();
+            if (this.paused) {
+                onPause?.();
+            } else {
+                onResume?.();
+            }
+        });
+        this.paused = !!document.hidden;
+    },
+
+    // frames per second, or null for no cap
+    setMaxFps(fps, { persist = true } = {}) {
+        this.maxFps = fps > 0 ? fps : null;
+        if (persist) {
+            safeStorage.set('maxFps', this.maxFps ? String(this.maxFps) : '');
+        }
+        this.reset();
+    },
+
+    // Start measuring afresh, e.g. after a pause (the gap is no slow frame)
+    reset() {
+        this.lastFrameTime = null;
+        this.windowStart = null;
+        this.windowFrames = 0;
+        this.steadySince = null;
+        this.stepDown = null;
+    },
+
+    getLevel() {
+        return this.levels[this.level ?? this.levels.length - 1];
+    },
+
+    // Device pixels per CSS pixel to render at
+    getPixelRatio() {
+        const devicePixelRatio = Math.min(window.devicePixelRatio || 1, this.maxPixelRatio);
+        return devicePixelRatio * this.getLevel().resolution;
+    },
+
+    // time in seconds (requestAnimationFrame timestamp)
+    shouldRender(time) {
+        if (this.paused) return false;
+        // A little slack so a 30 fps cap on a 60 Hz screen does not drop to 20
+        if (this.maxFps && this.lastFrameTime !== null && time - this.lastFrameTime < 1 / this.maxFps - 0.004) {
+            return false;
+        }
+        return true;
+    },
+
+    recordFrame(time) {
+        if (this.lastFrameTime === null || time - this.lastFrameTime > 0.5) {
+            // First frame, or back from a stall - start a new window
+            this.windowStart = time;
+            this.windowFrames = 0;
+        } else {
+            this.windowFrames++;
+        }
+        this.lastFrameTime = time;
+
+        const elapsed = time - this.windowStart;
+        if (elapsed < this.sampleSeconds) return;
+
+        this.fps = this.windowFrames / elapsed;
+        this.windowStart = time;
+        this.windowFrames = 0;
+        if (!this.pinned) {
+            this.adapt(time);
+        }
+    },
+
+    adapt(time) {
+        const target = Math.min(this.targetFps, this.maxFps || Infinity);
+
+        // The last step down did not speed things up (e.g. a 50 Hz screen, or the CPU is the
+        // bottleneck) - go back and leave the quality alone for a while
+        if (this.stepDown) {
+            const helped = this.fps > this.stepDown.fps * 1.05;
+            this.stepDown = null;
+            if (!helped && this.fps < target * 0.85) {
+                this.holdUntil = time + this.holdSeconds;
+                this.setLevel(this.level + 1);
+                return;
+            }
+        }
+
+        if (this.fps < target * 0.85) {
+            this.steadySince = null;
+            if (this.level > 0 && time >= this.holdUntil) {
+                this.stepDown = { fps: this.fps };
+                this.slowAt[this.level] = time;
+                this.setLevel(this.level - 1);
+            }
+        } else if (this.fps >= target * 0.95) {
+            this.steadySince = this.steadySince ?? time;
+            const next = this.level + 1;
+            const recentlySlow = time - (this.slowAt[next] ?? -Infinity) < this.retrySeconds;
+            if (next < this.levels.length && !recentlySlow && time - this.steadySince >= this.upgradeSeconds) {
+                this.steadySince = null;
+                this.setLevel(this.level + 1);
+            }
+        } else {
+            this.steadySince = null;
+        }
+    },
+
+    setLevel(level) {
+        level = Math.min(this.levels.length - 1, Math.max(0, level));
+        if (level === this.level) return;
+        console.log(`Render quality ${this.level} -> ${level} at ${this.fps.toFixed(1)} fps`);
+        this.level = level;
+        this.onLevelChange?.(this.getLevel());
+    },
+
+    // For the controller: { fps, level, levels, resolution, octaves, maxFps, pinned, paused }
+    getStats() {
+        const { resolution, octaves } = this.getLevel();
+        return {
+            fps: Math.round(this.fps * 10) / 10,
+            level: this.level,
+            levels: this.levels.length,
+            resolution,
+            octaves,
+            maxFps: this.maxFps,
+            pinned: this.pinned,
+            paused: this.paused
+        };
+    }
+};
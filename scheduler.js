@@ -0,0 +1,477 @@
+// Cue list and time-of-day scheduler (controller only)
+// Runs the exhibition unattended: opening hours, timed cue sequences and rules
+// that start a sequence at a time of day (e.g. the closing sequence at 17:45).
+// A manual state change pauses the schedule; Shift+S (or ?schedule=1) opens the editor.
+//
+// Schedule format (stored in localStorage, edited as JSON):
+//   enabled          - run the schedule at all
+//   closedState      - state outside opening hours
+//   overrideMinutes  - how long a manual change pauses the schedule (0 = until "Resume")
+//   hours            - [{ days: [0-6, Sunday = 0], open: "HH:MM", close: "HH:MM" }], days optional; [] = always open
+//   sequences        - { name: { loop, cues: [{ state, minutes }] } }, the last cue may omit minutes to hold
+//   rules            - [{ at: "HH:MM", days, sequence | state }], each runs until the next rule or closing time
+
+const Scheduler = {
+    storageKey: 'exhibitionSchedule',
+    pauseKey: 'exhibitionSchedulePause',
+    schedule: null,
+    pause: null,
+    timer: null,
+    tickInterval: 1000,
+    statusElement: null,
+    panel: null,
+
+    defaults: {
+        enabled: false,
+        closedState: 'standby',
+        overrideMinutes: 15,
+        hours: [
+            { open: '10:00', close: '18:00' }
+        ],
+        sequences: {
+            main: {
+                loop: true,
+                cues: [
+                    { state: 'arrival', minutes: 2 },
+                    { state: 'adaptive', minutes: 5 },
+                    { state: 'connection', minutes: 5 }
+                ]
+            },
+            closing: {
+                loop: false,
+                cues: [
+                    { state: 'connection', minutes: 10 },
+                    { state: 'standby' }
+                ]
+            }
+        },
+        rules: [
+            { at: '10:00', sequence: 'main' },
+            { at: '17:45', sequence: 'closing' }
+        ]
+    },
+
+    init() {
+        this.schedule = this.loadSchedule();
+        this.pause = this.loadPause();
+
+        this.buildStatus();
+        this.buildPanel();
+
+        ExhibitionState.onChange((state, { source }) => {
+            // Changes made by the schedule itself, the idle fallback or sensor rules don't count as overrides
+            if (!['schedule', 'inactivity', 'rule'].includes(source) && this.schedule.enabled) {
+                this.pauseForOverride();
+            }
+        });
+
+        onShortcut('S', () => this.togglePanel());
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('schedule') === '1') {
+            this.togglePanel(true);
+        }
+
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+    },
+
+    // ---------------- Storage ----------------
+
+    loadSchedule() {
+        const stored = safeStorage.get(this.storageKey);
+        if (stored) {
+            try {
+                return this.validate(JSON.parse(stored));
+            } catch (error) {
+                console.warn('Stored schedule is invalid, using the default:', error.message);
+            }
+        }
+        return this.clone(this.defaults);
+    },
+
+    saveSchedule(schedule) {
+        this.schedule = this.validate(schedule);
+        safeStorage.set(this.storageKey, JSON.stringify(this.schedule));
+        this.resume();
+    },
+
+    // { until: timestamp } or { until: null } for "until resumed"
+    loadPause() {
+        try {
+            const pause = JSON.parse(safeStorage.get(this.pauseKey));
+            if (pause && (pause.until === null || pause.until > Date.now())) {
+                return pause;
+            }
+        } catch (error) {
+            // Nothing stored
+        }
+        return null;
+    },
+
+    setPause(pause) {
+        this.pause = pause;
+        safeStorage.set(this.pauseKey, pause ? JSON.stringify(pause) : '');
+    },
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    },
+
+    // Throws with a readable message when the schedule can't be used
+    validate(schedule) {
+        const isTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+        const isDays = (days) => days === undefined ||
+            (Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6));
+        const checkState = (state, where) => {
+            if (!StateCatalogue.has(state)) {
+                throw new Error(`Unknown state "${state}" in ${where}`);
+            }
+        };
+
+        if (!schedule || typeof schedule !== 'object') {
+            throw new Error('Schedule must be an object');
+        }
+
+        const result = {
+            enabled: !!schedule.enabled,
+            closedState: schedule.closedState || StateCatalogue.idleState,
+            overrideMinutes: Number.isFinite(schedule.overrideMinutes) ? Math.max(0, schedule.overrideMinutes) : this.defaults.overrideMinutes,
+            hours: schedule.hours || [],
+            sequences: schedule.sequences || {},
+            rules: schedule.rules || []
+        };
+
+        checkState(result.closedState, 'closedState');
+
+        result.hours.forEach((entry, index) => {
+            if (!isTime(entry.open) || !isTime(entry.close) || entry.open >= entry.close || !isDays(entry.days)) {
+                throw new Error(`Opening hours #${index + 1} need open/close as "HH:MM" (open before close) and days 0-6`);
+            }
+        });
+
+        Object.entries(result.sequences).forEach(([name, sequence]) => {
+            if (!Array.isArray(sequence?.cues) || !sequence.cues.length) {
+                throw new Error(`Sequence "${name}" has no cues`);
+            }
+            sequence.cues.forEach((cue, index) => {
+                checkState(cue.state, `sequence "${name}"`);
+                const last = index === sequence.cues.length - 1;
+                const validMinutes = Number.isFinite(cue.minutes) && cue.minutes > 0;
+                if (!validMinutes && !(last && cue.minutes === undefined && !sequence.loop)) {
+                    throw new Error(`Cue #${index + 1} of sequence "${name}" needs minutes > 0`);
+                }
+            });
+        });
+
+        result.rules.forEach((rule, index) => {
+            if (!isTime(rule.at) || !isDays(rule.days)) {
+                throw new Error(`Rule #${index + 1} needs "at" as "HH:MM" and days 0-6`);
+            }
+            if (rule.sequence !== undefined) {
+                if (!result.sequences[rule.sequence]) {
+                    throw new Error(`Rule #${index + 1} refers to unknown sequence "${rule.sequence}"`);
+                }
+            } else {
+                checkState(rule.state, `rule #${index + 1}`);
+            }
+        });
+
+        return result;
+    },
+
+    // ---------------- Evaluation ----------------
+
+    // "HH:MM" on the day of `date` -> timestamp
+    timeOn(date, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const result = new Date(date);
+        result.setHours(hours, minutes, 0, 0);
+        return result.getTime();
+    },
+
+    appliesOn(entry, date) {
+        return !entry.days || entry.days.includes(date.getDay());
+    },
+
+    // [open, close] timestamps for the day of `date`, or null when closed all day.
+    // Without any opening hours the exhibition is open around the clock.
+    openingHours(date) {
+        if (!this.schedule.hours.length) {
+            return [this.timeOn(date, '00:00'), this.timeOn(date, '00:00') + 24 * 60 * 60 * 1000];
+        }
+        const entry = this.schedule.hours.find(hours => this.appliesOn(hours, date));
+        return entry ? [this.timeOn(date, entry.open), this.timeOn(date, entry.close)] : null;
+    },
+
+    nextOpening(time) {
+        for (let offset = 0; offset <= 7; offset++) {
+            const date = new Date(time);
+            date.setDate(date.getDate() + offset);
+            const hours = this.openingHours(date);
+            if (hours && hours[0] > time) {
+                return hours[0];
+            }
+        }
+        return null;
+    },
+
+    // What the schedule wants at `time`:
+    // { state, label, until } - until is when that changes (null = never), segmentEnd the next rule or opening-hours boundary
+    evaluate(time) {
+        const date = new Date(time);
+        const hours = this.openingHours(date);
+
+        if (!hours || time < hours[0] || time >= hours[1]) {
+            const until = this.nextOpening(time);
+            return { state: this.schedule.closedState, label: 'Closed', until, segmentEnd: until };
+        }
+
+        const rules = this.schedule.rules
+            .filter(rule => this.appliesOn(rule, date))
+            .map(rule => ({ rule, start: Math.max(hours[0], this.timeOn(date, rule.at)) }))
+            .filter(({ start }) => start < hours[1])
+            .sort((a, b) => a.start - b.start);
+
+        const current = rules.filter(({ start }) => start <= time).pop();
+        const next = rules.find(({ start }) => start > time);
+        const segmentEnd = next ? next.start : hours[1];
+
+        if (!current) {
+            return { state: this.schedule.closedState, label: 'Open', until: segmentEnd, segmentEnd };
+        }
+
+        if (current.rule.sequence === undefined) {
+            return { state: current.rule.state, label: this.stateLabel(current.rule.state), until: segmentEnd, segmentEnd };
+        }
+
+        // Position in the sequence follows from the rule's start time, so a reload picks up the same cue
+        const name = current.rule.sequence;
+        const sequence = this.schedule.sequences[name];
+        const durations = sequence.cues.map(cue => (cue.minutes || 0) * 60 * 1000);
+        const total = durations.reduce((sum, duration) => sum + duration, 0);
+
+        let cueStart = current.start;
+        if (sequence.loop && total > 0) {
+            cueStart += Math.floor((time - current.start) / total) * total;
+        }
+
+        for (let index = 0; index < sequence.cues.length; index++) {
+            const cue = sequence.cues[index];
+            const cueEnd = durations[index] ? cueStart + durations[index] : null;
+            // A cue without minutes, or the end of a one-shot sequence, holds until the next rule
+            const holds = cueEnd === null || (index === sequence.cues.length - 1 && !sequence.loop);
+            if (holds || time < cueEnd) {
+                const until = holds ? segmentEnd : Math.min(cueEnd, segmentEnd);
+                return { state: cue.state, label: `${name} ${index + 1}/${sequence.cues.length}`, until, segmentEnd };
+            }
+            cueStart = cueEnd;
+        }
+
+        return { state: this.schedule.closedState, label: name, until: segmentEnd, segmentEnd };
+    },
+
+    // The next cue that actually changes the state, e.g. skipping "closing ends" when closed shows the same state
+    nextChange(current) {
+        let entry = current;
+        for (let step = 0; step < 20 && entry.until !== null; step++) {
+            const time = entry.until;
+            entry = this.evaluate(time);
+            if (entry.state !== current.state) {
+                return { state: entry.state, time };
+            }
+        }
+        return null;
+    },
+
+    // ---------------- Running ----------------
+
+    isRunning() {
+        return !!this.schedule?.enabled && !this.isPaused();
+    },
+
+    isPaused() {
+        if (!this.pause) return false;
+        if (this.pause.until !== null && Date.now() >= this.pause.until) {
+            this.setPause(null);
+            return false;
+        }
+        return true;
+    },
+
+    // A manual change holds for overrideMinutes, but never past the next rule or opening-hours change
+    pauseForOverride() {
+        const now = Date.now();
+        const { segmentEnd } = this.evaluate(now);
+        const limit = this.schedule.overrideMinutes ? now + this.schedule.overrideMinutes * 60 * 1000 : null;
+        const candidates = [limit, segmentEnd].filter(value => value !== null);
+        this.setPause({ until: candidates.length ? Math.min(...candidates) : null });
+        console.log('Schedule paused by manual state change');
+        this.updateStatus();
+    },
+
+    resume() {
+        this.setPause(null);
+        this.tick();
+    },
+
+    setEnabled(enabled) {
+        this.saveSchedule({ ...this.schedule, enabled });
+    },
+
+    tick() {
+        if (this.isRunning()) {
+            const { state } = this.evaluate(Date.now());
+            if (state !== ExhibitionState.currentState && StateCatalogue.has(state)) {
+                ExhibitionState.changeState(state, { source: 'schedule' });
+            }
+        }
+        this.updateStatus();
+    },
+
+    // ---------------- UI ----------------
+
+    formatTime(time) {
+        const date = new Date(time);
+        const sameDay = date.toDateString() === new Date().toDateString();
+        const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return sameDay ? clock : `${date.toLocaleDateString([], { weekday: 'short' })} ${clock}`;
+    },
+
+    formatCountdown(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    },
+
+    stateLabel(state) {
+        return StateCatalogue.get(state)?.label || state;
+    },
+
+    buildStatus() {
+        const element = document.createElement('div');
+        element.className = 'schedule-status';
+        element.innerHTML = `
+            <span data-field="text"></span>
+            <button type="button" class="schedule-button" data-action="resume" hidden>Resume</button>
+            <button type="button" class="schedule-button" data-action="edit">Schedule</button>
+        `;
+        element.querySelector('[data-action="resume"]').addEventListener('click', () => this.resume());
+        element.querySelector('[data-action="edit"]').addEventListener('click', () => this.togglePanel());
+        document.body.appendChild(element);
+        this.statusElement = element;
+    },
+
+    updateStatus() {
+        if (!this.statusElement) return;
+
+        const now = Date.now();
+        const text = this.statusElement.querySelector('[data-field="text"]');
+        const resumeButton = this.statusElement.querySelector('[data-action="resume"]');
+        const paused = this.schedule.enabled && this.isPaused();
+
+        resumeButton.hidden = !paused;
+        this.statusElement.classList.toggle('paused', paused);
+
+        if (!this.schedule.enabled) {
+            text.textContent = 'Schedule off';
+            return;
+        }
+
+        const current = this.evaluate(now);
+        const next = this.nextChange(current);
+        const upcoming = next
+            ? `Next: ${this.stateLabel(next.state)} at ${this.formatTime(next.time)} (in ${this.formatCountdown(next.time - now)})`
+            : 'No upcoming cue';
+
+        if (paused) {
+            const until = this.pause.until !== null ? ` until ${this.formatTime(this.pause.until)}` : '';
+            text.textContent = `Schedule paused${until} · ${upcoming}`;
+        } else {
+            text.textContent = `${current.label} · ${upcoming}`;
+        }
+    },
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel schedule-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>Schedule</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <label class="tuning-row">
+                <input type="checkbox" data-field="enabled">
+                <span>Run schedule</span>
+            </label>
+            <textarea data-field="json" spellcheck="false" rows="18"></textarea>
+            <div class="tuning-row schedule-error" data-field="error"></div>
+            <div class="tuning-row">
+                <button type="button" data-action="save">Save</button>
+                <button type="button" data-action="revert">Revert</button>
+                <button type="button" data-action="default">Default</button>
+            </div>
+        `;
+
+        panel.querySelector('[data-field="enabled"]').addEventListener('change', (event) => {
+            this.setEnabled(event.target.checked);
+            this.refreshPanel();
+        });
+
+        panel.addEventListener('click', (event) => {
+            switch (event.target.dataset?.action) {
+                case 'close':
+                    this.togglePanel(false);
+                    break;
+                case 'save':
+                    this.saveFromPanel();
+                    break;
+                case 'revert':
+                    this.refreshPanel();
+                    break;
+                case 'default':
+                    this.showJSON(this.defaults);
+                    break;
+            }
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    },
+
+    togglePanel(force) {
+        if (!this.panel) return;
+        const open = typeof force === 'boolean' ? force : this.panel.hidden;
+        this.panel.hidden = !open;
+        if (open) {
+            this.refreshPanel();
+        }
+    },
+
+    refreshPanel() {
+        this.panel.querySelector('[data-field="enabled"]').checked = this.schedule.enabled;
+        this.showJSON(this.schedule);
+    },
+
+    // "enabled" has its own checkbox
+    showJSON(schedule) {
+        const { enabled, ...rest } = schedule;
+        this.panel.querySelector('[data-field="json"]').value = JSON.stringify(rest, null, 2);
+        this.panel.querySelector('[data-field="error"]').textContent = '';
+    },
+
+    saveFromPanel() {
+        const error = this.panel.querySelector('[data-field="error"]');
+        try {
+            const schedule = JSON.parse(this.panel.querySelector('[data-field="json"]').value);
+            schedule.enabled = this.panel.querySelector('[data-field="enabled"]').checked;
+            this.saveSchedule(schedule);
+            this.refreshPanel();
+        } catch (err) {
+            error.textContent = err.message;
+        }
+    }
+};
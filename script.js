@@ -1,72 +1,204 @@
-const stateConfigs = {
-    standby: {
-        primary: [0.04, 0.05, 0.08],
-        secondary: [0.22, 0.3, 0.35],
-        speed: 0.08,
-        intensity: 0.42,
-        noiseScale: 1.5,
-        distortion: 1.25
-    },
-    arrival: {
-        primary: [0.08, 0.11, 0.18],
-        secondary: [0.7, 0.82, 0.92],
-        speed: 0.16,
-        intensity: 0.5,
-        noiseScale: 1.7,
-        distortion: 1.4
-    },
-    alert: {
-        primary: [0.32, 0.05, 0.03],
-        secondary: [0.95, 0.35, 0.05],
-        speed: 0.5,
-        intensity: 0.7,
-        noiseScale: 2.1,
-        distortion: 1.6
-    },
-    adaptive: {
-        primary: [0.18, 0.11, 0.31],
-        secondary: [0.65, 0.35, 0.75],
-        speed: 0.25,
-        intensity: 0.58,
-        noiseScale: 1.2,
-        distortion: 1.9
-    },
-    connection: {
-        primary: [0.25, 0.15, 0.06],
-        secondary: [0.93, 0.65, 0.22],
-        speed: 0.12,
-        intensity: 0.52,
-        noiseScale: 1.0,
-        distortion: 1.2
-    }
-};
+// Shader params per state, filled from the state catalogue (states.json) by StateCatalogue.load()
+const stateConfigs = {};
 
+// Staged idle policy (controller only). Without activity the controller steps through:
+//   standby  - back to the idle state, or to the running schedule
+//   sleep    - swirl (on every display) and LEDs dimmed to sleepBrightness
+//   blackout - swirl and LEDs off
+// Each stage has its own time since the last activity, from "idle" in states.json
+// ({ "standbyAfter": 5, "sleepAfter": 30, "blackoutAfter": 120 } minutes, 0 = never),
+// overridden per page with ?standbyAfter=10&sleepAfter=0 ...
+// Activity: input on the controller or a display, state changes someone asked for (not the
+// schedule's, the restored or the idle one), sensor events and OSC / MIDI control. Any of it wakes sleep and blackout again.
 const InactivityWatcher = {
-    timeout: 5 * 60 * 1000,
+    stages: ['standby', 'sleep', 'blackout'],
+    labels: { standby: 'Standby', sleep: 'Sleep', blackout: 'Blackout' },
+    defaults: { standbyAfter: 5, sleepAfter: 30, blackoutAfter: 120, sleepBrightness: 0.2 },
+    timeouts: {},           // stage -> ms after the last activity, 0 = never
+    sleepBrightness: 0.2,
+    dimDuration: 10000,     // ms to fade into sleep / blackout
+    wakeDuration: 1500,     // ms to fade back up
+    fadeStep: 100,          // ms between brightness updates while fading
     timer: null,
+    fadeTimer: null,
+    statusTimer: null,
     callback: null,
+    lastActivity: 0,
+    reached: [],            // stages entered since the last activity
+    brightness: 1,
+    entering: false,
+    listeners: [],
+    statusElement: null,
     events: ['pointerdown', 'keydown', 'touchstart'],
+
+    // callback: runs when the standby stage is reached
     init(callback) {
         this.callback = callback;
-        this.boundReset = () => this.reset();
+        this.configure(StateCatalogue.idle, new URLSearchParams(window.location.search));
+
+        this.boundReset = () => this.reset('input');
         this.events.forEach(event => {
             document.addEventListener(event, this.boundReset, { passive: true });
         });
-        this.reset();
+
+        this.buildStatus();
+        this.statusTimer = setInterval(() => this.updateStatus(), 1000);
+        this.reset('start');
+    },
+
+    // settings: { standbyAfter, sleepAfter, blackoutAfter (minutes), sleepBrightness (0-1) }
+    configure(settings = {}, params = new URLSearchParams()) {
+        const read = (name) => {
+            const value = parseFloat(params.get(name) ?? settings?.[name]);
+            return Number.isFinite(value) && value >= 0 ? value : this.defaults[name];
+        };
+        this.timeouts = {
+            standby: read('standbyAfter') * 60000,
+            sleep: read('sleepAfter') * 60000,
+            blackout: read('blackoutAfter') * 60000
+        };
+        this.sleepBrightness = Math.min(1, read('sleepBrightness'));
+    },
+
+    // listener(stage, { source }) on every stage change; stage null = active again
+    onStage(listener) {
+        this.listeners.push(listener);
+    },
+
+    // Activity: start counting again and wake up from sleep / blackout.
+    // source: 'input', 'remote', 'sensor', 'osc', 'midi', 'state', ...
+    reset(source = 'input') {
+        // The standby stage itself changes the state - that is no activity
+        if (this.entering) return;
+
+        this.lastActivity = Date.now();
+        const wasDimmed = this.brightness < 1;
+        const wasIdle = this.reached.length > 0;
+        this.reached = [];
+        if (wasDimmed) {
+            this.fadeTo(1, this.wakeDuration);
+        }
+        if (wasIdle) {
+            this.notify(null, source);
+        }
+        this.schedule();
+        this.updateStatus();
+    },
+
+    // Next stage not reached yet, by time: { stage, time } or null
+    nextStage() {
+        const pending = this.stages
+            .filter(stage => this.timeouts[stage] > 0 && !this.reached.includes(stage))
+            .sort((a, b) => this.timeouts[a] - this.timeouts[b]);
+        return pending.length ? { stage: pending[0], time: this.lastActivity + this.timeouts[pending[0]] } : null;
     },
-    reset() {
+
+    schedule() {
         clearTimeout(this.timer);
-        this.timer = setTimeout(() => {
-            if (typeof this.callback === 'function') {
-                this.callback();
+        this.timer = null;
+        const next = this.nextStage();
+        if (next) {
+            this.timer = setTimeout(() => this.enter(next.stage), Math.max(0, next.time - Date.now()));
+        }
+    },
+
+    enter(stage) {
+        this.reached.push(stage);
+        console.log(`Idle: ${stage}`);
+
+        if (stage === 'standby') {
+            this.entering = true;
+            try {
+                this.callback?.();
+            } finally {
+                this.entering = false;
             }
-        }, this.timeout);
+        } else {
+            // The deepest dimming stage wins (a blackout before sleep stays dark)
+            const level = this.reached.includes('blackout') ? 0 : this.sleepBrightness;
+            this.fadeTo(level, this.dimDuration);
+        }
+
+        this.notify(stage, 'inactivity');
+        this.schedule();
+        this.updateStatus();
+    },
+
+    notify(stage, source) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(stage, { source });
+            } catch (error) {
+                console.error('Idle listener failed:', error);
+            }
+        });
+    },
+
+    // Deepest stage reached, or null while active
+    getStage() {
+        return [...this.stages].reverse().find(stage => this.reached.includes(stage)) || null;
+    },
+
+    fadeTo(level, duration) {
+        clearInterval(this.fadeTimer);
+        const from = this.brightness;
+        const start = Date.now();
+        const step = () => {
+            const progress = duration > 0 ? Math.min(1, (Date.now() - start) / duration) : 1;
+            this.applyBrightness(from + (level - from) * progress);
+            if (progress >= 1) {
+                clearInterval(this.fadeTimer);
+                this.fadeTimer = null;
+            }
+        };
+        this.fadeTimer = setInterval(step, this.fadeStep);
+        step();
+    },
+
+    // Swirl on every display and the LED strip; 1 hands both back to the state
+    applyBrightness(level) {
+        this.brightness = level;
+        ExhibitionState.setModulation('idle', level < 1 ? { brightness: level } : null);
+        if (typeof LEDController !== 'undefined') {
+            LEDController.setBrightness('idle', level < 1 ? level : null);
+        }
+    },
+
+    buildStatus() {
+        const element = document.createElement('div');
+        element.className = 'idle-status';
+        element.innerHTML = '<span data-field="text"></span>';
+        document.body.appendChild(element);
+        this.statusElement = element;
+    },
+
+    updateStatus() {
+        if (!this.statusElement) return;
+
+        const next = this.nextStage();
+        const stage = this.getStage();
+        const format = (ms) => {
+            const seconds = Math.max(0, Math.ceil(ms / 1000));
+            const h = Math.floor(seconds / 3600);
+            const m = Math.floor((seconds % 3600) / 60);
+            const s = String(seconds % 60).padStart(2, '0');
+            return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+        };
+
+        const parts = [];
+        if (stage) {
+            parts.push(`Idle: ${this.labels[stage]}`);
+        }
+        if (next) {
+            parts.push(`${this.labels[next.stage]} in ${format(next.time - Date.now())}`);
+        }
+        this.statusElement.hidden = !parts.length;
+        this.statusElement.classList.toggle('dimmed', stage === 'sleep' || stage === 'blackout');
+        this.statusElement.querySelector('[data-field="text"]').textContent = parts.join(' · ');
     }
 };
 
 const role = document.body?.dataset?.role || 'controller';
-const hasBroadcastChannel = typeof BroadcastChannel !== 'undefined';
-const stateChannel = hasBroadcastChannel ? new BroadcastChannel('exhibition-state') : null;
 
 const safeStorage = {
     get(key) {
@@ -86,6 +218,25 @@ const safeStorage = {
     }
 };
 
+// Shift+<key> toggles a panel - but not while typing into a field
+const onShortcut = (key, handler) => {
+    document.addEventListener('keydown', (event) => {
+        if (event.shiftKey && event.key === key && !['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target?.tagName)) {
+            handler(event);
+        }
+    });
+};
+
+// Save a file the page made (exports, captures)
+const downloadBlob = (blob, fileName) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    // Firefox and Safari cancel the download when the URL is revoked right away
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
 const SwirlBackground = (() => {
     const vertexSource = `
         attribute vec2 a_position;
@@ -94,85 +245,16 @@ const SwirlBackground = (() => {
         }
     `;
 
-    const fragmentSource = `
-        precision highp float;
-        uniform vec2 u_resolution;
-        uniform float u_time;
-        uniform vec3 u_colorA;
-        uniform vec3 u_colorB;
-        uniform float u_speed;
-        uniform float u_intensity;
-        uniform float u_noiseScale;
-        uniform float u_distortion;
-
-        float hash(vec2 p) {
-            return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
-        }
-
-        float noise(vec2 p, float sharpness) {
-            vec2 i = floor(p);
-            vec2 f = fract(p);
-            float a = hash(i);
-            float b = hash(i + vec2(1.0, 0.0));
-            float c = hash(i + vec2(0.0, 1.0));
-            float d = hash(i + vec2(1.0, 1.0));
-            
-            // Interpolation based on sharpness: smooth for low speed, sharp for high speed
-            // sharpness is normalized 0-1, where 0 = smooth curves, 1 = sharp/spikey
-            float curvePower = mix(2.0, 0.3, sharpness); // 2.0 = smooth, 0.3 = sharp/spikey
-            
-            vec2 u;
-            u.x = pow(f.x, curvePower);
-            u.y = pow(f.y, curvePower);
-            
-            return mix(a, b, u.x) +
-                   (c - a) * u.y * (1.0 - u.x) +
-                   (d - b) * u.x * u.y;
-        }
-
-        float fbm(vec2 p, float sharpness) {
-            float total = 0.0;
-            float amplitude = 0.5;
-            for (int i = 0; i < 5; i++) {
-                total += noise(p, sharpness) * amplitude;
-                p *= 2.0;
-                amplitude *= 0.5;
-            }
-            return total;
-        }
-
+    // Mixes two patterns rendered to textures (see drawFrame)
+    const blendSource = `
+        precision mediump float;
+        uniform sampler2D u_from;
+        uniform sampler2D u_to;
+        uniform vec2 u_size;
+        uniform float u_mix;
         void main() {
-            vec2 uv = gl_FragCoord.xy / u_resolution.xy;
-            vec2 centered = (uv - 0.5) * vec2(u_resolution.x / u_resolution.y, 1.0);
-
-            // Normalize speed to control curve sharpness (0.08 to 0.9 range)
-            float normalizedSpeed = clamp((u_speed - 0.05) / 0.85, 0.0, 1.0);
-            float curveSharpness = normalizedSpeed;
-
-            float t = u_time * u_speed;
-            float flow = fbm(centered * u_noiseScale + t, curveSharpness);
-            float swirl = fbm(centered * (u_noiseScale * 0.5) + vec2(flow * u_distortion), curveSharpness);
-
-            // Make rotation angle changes more abrupt for high speed (spikey curves)
-            float angleMultiplier = mix(1.0, 2.5, normalizedSpeed); // More rotation variation at high speed
-            float angle = swirl * 6.2831 * angleMultiplier;
-            float s = sin(angle);
-            float c = cos(angle);
-            vec2 rotated = mat2(c, -s, s, c) * centered;
-
-            float layered = fbm(rotated * (u_noiseScale * 1.8) + t * 0.2, curveSharpness);
-            
-            // Adjust smoothstep edges based on speed: sharper transitions for high speed
-            float edgeLow = mix(0.1, 0.3, normalizedSpeed);
-            float edgeHigh = mix(0.9, 0.7, normalizedSpeed);
-            float pattern = smoothstep(edgeLow, edgeHigh, layered * u_intensity);
-            
-            // Apply additional sharpening for very high speeds (spikey effect)
-            float spikeFactor = clamp((normalizedSpeed - 0.7) / 0.3, 0.0, 1.0);
-            pattern = mix(pattern, pow(pattern, 0.4), spikeFactor);
-
-            vec3 color = mix(u_colorA, u_colorB, pattern);
-            gl_FragColor = vec4(color, 1.0);
+            vec2 uv = gl_FragCoord.xy / u_size;
+            gl_FragColor = mix(texture2D(u_from, uv), texture2D(u_to, uv), u_mix);
         }
     `;
 
@@ -180,66 +262,225 @@ const SwirlBackground = (() => {
     const mixVec3 = (start, end, alpha) => start.map((val, i) => lerp(val, end[i], alpha));
 
     return {
+        // Live multipliers per input (MIDI faders, idle dimming, ...) on top of the state config:
+        // { source: { speed, intensity, noiseScale, distortion, brightness } }
+        modulations: {},
+
+        // Renderer in use: 'webgl', or a SwirlFallback mode ('canvas', 'gradient').
+        // ?renderer=canvas / ?renderer=gradient skips WebGL, e.g. to test the fallbacks.
+        rendererType: null,
+        fallback: null,
+        contextLost: false,
+
         init(canvas) {
             this.canvas = canvas;
-            this.gl = canvas.getContext('webgl', { antialias: true, powerPreference: 'high-performance' });
-            if (!this.gl) {
-                console.warn('WebGL not supported, swirl background disabled.');
-                canvas.style.display = 'none';
-                return;
+            this.currentConfig = null;
+            this.targetConfig = null;
+            this.startConfig = null;
+            this.transitionStartTime = null;
+            this.transition = null; // duration and easings of the running transition (see transitions.js)
+            this.sampler = null;
+            this.samplePixel = new Uint8Array(4);
+            this.backgroundTicker = null;
+
+            const requested = new URLSearchParams(window.location.search).get('renderer');
+            const forcedFallback = typeof SwirlFallback !== 'undefined' && SwirlFallback.modes.includes(requested);
+
+            if (!forcedFallback) {
+                this.gl = canvas.getContext('webgl', { antialias: true, powerPreference: 'high-performance' });
+            }
+            if (this.gl) {
+                // Lost on GPU resets, driver updates or too many contexts - keep showing
+                // something on the 2D fallback until the browser gives the context back
+                canvas.addEventListener('webglcontextlost', (event) => {
+                    event.preventDefault();
+                    console.warn('WebGL context lost, switching to the canvas fallback');
+                    this.contextLost = true;
+                    this.useFallback('canvas');
+                });
+                canvas.addEventListener('webglcontextrestored', () => {
+                    console.log('WebGL context restored');
+                    this.contextLost = false;
+                    this.setupWebGL();
+                });
+                this.setupWebGL();
+            } else {
+                if (!forcedFallback) {
+                    console.warn('WebGL not supported, using the canvas fallback.');
+                }
+                this.useFallback(forcedFallback ? requested : 'canvas', { automatic: !forcedFallback });
+                if (!this.fallback) {
+                    console.warn('No canvas support, swirl background disabled.');
+                    canvas.style.display = 'none';
+                    return;
+                }
             }
 
-            this.program = this.createProgram(vertexSource, fragmentSource);
-            this.gl.useProgram(this.program);
+            this.isReady = true;
 
-            this.positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-            this.buffer = this.gl.createBuffer();
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
-            this.gl.bufferData(
-                this.gl.ARRAY_BUFFER,
+            QualityGovernor.init({
+                onPause: () => {
+                    this.stop();
+                    this.updateBackgroundSampling();
+                },
+                onResume: () => {
+                    this.updateBackgroundSampling();
+                    this.start();
+                },
+                onLevelChange: () => this.resize()
+            });
+
+            this.resize();
+            window.addEventListener('resize', () => this.resize());
+            this.start();
+        },
+
+        start() {
+            if (this.animationFrame) return;
+            const renderLoop = (timestamp) => {
+                const time = timestamp * 0.001;
+                if (this.isReady && QualityGovernor.shouldRender(time)) {
+                    this.render();
+                    QualityGovernor.recordFrame(time);
+                }
+                this.animationFrame = requestAnimationFrame(renderLoop);
+            };
+            this.animationFrame = requestAnimationFrame(renderLoop);
+        },
+
+        stop() {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        },
+
+        // Compile the patterns and upload the quad; again after a lost context is restored
+        setupWebGL() {
+            Object.assign(this, this.prepareContext(this.gl));
+
+            this.removeFallback();
+            this.rendererType = 'webgl';
+            if (this.isReady) {
+                this.resize();
+            }
+        },
+
+        // Quad, pattern programs and blend program for a WebGL context. Every pattern is compiled
+        // up front, so a state change doesn't stall on it.
+        prepareContext(gl) {
+            const buffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(
+                gl.ARRAY_BUFFER,
                 new Float32Array([
                     -1, -1,
                     1, -1,
                     -1,  1,
                     1,  1
                 ]),
-                this.gl.STATIC_DRAW
+                gl.STATIC_DRAW
             );
 
-            this.uniforms = {
-                resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
-                time: this.gl.getUniformLocation(this.program, 'u_time'),
-                colorA: this.gl.getUniformLocation(this.program, 'u_colorA'),
-                colorB: this.gl.getUniformLocation(this.program, 'u_colorB'),
-                speed: this.gl.getUniformLocation(this.program, 'u_speed'),
-                intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-                noiseScale: this.gl.getUniformLocation(this.program, 'u_noiseScale'),
-                distortion: this.gl.getUniformLocation(this.program, 'u_distortion')
-            };
+            const context = { buffer, programs: {}, blend: null, targets: null, resolution: [1, 1] };
+            SwirlPatterns.ids().forEach(id => this.getProgram(gl, context, id));
 
-            this.currentConfig = null;
-            this.targetConfig = null;
-            this.startConfig = null;
-            this.transitionStartTime = null;
-            this.transitionDuration = 11.0; // seconds - slower, smoother transitions
-            this.isReady = true;
+            const blendProgram = this.createProgram(vertexSource, blendSource, gl);
+            if (blendProgram) {
+                context.blend = this.describeProgram(gl, blendProgram, ['from', 'to', 'size', 'mix']);
+            }
+            return context;
+        },
 
-            this.resize();
-            window.addEventListener('resize', () => this.resize());
+        // { program, positionLocation, uniforms } with the locations of u_<name>
+        describeProgram(gl, program, names) {
+            const uniforms = {};
+            names.forEach(name => {
+                uniforms[name] = gl.getUniformLocation(program, `u_${name}`);
+            });
+            return { program, positionLocation: gl.getAttribLocation(program, 'a_position'), uniforms };
+        },
 
-            const renderLoop = (timestamp) => {
-                if (this.isReady) {
-                    this.render(timestamp * 0.001);
+        // A pattern's program, compiled on first use. The swirl stands in for a pattern that
+        // doesn't compile.
+        getProgram(gl, context, id) {
+            if (!(id in context.programs)) {
+                const program = SwirlPatterns.has(id)
+                    ? this.createProgram(vertexSource, SwirlPatterns.getFragmentSource(id), gl)
+                    : null;
+                if (!program) {
+                    console.error(`Pattern "${id}" is not available, drawing the ${SwirlPatterns.defaultPattern} instead`);
                 }
-                this.animationFrame = requestAnimationFrame(renderLoop);
-            };
-            this.animationFrame = requestAnimationFrame(renderLoop);
+                const names = ['resolution', 'offset', 'time', 'colorA', 'colorB', 'speed', 'intensity', 'noiseScale', 'distortion', 'octaves',
+                    ...Object.keys(SwirlPatterns.get(id)?.uniforms || {})];
+                context.programs[id] = program ? this.describeProgram(gl, program, names) : null;
+            }
+            if (context.programs[id] || id === SwirlPatterns.defaultPattern) {
+                return context.programs[id];
+            }
+            return this.getProgram(gl, context, SwirlPatterns.defaultPattern);
         },
 
-        createProgram(vertexSrc, fragmentSrc) {
-            const gl = this.gl;
-            const vertexShader = this.createShader(gl.VERTEX_SHADER, vertexSrc);
-            const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, fragmentSrc);
+        // Two textures of the drawing buffer's size to render the patterns of a crossfade into
+        getRenderTargets(gl, context) {
+            const width = gl.drawingBufferWidth;
+            const height = gl.drawingBufferHeight;
+            if (context.targets && context.targets.width === width && context.targets.height === height) {
+                return context.targets.list;
+            }
+
+            context.targets?.list.forEach(({ texture, framebuffer }) => {
+                gl.deleteTexture(texture);
+                gl.deleteFramebuffer(framebuffer);
+            });
+            const list = [0, 1].map(() => {
+                const texture = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+                const framebuffer = gl.createFramebuffer();
+                gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+                return { texture, framebuffer };
+            });
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+            context.targets = { width, height, list };
+            return list;
+        },
+
+        // Draw with SwirlFallback on a 2D canvas layered in place of the WebGL one
+        // (a canvas keeps the context type it was first given)
+        useFallback(mode, options) {
+            if (typeof SwirlFallback === 'undefined') return;
+            this.removeFallback();
+
+            const canvas = document.createElement('canvas');
+            canvas.className = this.canvas.className;
+            this.canvas.after(canvas);
+            this.fallback = SwirlFallback.create(canvas, mode, options);
+            if (!this.fallback) {
+                canvas.remove();
+                return;
+            }
+            this.canvas.style.visibility = 'hidden';
+            this.rendererType = mode;
+            this.fallback.resize();
+        },
+
+        removeFallback() {
+            if (!this.fallback) return;
+            this.fallback.canvas.remove();
+            this.fallback = null;
+            this.canvas.style.visibility = '';
+        },
+
+        createProgram(vertexSrc, fragmentSrc, gl = this.gl) {
+            const vertexShader = this.createShader(gl.VERTEX_SHADER, vertexSrc, gl);
+            const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, fragmentSrc, gl);
+            if (!vertexShader || !fragmentShader) return null;
 
             const program = gl.createProgram();
             gl.attachShader(program, vertexShader);
@@ -254,8 +495,7 @@ const SwirlBackground = (() => {
             return program;
         },
 
-        createShader(type, source) {
-            const gl = this.gl;
+        createShader(type, source, gl = this.gl) {
             const shader = gl.createShader(type);
             gl.shaderSource(shader, source);
             gl.compileShader(shader);
@@ -269,35 +509,131 @@ const SwirlBackground = (() => {
         },
 
         resize() {
-            if (!this.gl) return;
-            const displayWidth = this.canvas.clientWidth || window.innerWidth;
-            const displayHeight = this.canvas.clientHeight || window.innerHeight;
+            if (this.fallback) {
+                this.fallback.resize();
+                return;
+            }
+            if (!this.gl || this.contextLost) return;
+            // Rendered at the governor's resolution, stretched to fill the screen by CSS
+            const pixelRatio = QualityGovernor.getPixelRatio();
+            const displayWidth = Math.max(1, Math.round((this.canvas.clientWidth || window.innerWidth) * pixelRatio));
+            const displayHeight = Math.max(1, Math.round((this.canvas.clientHeight || window.innerHeight) * pixelRatio));
 
             if (this.canvas.width !== displayWidth || this.canvas.height !== displayHeight) {
                 this.canvas.width = displayWidth;
                 this.canvas.height = displayHeight;
                 this.gl.viewport(0, 0, displayWidth, displayHeight);
             }
-            this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
+            // On a video wall the canvas shows its part of the whole picture (see displayRegion.js)
+            const view = DisplayRegion.getView(this.canvas.width, this.canvas.height);
+            this.resolution = view ? view.resolution : [this.canvas.width, this.canvas.height];
+            this.offset = view ? view.offset : [0, 0];
         },
 
+        // Sample the rendered swirl at a list of normalized canvas points ([x, y], 0-1, origin top-left).
+        // The callback receives one [r, g, b] (0-255) per point, at most maxFps times per second.
+        setSampler(points, callback, maxFps = 15) {
+            if (!points || !points.length || typeof callback !== 'function') {
+                this.clearSampler();
+                return;
+            }
+            this.sampler = {
+                points,
+                callback,
+                interval: 1 / Math.max(1, maxFps),
+                lastSampleTime: 0
+            };
+            this.updateBackgroundSampling();
+        },
+
+        clearSampler() {
+            this.sampler = null;
+            this.updateBackgroundSampling();
+        },
+
+        // While the page is hidden (e.g. the controller window minimised) requestAnimationFrame
+        // stops, but the LEDs keep following the swirl: frames are then rendered for the sampler
+        // only, ticked by a worker - the page's own timers run about once a second when hidden.
+        updateBackgroundSampling() {
+            this.backgroundTicker?.stop();
+            this.backgroundTicker = null;
+            if (this.isReady && QualityGovernor.paused && this.sampler) {
+                this.backgroundTicker = this.createTicker(this.sampler.interval * 1000, () => this.render());
+            }
+        },
+
+        // Calls tick every `interval` ms until stop()
+        createTicker(interval, tick) {
+            try {
+                const url = URL.createObjectURL(new Blob([`setInterval(() => postMessage(0), ${interval});`], { type: 'text/javascript' }));
+                const worker = new Worker(url);
+                URL.revokeObjectURL(url);
+                worker.onmessage = tick;
+                return { stop: () => worker.terminate() };
+            } catch (error) {
+                const timer = setInterval(tick, interval);
+                return { stop: () => clearInterval(timer) };
+            }
+        },
+
+        // Must run right after drawArrays, before the browser composites and clears the drawing buffer
+        samplePoints(now) {
+            const sampler = this.sampler;
+            // A little slack, so a tick that comes early is not skipped
+            if (!sampler || now - sampler.lastSampleTime < sampler.interval - 0.004) return;
+            sampler.lastSampleTime = now;
+
+            if (this.fallback) {
+                sampler.callback(this.fallback.sample(sampler.points));
+                return;
+            }
+
+            const gl = this.gl;
+            const width = this.canvas.width;
+            const height = this.canvas.height;
+            const pixel = this.samplePixel;
+
+            const colors = sampler.points.map(([x, y]) => {
+                const px = Math.min(width - 1, Math.max(0, Math.round(x * (width - 1))));
+                // WebGL reads from the bottom-left corner
+                const py = Math.min(height - 1, Math.max(0, Math.round((1 - y) * (height - 1))));
+                gl.readPixels(px, py, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+                return [pixel[0], pixel[1], pixel[2]];
+            });
+
+            sampler.callback(colors);
+        },
+
+        // Unknown patterns become the default one, and missing pattern params get their defaults
         cloneConfig(config) {
+            const pattern = SwirlPatterns.has(config.pattern) ? config.pattern : SwirlPatterns.defaultPattern;
             return {
                 primary: [...config.primary],
                 secondary: [...config.secondary],
                 speed: config.speed,
                 intensity: config.intensity,
                 noiseScale: config.noiseScale,
-                distortion: config.distortion
+                distortion: config.distortion,
+                pattern,
+                params: SwirlPatterns.resolveParams(pattern, config.params)
             };
         },
 
-        setState(config) {
+        // transition: { duration, color, motion } from Transitions.resolve, default if left out.
+        // startTime: when it starts, in seconds on the shared clock (see SharedClock.now) - now
+        // if left out, and may lie ahead or behind
+        setState(config, transition, startTime = SharedClock.now()) {
             if (!config) return;
             
             // If we're already transitioning, start from current position
             if (this.currentConfig && this.targetConfig) {
                 this.startConfig = this.cloneConfig(this.currentConfig);
+                // A crossfade cut short starts over from the pattern that shows most
+                const fade = this.currentConfig.fade;
+                if (fade && fade.mix < 0.5) {
+                    this.startConfig.pattern = fade.pattern;
+                    this.startConfig.params = { ...fade.params };
+                }
             } else if (!this.currentConfig) {
                 // First time initialization
                 this.currentConfig = this.cloneConfig(config);
@@ -308,64 +644,216 @@ const SwirlBackground = (() => {
             }
             
             this.targetConfig = this.cloneConfig(config);
-            this.transitionStartTime = performance.now() * 0.001;
+            this.transition = transition || Transitions.resolve(null, null);
+            this.transitionStartTime = startTime;
+        },
+
+        // Change the config of the state being shown without starting a new transition
+        // (live tuning). A running transition simply heads for the new values.
+        applyConfig(config) {
+            if (!config) return;
+            if (!this.currentConfig) {
+                this.setState(config);
+                return;
+            }
+            this.targetConfig = this.cloneConfig(config);
+        },
+
+        // factors: { speed, intensity, noiseScale, distortion } multipliers, or null to remove the source
+        setModulation(source, factors) {
+            if (factors) {
+                this.modulations[source] = { ...factors };
+            } else {
+                delete this.modulations[source];
+            }
+        },
+
+        // currentConfig with every modulation applied, within the safety limits (see motionSafety.js)
+        getRenderConfig() {
+            const config = { ...this.currentConfig };
+            Object.values(this.modulations).forEach(factors => {
+                ['speed', 'intensity', 'noiseScale', 'distortion'].forEach(name => {
+                    if (Number.isFinite(factors[name])) {
+                        config[name] *= factors[name];
+                    }
+                });
+                if (Number.isFinite(factors.brightness)) {
+                    config.primary = config.primary.map(channel => channel * factors.brightness);
+                    config.secondary = config.secondary.map(channel => channel * factors.brightness);
+                }
+            });
+            return MotionSafety.limitFrame(config);
         },
 
         updateConfig(currentTime) {
             if (!this.targetConfig || !this.currentConfig || !this.startConfig || !this.transitionStartTime) return;
-            
-            // Calculate progress from 0 to 1
-            const elapsed = currentTime - this.transitionStartTime;
-            let progress = Math.min(elapsed / this.transitionDuration, 1.0);
-            
-            // Apply very smooth ease-in-out curve for gentle transitions
-            // Quintic ease-in-out: even smoother acceleration and deceleration
-            const easeInOut = progress < 0.5
-                ? 16.0 * progress * progress * progress * progress * progress
-                : 1.0 - Math.pow(-2.0 * progress + 2.0, 5.0) / 2.0;
-            
-            // Gentler easing function specifically for colors - creates smoother gradient transitions
-            // Uses a smoother ease-in-out curve with more gradual acceleration/deceleration
-            // This creates a more gradual gradient effect instead of sudden color changes
-            const easeColor = progress < 0.5
-                ? 2.0 * progress * progress * progress * progress
-                : 1.0 - Math.pow(-2.0 * progress + 2.0, 4.0) / 2.0;
-            
-            const alpha = easeInOut;
-            const colorAlpha = easeColor;
-
-            // Interpolate from start to target
-            // Use gentler easing for colors to create smooth gradient transitions
-            this.currentConfig.primary = mixVec3(this.startConfig.primary, this.targetConfig.primary, colorAlpha);
-            this.currentConfig.secondary = mixVec3(this.startConfig.secondary, this.targetConfig.secondary, colorAlpha);
-            // Keep quintic easing for other parameters
-            this.currentConfig.speed = lerp(this.startConfig.speed, this.targetConfig.speed, alpha);
-            this.currentConfig.intensity = lerp(this.startConfig.intensity, this.targetConfig.intensity, alpha);
-            this.currentConfig.noiseScale = lerp(this.startConfig.noiseScale, this.targetConfig.noiseScale, alpha);
-            this.currentConfig.distortion = lerp(this.startConfig.distortion, this.targetConfig.distortion, alpha);
+            Object.assign(this.currentConfig, this.interpolateConfig(
+                this.startConfig, this.targetConfig, this.transition, currentTime - this.transitionStartTime));
+        },
+
+        // Config `elapsed` seconds into a transition from start to target. Between two patterns,
+        // `fade` holds the one faded out ({ pattern, params, mix } - mix is the share of the new
+        // one, on the color curve); within a pattern its params move with the motion curve.
+        interpolateConfig(start, target, transition, elapsed) {
+            const duration = transition.duration;
+            const progress = duration > 0 ? Math.min(Math.max(elapsed, 0) / duration, 1.0) : 1.0;
+
+            // Colors and motion follow their own curves, e.g. a color that settles gently
+            // while the swirl already picks up speed
+            const alpha = transition.motion.fn(progress);
+            const colorAlpha = transition.color.fn(progress);
+
+            const samePattern = start.pattern === target.pattern;
+            const params = {};
+            Object.entries(target.params).forEach(([name, value]) => {
+                params[name] = samePattern ? lerp(start.params[name], value, alpha) : value;
+            });
+
+            return {
+                primary: mixVec3(start.primary, target.primary, colorAlpha),
+                secondary: mixVec3(start.secondary, target.secondary, colorAlpha),
+                speed: lerp(start.speed, target.speed, alpha),
+                intensity: lerp(start.intensity, target.intensity, alpha),
+                noiseScale: lerp(start.noiseScale, target.noiseScale, alpha),
+                distortion: lerp(start.distortion, target.distortion, alpha),
+                pattern: target.pattern,
+                params,
+                fade: samePattern || progress >= 1 ? null : { pattern: start.pattern, params: start.params, mix: colorAlpha }
+            };
         },
 
-        render(time) {
-            if (!this.gl || !this.currentConfig) return;
+        // Transitions and u_time follow the shared clock, so every display draws the same frame
+        render() {
+            if (!this.currentConfig) return;
 
-            const now = performance.now() * 0.001;
+            const now = SharedClock.now();
+            const time = SharedClock.elapsed();
             this.updateConfig(now);
 
-            this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+            if (this.fallback) {
+                this.fallback.draw(this.getRenderConfig(), time, QualityGovernor.getLevel().octaves);
+                if (this.sampler) {
+                    this.samplePoints(now);
+                }
+                return;
+            }
+            if (!this.gl || this.contextLost) return;
 
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
-            this.gl.enableVertexAttribArray(this.positionLocation);
-            this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+            this.drawFrame(this.gl, this, this.getRenderConfig(), time, QualityGovernor.getLevel().octaves, this.offset);
 
-            this.gl.uniform1f(this.uniforms.time, time);
-            this.gl.uniform3fv(this.uniforms.colorA, new Float32Array(this.currentConfig.primary));
-            this.gl.uniform3fv(this.uniforms.colorB, new Float32Array(this.currentConfig.secondary));
-            this.gl.uniform1f(this.uniforms.speed, this.currentConfig.speed);
-            this.gl.uniform1f(this.uniforms.intensity, this.currentConfig.intensity);
-            this.gl.uniform1f(this.uniforms.noiseScale, this.currentConfig.noiseScale);
-            this.gl.uniform1f(this.uniforms.distortion, this.currentConfig.distortion);
+            if (this.sampler) {
+                this.samplePoints(now);
+            }
+        },
+
+        // context: from prepareContext. During a crossfade both patterns are rendered to
+        // textures and mixed onto the canvas.
+        drawFrame(gl, context, config, time, octaves, offset = [0, 0]) {
+            const fade = config.fade;
+            if (!fade || !context.blend) {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                this.drawPattern(gl, context, config.pattern, config, config.params, time, octaves, offset);
+                return;
+            }
+
+            const [from, to] = this.getRenderTargets(gl, context);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, from.framebuffer);
+            this.drawPattern(gl, context, fade.pattern, config, fade.params, time, octaves, offset);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, to.framebuffer);
+            this.drawPattern(gl, context, config.pattern, config, config.params, time, octaves, offset);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+            const { program, positionLocation, uniforms } = context.blend;
+            gl.useProgram(program);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, from.texture);
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, to.texture);
+            gl.uniform1i(uniforms.from, 0);
+            gl.uniform1i(uniforms.to, 1);
+            gl.uniform2f(uniforms.size, gl.drawingBufferWidth, gl.drawingBufferHeight);
+            gl.uniform1f(uniforms.mix, fade.mix);
+            this.drawQuad(gl, context, positionLocation);
+        },
+
+        drawQuad(gl, context, positionLocation) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, context.buffer);
+            gl.enableVertexAttribArray(positionLocation);
+            gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        },
 
-            this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+        // One pattern with the state config's shared values and its own params
+        drawPattern(gl, context, pattern, config, params, time, octaves, offset) {
+            const entry = this.getProgram(gl, context, pattern);
+            if (!entry) return;
+            gl.useProgram(entry.program);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+
+            const { uniforms } = entry;
+            gl.uniform2f(uniforms.resolution, context.resolution[0], context.resolution[1]);
+            gl.uniform2f(uniforms.offset, offset[0], offset[1]);
+            gl.uniform1f(uniforms.time, time);
+            gl.uniform3fv(uniforms.colorA, new Float32Array(config.primary));
+            gl.uniform3fv(uniforms.colorB, new Float32Array(config.secondary));
+            gl.uniform1f(uniforms.speed, config.speed);
+            gl.uniform1f(uniforms.intensity, config.intensity);
+            gl.uniform1f(uniforms.noiseScale, config.noiseScale);
+            gl.uniform1f(uniforms.distortion, config.distortion);
+            gl.uniform1i(uniforms.octaves, octaves);
+            Object.entries(params || {}).forEach(([name, value]) => {
+                if (uniforms[name]) {
+                    gl.uniform1f(uniforms[name], value);
+                }
+            });
+
+            this.drawQuad(gl, context, entry.positionLocation);
+        },
+
+        // Render one frame at any size and time, independent of the screen (see capture.js).
+        // Returns a 2D canvas. Pictures larger than the GPU allows are rendered in tiles.
+        captureFrame(config, time, width, height, octaves = 5) {
+            if (!this.getCaptureContext()) {
+                throw new Error('Capturing needs WebGL');
+            }
+
+            const { canvas, gl, tileSize } = this.captureContext;
+            const output = document.createElement('canvas');
+            output.width = width;
+            output.height = height;
+            const ctx = output.getContext('2d');
+
+            this.captureContext.resolution = [width, height];
+
+            for (let y = 0; y < height; y += tileSize) {
+                for (let x = 0; x < width; x += tileSize) {
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+                    if (canvas.width !== tileWidth || canvas.height !== tileHeight) {
+                        canvas.width = tileWidth;
+                        canvas.height = tileHeight;
+                    }
+                    gl.viewport(0, 0, tileWidth, tileHeight);
+                    // gl_FragCoord starts at the bottom, the 2D canvas at the top
+                    this.drawFrame(gl, this.captureContext, config, time, octaves, [x, height - y - tileHeight]);
+                    ctx.drawImage(canvas, x, y);
+                }
+            }
+            return output;
+        },
+
+        // A WebGL context of its own, so captures work whatever the screen uses (also the
+        // fallbacks). Null without WebGL.
+        getCaptureContext() {
+            if (!this.captureContext || this.captureContext.gl.isContextLost()) {
+                const canvas = document.createElement('canvas');
+                const gl = canvas.getContext('webgl', { preserveDrawingBuffer: true });
+                if (!gl) return null;
+                const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+                const tileSize = Math.min(4096, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), maxViewport[0], maxViewport[1]);
+                this.captureContext = { canvas, gl, tileSize, ...this.prepareContext(gl) };
+            }
+            return this.captureContext;
         }
     };
 })();
@@ -373,82 +861,307 @@ const SwirlBackground = (() => {
 // State management for exhibition states
 const ExhibitionState = {
     currentState: null,
-    channel: stateChannel,
+    stateAppliedAt: null,   // shared time (ms) the current state's transition started at
+    channel: null,
     role,
+    listeners: [],
+    // Changes a person asked for (panel buttons and keys, MIDI, OSC); only these count as
+    // activity - the schedule, sensor rules, the restored state and the idle stage do not
+    activitySources: ['button', 'midi', 'osc'],
 
-    init() {
+    async init() {
+        SharedClock.init(this.role);
+        DisplayRegion.init();
+        MotionSafety.init({ onChange: () => this.applySafetyLimits() });
+        HealthMonitor.init(this.role);
         const canvas = document.getElementById('background-canvas');
         SwirlBackground.init(canvas);
 
+        await StateCatalogue.load();
+        // The controller sends its layout too, in case it loaded another manifest
+        DisplayRegion.applyLayout(StateCatalogue.displayLayout);
+
         if (this.role === 'controller') {
-            const buttons = document.querySelectorAll('.state-button');
-            buttons.forEach(button => {
-                button.addEventListener('click', (e) => {
-                    const newState = e.target.getAttribute('data-state');
-                    this.changeState(newState);
-                });
-            });
+            // First, so the restored state and the LED link opening are recorded
+            if (typeof EventJournal !== 'undefined') {
+                EventJournal.init();
+            }
+
+            this.renderStateButtons();
 
             // LED connection button handler
             const ledConnectBtn = document.getElementById('led-connect-btn');
+            const ledModeBtn = document.getElementById('led-mode-btn');
+            const ledTransportSelect = document.getElementById('led-transport-select');
             if (ledConnectBtn && typeof LEDController !== 'undefined') {
+                LEDController.init();
                 ledConnectBtn.addEventListener('click', async () => {
-                    if (LEDController.isConnected) {
+                    if (LEDController.getDevice().isConnected) {
                         await LEDController.disconnect();
                     } else {
                         await LEDController.connect();
                     }
                 });
+                if (ledModeBtn) {
+                    ledModeBtn.addEventListener('click', () => {
+                        LEDController.setPixelMode(!LEDController.pixelMode);
+                    });
+                }
+                if (ledTransportSelect) {
+                    ledTransportSelect.addEventListener('change', () => {
+                        LEDController.setTransportType(ledTransportSelect.value);
+                    });
+                }
             } else if (ledConnectBtn) {
                 ledConnectBtn.disabled = true;
                 ledConnectBtn.textContent = 'Unavailable';
+                if (ledModeBtn) {
+                    ledModeBtn.disabled = true;
+                }
+                if (ledTransportSelect) {
+                    ledTransportSelect.disabled = true;
+                }
             }
         }
 
         this.setupChannelSync();
 
+        if (this.role === 'controller' && typeof TuningPanel !== 'undefined') {
+            TuningPanel.restoreActiveVariant();
+        }
+        this.refreshSafetyWarnings({ log: true });
+
+        // A stored state may have been removed from the catalogue since
         const storedState = safeStorage.get('exhibitionState');
-        this.changeState(storedState || 'standby', { broadcast: false, persist: this.role === 'controller' });
+        const initialState = StateCatalogue.has(storedState) ? storedState : StateCatalogue.initialState;
+        this.changeState(initialState, { broadcast: false, persist: this.role === 'controller', source: 'restore' });
+
+        if (this.role === 'controller' && typeof TuningPanel !== 'undefined') {
+            TuningPanel.init();
+        }
 
         if (this.role === 'controller') {
+            const hasScheduler = typeof Scheduler !== 'undefined';
             this.inactivityWatcher = InactivityWatcher;
             this.inactivityWatcher.init(() => {
-                this.changeState('standby', { persist: true });
+                // With a schedule running, going idle hands control back to it
+                if (hasScheduler && Scheduler.schedule?.enabled) {
+                    Scheduler.resume();
+                } else {
+                    this.changeState(StateCatalogue.idleState, { persist: true, source: 'inactivity' });
+                }
             });
+
+            if (hasScheduler) {
+                Scheduler.init();
+            }
+
+            if (typeof OSCControl !== 'undefined') {
+                OSCControl.init();
+            }
+
+            if (typeof MIDIControl !== 'undefined') {
+                MIDIControl.init();
+            }
+
+            if (typeof AudioReactive !== 'undefined') {
+                AudioReactive.init();
+            }
+
+            if (typeof SensorEvents !== 'undefined') {
+                SensorEvents.init();
+            }
+
+            if (typeof SwirlCapture !== 'undefined') {
+                SwirlCapture.init();
+            }
+
+            if (typeof LEDCalibration !== 'undefined' && typeof LEDController !== 'undefined') {
+                LEDCalibration.init();
+            }
         }
     },
 
+    // listener(state, { source, previous, transition }) runs after every state change
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    // One button per catalogue state, in catalogue order
+    renderStateButtons() {
+        const container = document.querySelector('.button-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+        StateCatalogue.states.forEach(state => {
+            const button = document.createElement('button');
+            button.className = 'state-button';
+            button.dataset.state = state.id;
+            button.textContent = state.label;
+            button.addEventListener('click', () => {
+                this.changeState(state.id, { source: 'button' });
+            });
+            container.appendChild(button);
+        });
+    },
+
+    // Same messages over BroadcastChannel or the LAN sync server (see syncChannel.js)
     setupChannelSync() {
+        this.channel = SyncChannel.create('exhibition-state', { role: this.role });
         if (!this.channel) {
             return;
         }
+        SharedClock.attach(this.channel);
+        HealthMonitor.attach(this.channel);
 
         if (this.role === 'controller') {
+            const publish = () => {
+                if (!this.currentState) return;
+                this.channel.postMessage({ type: 'state-configs', configs: stateConfigs });
+                if (StateCatalogue.displayLayout) {
+                    this.channel.postMessage({ type: 'display-layout', layout: StateCatalogue.displayLayout });
+                }
+                this.channel.postMessage({ type: 'calm-mode', enabled: MotionSafety.calm });
+                this.channel.postMessage(this.getStateMessage());
+                Object.entries(SwirlBackground.modulations).forEach(([source, factors]) => {
+                    this.channel.postMessage({ type: 'modulation', source, factors });
+                });
+            };
             this.channel.addEventListener('message', (event) => {
-                if (event.data?.type === 'state-request' && this.currentState) {
-                    this.channel.postMessage({ type: 'state-change', state: this.currentState });
+                if (event.data?.type === 'state-request') {
+                    publish();
+                } else if (event.data?.type === 'activity') {
+                    this.inactivityWatcher?.reset('remote');
                 }
             });
+            // Back on the sync server: displays may have missed changes meanwhile
+            this.channel.addEventListener('connect', publish);
         } else {
+            const request = () => this.channel.postMessage({ type: 'state-request' });
             this.channel.addEventListener('message', (event) => {
-                if (event.data?.type === 'state-change') {
-                    this.changeState(event.data.state, { broadcast: false, persist: false });
+                if (event.data?.type === 'state-configs') {
+                    this.applyStateConfigs(event.data.configs, { broadcast: false });
+                } else if (event.data?.type === 'state-change') {
+                    SharedClock.setEpoch(event.data.epoch);
+                    this.changeState(event.data.state, { broadcast: false, persist: false, source: 'remote', applyAt: event.data.applyAt });
+                } else if (event.data?.type === 'modulation') {
+                    this.setModulation(event.data.source, event.data.factors, { broadcast: false });
+                } else if (event.data?.type === 'display-layout') {
+                    DisplayRegion.applyLayout(event.data.layout);
+                } else if (event.data?.type === 'calm-mode') {
+                    this.setCalmMode(event.data.enabled, { broadcast: false });
                 }
             });
-            this.channel.postMessage({ type: 'state-request' });
+            this.channel.addEventListener('connect', request);
+            request();
+
+            // Someone at a display keeps the installation awake too (at most every 10 s)
+            let lastActivity = 0;
+            ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+                document.addEventListener(type, () => {
+                    if (Date.now() - lastActivity < 10000) return;
+                    lastActivity = Date.now();
+                    this.channel.postMessage({ type: 'activity' });
+                }, { passive: true });
+            });
+        }
+    },
+
+    // Live multipliers on top of the state config (MIDI faders, ...), shown on every display
+    setModulation(source, factors, { broadcast = true } = {}) {
+        SwirlBackground.setModulation(source, factors);
+        if (broadcast && this.role === 'controller' && this.channel) {
+            this.channel.postMessage({ type: 'modulation', source, factors: factors || null });
         }
     },
 
-    changeState(newState, { broadcast = true, persist } = {}) {
+    // Calm mode for every page (see motionSafety.js)
+    setCalmMode(enabled, { broadcast = true } = {}) {
+        MotionSafety.setCalm(enabled);
+        if (broadcast && this.role === 'controller' && this.channel) {
+            this.channel.postMessage({ type: 'calm-mode', enabled: MotionSafety.calm });
+        }
+    },
+
+    // Calm mode or the system's reduced motion setting changed: resend the LED pulses, update the warnings
+    applySafetyLimits() {
+        if (this.role !== 'controller') return;
+        if (typeof LEDController !== 'undefined') {
+            LEDController.refresh();
+        }
+        this.refreshSafetyWarnings();
+        if (typeof TuningPanel !== 'undefined') {
+            TuningPanel.refresh();
+        }
+    },
+
+    // Mark the state buttons whose config the safety limits change, with the reasons as tooltip
+    refreshSafetyWarnings({ log = false } = {}) {
+        if (this.role !== 'controller') return;
+        document.querySelectorAll('.state-button').forEach(button => {
+            const warnings = MotionSafety.check(button.dataset.state);
+            button.classList.toggle('safety-limited', warnings.length > 0);
+            button.title = warnings.length ? `Limited for safety:\n${warnings.join('\n')}` : '';
+            if (log) {
+                warnings.forEach(warning => console.warn(`State "${button.dataset.state}" is limited for safety: ${warning}`));
+            }
+        });
+    },
+
+    // Replace shader configs (e.g. from the tuning panel) and show them right away
+    applyStateConfigs(configs, { broadcast = true } = {}) {
+        Object.entries(configs || {}).forEach(([state, config]) => {
+            if (stateConfigs[state]) {
+                stateConfigs[state] = SwirlBackground.cloneConfig(config);
+            }
+        });
+
+        this.refreshSafetyWarnings();
+
+        if (configs && configs[this.currentState]) {
+            if (SwirlBackground.isReady) {
+                SwirlBackground.applyConfig(stateConfigs[this.currentState]);
+            }
+            if (typeof LEDController !== 'undefined' && this.role === 'controller') {
+                LEDController.refresh();
+            }
+        }
+
+        if (broadcast && this.role === 'controller' && this.channel) {
+            this.channel.postMessage({ type: 'state-configs', configs });
+        }
+    },
+
+    // The current state for the displays, with the shared time its transition starts at. A
+    // display that joins later picks the transition up where the others are.
+    getStateMessage() {
+        return { type: 'state-change', state: this.currentState, epoch: SharedClock.epoch, applyAt: this.stateAppliedAt };
+    },
+
+    // source says what asked for the change: 'button', 'inactivity', 'schedule', 'osc', 'midi', 'rule', 'remote', 'restore'
+    // applyAt: shared time (ms) the transition starts at, from the controller - see SharedClock
+    changeState(newState, { broadcast = true, persist, source = 'button', applyAt } = {}) {
         if (newState === this.currentState) {
             return;
         }
 
+        const previous = this.currentState;
+        const transition = Transitions.resolve(previous, newState);
+        // The controller starts a little ahead, so the displays have the change in time
+        this.stateAppliedAt = Number.isFinite(applyAt) ? applyAt : SharedClock.getApplyTime();
+        const delay = this.stateAppliedAt / 1000 - SharedClock.now();
+
         if (this.currentState) {
             document.body.classList.remove(`state-${this.currentState}`);
         }
         document.body.classList.add(`state-${newState}`);
 
+        // States without their own CSS get their background from the catalogue,
+        // with the timing the shader and LEDs use
+        const definition = StateCatalogue.get(newState);
+        document.body.style.transition = `background-color ${transition.duration}s ${transition.color.css} ${delay.toFixed(3)}s`;
+        document.body.style.backgroundColor = definition?.background || '';
+
         document.querySelectorAll('.state-button').forEach(button => {
             if (button.getAttribute('data-state') === newState) {
                 button.classList.add('active');
@@ -460,12 +1173,12 @@ const ExhibitionState = {
         this.currentState = newState;
 
         if (SwirlBackground.isReady) {
-            SwirlBackground.setState(stateConfigs[newState]);
+            SwirlBackground.setState(stateConfigs[newState], transition, this.stateAppliedAt / 1000);
         }
 
-        // Update LED strip when state changes
-        if (typeof LEDController !== 'undefined' && LEDController.isConnected) {
-            LEDController.setState(newState);
+        // Update LED strip when state changes (remembered while disconnected, replayed on reconnect)
+        if (typeof LEDController !== 'undefined' && this.role === 'controller') {
+            LEDController.setState(newState, transition);
         }
 
         const shouldPersist = typeof persist === 'boolean' ? persist : this.role === 'controller';
@@ -474,12 +1187,20 @@ const ExhibitionState = {
         }
 
         if (broadcast && this.role === 'controller' && this.channel) {
-            this.channel.postMessage({ type: 'state-change', state: newState });
+            this.channel.postMessage(this.getStateMessage());
         }
 
-        if (this.role === 'controller' && this.inactivityWatcher) {
-            this.inactivityWatcher.reset();
+        if (this.role === 'controller' && this.inactivityWatcher && this.activitySources.includes(source)) {
+            this.inactivityWatcher.reset('state');
         }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(newState, { source, previous, transition });
+            } catch (error) {
+                console.error('State change listener failed:', error);
+            }
+        });
     }
 };
 
@@ -0,0 +1,149 @@
+// Sensor events from the Arduino (controller only)
+// The sketch reports its sensors as "EVENT" frames (see LEDController.handleEvent).
+// They are turned into typed events:
+//   { type: 'presence', value: true | false }
+//   { type: 'distance', value: <cm> }
+//   { type: 'button', value: <button number> }
+// and checked against the sensorRules in states.json:
+//   event     - event type the rule listens to
+//   is        - value must equal this (presence true/false, button number)
+//   below / above - for numbers (distance)
+//   for       - seconds the match must last before the rule fires (e.g. no presence for 120 s)
+//   inStates  - only while one of these states is shown
+//   to        - state to switch to
+// A rule's change has source 'rule': it neither counts as activity nor pauses the schedule
+// (the room emptying is not someone asking for a state).
+// Any visitor activity also keeps the inactivity timer from returning to standby: presence, a
+// button, or a distance closer than presenceDistance ("idle": { "presenceDistance": 150 } in
+// states.json). Farther readings are the sensor seeing an empty room.
+
+const SensorEvents = {
+    rules: [],
+    timers: new Map(),      // rule index -> pending "for" timer
+    listeners: {},          // event type -> [listener]
+    present: false,
+    near: false,            // last distance reading closer than presenceDistance
+    presenceDistance: 150,  // cm
+    presenceKeepAlive: null,
+    keepAliveInterval: 30000, // ms - resets the inactivity timer while someone is there
+    lastEvent: null,
+
+    init() {
+        this.rules = this.validateRules(StateCatalogue.sensorRules);
+        const distance = StateCatalogue.idle.presenceDistance;
+        if (Number.isFinite(distance) && distance > 0) {
+            this.presenceDistance = distance;
+        }
+        if (typeof LEDController === 'undefined') return;
+        LEDController.onEvent((event) => this.handle(event));
+    },
+
+    validateRules(rules) {
+        return rules.filter((rule, index) => {
+            const valid = typeof rule?.event === 'string' &&
+                StateCatalogue.has(rule.to) &&
+                (rule.for === undefined || (Number.isFinite(rule.for) && rule.for >= 0)) &&
+                (rule.inStates === undefined || Array.isArray(rule.inStates));
+            if (!valid) {
+                console.warn(`Ignoring invalid sensor rule #${index + 1}:`, rule);
+            }
+            return valid;
+        });
+    },
+
+    // listener({ type, value }) for one event type, or '*' for all
+    on(type, listener) {
+        (this.listeners[type] || (this.listeners[type] = [])).push(listener);
+    },
+
+    // Raw { type, value: '1' } from the Arduino -> typed event
+    parse({ type, value }) {
+        switch (type) {
+            case 'presence':
+                return { type, value: value === '1' };
+            case 'distance':
+            case 'button':
+                return { type, value: Number(value) };
+            default:
+                return { type, value };
+        }
+    },
+
+    handle(raw) {
+        const event = { ...this.parse(raw), time: Date.now() };
+        this.lastEvent = event;
+        console.log(`Sensor: ${event.type} ${event.value}`);
+
+        if (event.type === 'presence') {
+            this.present = event.value;
+            this.updateKeepAlive();
+        } else if (event.type === 'distance') {
+            this.near = event.value < this.presenceDistance;
+            this.updateKeepAlive();
+        }
+        if (this.isActivity(event)) {
+            ExhibitionState.inactivityWatcher?.reset('sensor');
+        }
+
+        [...(this.listeners[event.type] || []), ...(this.listeners['*'] || [])].forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Sensor listener failed:', error);
+            }
+        });
+
+        this.rules.forEach((rule, index) => {
+            if (rule.event !== event.type) return;
+
+            if (!this.matches(rule, event)) {
+                // The condition no longer holds, e.g. someone came back within the 2 minutes
+                clearTimeout(this.timers.get(index));
+                this.timers.delete(index);
+                return;
+            }
+
+            if (!rule.for) {
+                this.fire(rule);
+            } else if (!this.timers.has(index)) {
+                this.timers.set(index, setTimeout(() => {
+                    this.timers.delete(index);
+                    this.fire(rule);
+                }, rule.for * 1000));
+            }
+        });
+    },
+
+    matches(rule, event) {
+        if (rule.is !== undefined && event.value !== rule.is) return false;
+        if (rule.below !== undefined && !(event.value < rule.below)) return false;
+        if (rule.above !== undefined && !(event.value > rule.above)) return false;
+        return true;
+    },
+
+    fire(rule) {
+        const current = ExhibitionState.currentState;
+        if (rule.inStates && !rule.inStates.includes(current)) return;
+        if (rule.to === current) return;
+
+        console.log(`Sensor rule: ${rule.event} -> ${rule.to}`);
+        ExhibitionState.changeState(rule.to, { source: 'rule' });
+    },
+
+    isActivity(event) {
+        return (event.type === 'presence' && event.value) || (event.type === 'distance' && this.near) || event.type === 'button';
+    },
+
+    // Someone standing still is still a visitor, though the sensors go quiet
+    updateKeepAlive() {
+        const someone = this.present || this.near;
+        if (someone === !!this.presenceKeepAlive) return;
+        clearInterval(this.presenceKeepAlive);
+        this.presenceKeepAlive = null;
+        if (someone) {
+            this.presenceKeepAlive = setInterval(() => {
+                ExhibitionState.inactivityWatcher?.reset('sensor');
+            }, this.keepAliveInterval);
+        }
+    }
+};
@@ -0,0 +1,99 @@
+// Shared clock for the controller and the displays
+// The controller's clock is the reference. Every display estimates its offset to it with
+// clock-ping / clock-pong messages over the sync channel (the answer with the shortest
+// round trip of the last few wins), so all pages agree on the time to a few milliseconds.
+// The controller also publishes an epoch - the shared time the swirl's u_time counts from -
+// and sends each state change with an "apply at" time a little ahead, so every display
+// starts the transition on the same frame and a wall of screens moves as one surface.
+// Times in messages are ms on the controller's clock.
+
+const SharedClock = {
+    leadTime: 250,          // ms from sending a state change to applying it, for the slowest display
+    pingInterval: 10000,    // ms between offset measurements once synced
+    fastPingInterval: 500,  // ms between the first measurements after (re)joining
+    fastPings: 5,
+    maxSamples: 8,
+
+    role: 'controller',
+    channel: null,
+    clientId: null,
+    offset: 0,              // ms to add to this page's clock to get the controller's
+    epoch: null,            // shared time (ms) at u_time 0
+    samples: [],            // recent { offset, roundTrip }
+    pingsSent: 0,
+    pingTimer: null,
+
+    // Before the channel is set up, so the swirl starts on the right clock
+    init(role) {
+        this.role = role;
+        this.epoch = Math.round(this.localTime());
+        this.clientId = Math.random().toString(36).slice(2, 10);
+    },
+
+    // Answer pings (controller) or measure the offset (display) over the sync channel
+    attach(channel) {
+        this.channel = channel;
+        channel.addEventListener('message', (event) => this.handleMessage(event.data));
+        if (this.role !== 'controller') {
+            channel.addEventListener('connect', () => this.startPinging());
+            this.startPinging();
+        }
+    },
+
+    // ms, high resolution, on this page's own clock
+    localTime() {
+        return performance.timeOrigin + performance.now();
+    },
+
+    // Seconds on the controller's clock - the time base of transitions
+    now() {
+        return (this.localTime() + this.offset) / 1000;
+    },
+
+    // Seconds since the epoch - the swirl's u_time
+    elapsed() {
+        return (this.localTime() + this.offset - this.epoch) / 1000;
+    },
+
+    // Shared time (ms) a state change sent now is applied at
+    getApplyTime() {
+        return Math.round(this.now() * 1000) + this.leadTime;
+    },
+
+    // The controller's epoch, from a state change or a pong
+    setEpoch(epoch) {
+        if (this.role !== 'controller' && Number.isFinite(epoch)) {
+            this.epoch = epoch;
+        }
+    },
+
+    startPinging() {
+        this.samples = [];
+        this.pingsSent = 0;
+        this.ping();
+    },
+
+    ping() {
+        clearTimeout(this.pingTimer);
+        this.channel.postMessage({ type: 'clock-ping', id: this.clientId, sent: this.localTime() });
+        this.pingsSent++;
+        this.pingTimer = setTimeout(() => this.ping(), this.pingsSent < this.fastPings ? this.fastPingInterval : this.pingInterval);
+    },
+
+    handleMessage(data) {
+        if (data?.type === 'clock-ping' && this.role === 'controller') {
+            this.channel.postMessage({ type: 'clock-pong', id: data.id, sent: data.sent, time: this.localTime(), epoch: this.epoch });
+        } else if (data?.type === 'clock-pong' && data.id === this.clientId && Number.isFinite(data.sent)) {
+            const received = this.localTime();
+            const roundTrip = received - data.sent;
+            // The controller read its clock about halfway through the round trip
+            this.samples.push({ offset: data.time + roundTrip / 2 - received, roundTrip });
+            if (this.samples.length > this.maxSamples) {
+                this.samples.shift();
+            }
+            const best = this.samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+            this.offset = best.offset;
+            this.setEpoch(data.epoch);
+        }
+    }
+};
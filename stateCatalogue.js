@@ -0,0 +1,140 @@
+// Exhibition state catalogue
+// States are defined in states.json (or ?states=<url>): id, label, order, shader
+// params and pattern (see patterns.js), page background, LED color, LED pulse and audio response. Buttons,
+// shader configs and LED commands are all generated from it, so adding a state
+// needs no code changes. The same file holds the sensor rules (see sensorEvents.js),
+// the transition timing (see transitions.js), the idle stages (see InactivityWatcher),
+// the LED devices and zones (see ledController.js) and the screens of a video wall
+// (see displayRegion.js).
+
+const StateCatalogue = {
+    url: 'states.json',
+    states: [],
+    initialState: null,
+    idleState: null,
+    idle: {},               // idle stage timing (see InactivityWatcher)
+    ledLayout: {},          // LED devices and zones (see LEDController.configure)
+    displayLayout: null,    // virtual canvas and display regions (see DisplayRegion.applyLayout)
+    sensorRules: [],
+    loadError: null,        // why the manifest could not be used (see showLoadError)
+
+    // Used when the manifest cannot be loaded or has no valid state (e.g. index.html opened
+    // from file://): one dark, calm state, so the page still runs while it shows the error.
+    // The states themselves are defined in states.json only.
+    fallback: {
+        states: [{
+            id: 'standby',
+            label: 'Standby',
+            background: '#111417',
+            shader: { primary: [0.04, 0.05, 0.08], secondary: [0.22, 0.3, 0.35], speed: 0.08, intensity: 0.42, noiseScale: 1.5, distortion: 1.25 },
+            led: { pulse: null }
+        }]
+    },
+
+    shaderParams: ['speed', 'intensity', 'noiseScale', 'distortion'],
+
+    async load() {
+        const params = new URLSearchParams(window.location.search);
+        const url = params.get('states') || this.url;
+
+        let manifest = null;
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            manifest = this.validate(await response.json());
+        } catch (error) {
+            this.loadError = `Could not load the states from ${url} (${error.message}) - showing a single fallback state`;
+            console.error(this.loadError);
+            manifest = this.validate(this.fallback);
+            this.showLoadError();
+        }
+
+        this.apply(manifest);
+        return this.states;
+    },
+
+    // Check every entry and drop the ones that can't be used; throws if none are left
+    validate(manifest) {
+        const isColor = (value, max) => Array.isArray(value) &&
+            value.every(channel => Number.isFinite(channel) && channel >= 0 && channel <= max);
+
+        const states = (manifest?.states || []).filter((state, index) => {
+            // The id ends up in CSS classes and serial commands
+            const validId = typeof state?.id === 'string' && /^[a-z0-9-]+$/.test(state.id);
+            const shader = state?.shader;
+            const validShader = shader && isColor(shader.primary, 1) && shader.primary.length === 3 &&
+                isColor(shader.secondary, 1) && shader.secondary.length === 3 &&
+                this.shaderParams.every(name => Number.isFinite(shader[name]));
+            const led = state?.led;
+            const validLED = !led || !led.color || (isColor(led.color, 1) && led.color.length === 3);
+            const audio = state?.audio;
+            const validAudio = !audio || ['sensitivity', 'smoothing'].every(name => audio[name] === undefined || Number.isFinite(audio[name]));
+
+            if (!validId || !validShader || !validLED || !validAudio) {
+                console.warn(`Ignoring invalid state #${index + 1} in manifest:`, state);
+                return false;
+            }
+            if (shader.pattern !== undefined && !SwirlPatterns.has(shader.pattern)) {
+                console.warn(`State "${state.id}": unknown pattern "${shader.pattern}", using the ${SwirlPatterns.defaultPattern}`);
+            }
+            return true;
+        });
+
+        if (!states.length) {
+            throw new Error('Manifest contains no valid states');
+        }
+
+        return { ...manifest, states };
+    },
+
+    apply(manifest) {
+        this.states = manifest.states
+            .map((state, index) => ({
+                label: state.id,
+                order: index,
+                background: null,
+                led: {},
+                audio: {},
+                ...state
+            }))
+            .sort((a, b) => a.order - b.order);
+
+        const firstId = this.states[0].id;
+        this.initialState = this.has(manifest.initialState) ? manifest.initialState : firstId;
+        this.idleState = this.has(manifest.idleState) ? manifest.idleState : this.initialState;
+        this.idle = manifest.idle && typeof manifest.idle === 'object' ? manifest.idle : {};
+        this.sensorRules = Array.isArray(manifest.sensorRules) ? manifest.sensorRules : [];
+        this.ledLayout = manifest.ledLayout && typeof manifest.ledLayout === 'object' ? manifest.ledLayout : {};
+        this.displayLayout = manifest.displayLayout && typeof manifest.displayLayout === 'object' ? manifest.displayLayout : null;
+        Transitions.configure(manifest.transitions);
+
+        // stateConfigs holds the shader params, keyed and ordered like the catalogue
+        Object.keys(stateConfigs).forEach(id => delete stateConfigs[id]);
+        this.states.forEach(state => {
+            stateConfigs[state.id] = SwirlBackground.cloneConfig(state.shader);
+        });
+    },
+
+    // On the page, not just in the console: a kiosk left on the fallback state would otherwise look fine
+    showLoadError() {
+        const banner = document.createElement('div');
+        banner.className = 'catalogue-error';
+        banner.setAttribute('role', 'alert');
+        banner.textContent = this.loadError;
+        document.body.appendChild(banner);
+    },
+
+    get(id) {
+        return this.states.find(state => state.id === id) || null;
+    },
+
+    has(id) {
+        return !!this.get(id);
+    },
+
+    ids() {
+        return this.states.map(state => state.id);
+    }
+};
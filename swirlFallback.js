@@ -0,0 +1,213 @@
+// Fallback renderers for the swirl background, used when WebGL is unavailable or its
+// context was lost (see SwirlBackground.useFallback)
+//   canvas   - CPU port of the swirl shader at low resolution, scaled up by the browser
+//   gradient - drifting radial gradients in the state colors, for very slow machines
+// Both take the same config as the shader (primary/secondary colors, speed, intensity,
+// noiseScale, distortion) and draw the swirl whatever pattern a state picks (see patterns.js).
+// The canvas renderer drops to gradient on its own when a frame takes too long, unless it
+// was asked for explicitly (?renderer=canvas).
+
+const SwirlFallback = {
+    modes: ['canvas', 'gradient'],
+    canvasWidth: 96,        // pixels across for the CPU swirl; height follows the aspect ratio
+    gradientScale: 0.25,    // gradient canvas size relative to the screen
+    maxFps: 20,
+    slowFrameMs: 35,        // average CPU frame time that counts as too slow
+    slowFrameSamples: 30,
+
+    // Shader helpers, ported from the fragment shader in script.js
+    hash(x, y) {
+        const h = Math.sin(x * 127.1 + y * 311.7) * 43758.5453123;
+        return h - Math.floor(h);
+    },
+
+    noise(x, y, curvePower) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+        const a = this.hash(ix, iy);
+        const b = this.hash(ix + 1, iy);
+        const c = this.hash(ix, iy + 1);
+        const d = this.hash(ix + 1, iy + 1);
+        const ux = Math.pow(fx, curvePower);
+        const uy = Math.pow(fy, curvePower);
+        return a + (b - a) * ux + (c - a) * uy * (1 - ux) + (d - b) * ux * uy;
+    },
+
+    fbm(x, y, curvePower, octaves) {
+        let total = 0;
+        let amplitude = 0.5;
+        for (let i = 0; i < octaves; i++) {
+            total += this.noise(x, y, curvePower) * amplitude;
+            x *= 2;
+            y *= 2;
+            amplitude *= 0.5;
+        }
+        return total;
+    },
+
+    smoothstep(edge0, edge1, x) {
+        const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
+    },
+
+    // Pattern value 0-1 at uv (0-1, origin bottom-left like gl_FragCoord)
+    pattern(u, v, aspect, time, config, octaves = 5) {
+        const cx = (u - 0.5) * aspect;
+        const cy = v - 0.5;
+
+        const normalizedSpeed = Math.min(1, Math.max(0, (config.speed - 0.05) / 0.85));
+        const curvePower = 2.0 + (0.3 - 2.0) * normalizedSpeed;
+        const t = time * config.speed;
+
+        const flow = this.fbm(cx * config.noiseScale + t, cy * config.noiseScale + t, curvePower, octaves);
+        const offset = flow * config.distortion;
+        const swirl = this.fbm(cx * config.noiseScale * 0.5 + offset, cy * config.noiseScale * 0.5 + offset, curvePower, octaves);
+
+        const angle = swirl * 6.2831 * (1.0 + 1.5 * normalizedSpeed);
+        const s = Math.sin(angle);
+        const c = Math.cos(angle);
+        const rx = c * cx + s * cy;
+        const ry = -s * cx + c * cy;
+
+        const layered = this.fbm(rx * config.noiseScale * 1.8 + t * 0.2, ry * config.noiseScale * 1.8 + t * 0.2, curvePower, octaves);
+
+        const edgeLow = 0.1 + 0.2 * normalizedSpeed;
+        const edgeHigh = 0.9 - 0.2 * normalizedSpeed;
+        const pattern = this.smoothstep(edgeLow, edgeHigh, layered * config.intensity);
+
+        const spikeFactor = Math.min(1, Math.max(0, (normalizedSpeed - 0.7) / 0.3));
+        return pattern + (Math.pow(pattern, 0.4) - pattern) * spikeFactor;
+    },
+
+    // mode: 'canvas' or 'gradient'; automatic: may switch to gradient when too slow
+    // Returns null when the browser has no 2D canvas either.
+    create(canvas, mode = 'canvas', { automatic = true } = {}) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+        const definition = this;
+
+        return {
+            canvas,
+            ctx,
+            mode,
+            image: null,
+            lastDrawTime: -Infinity,
+            frameTimes: [],
+
+            resize() {
+                const width = canvas.clientWidth || window.innerWidth;
+                const height = canvas.clientHeight || window.innerHeight;
+                let targetWidth;
+                let targetHeight;
+                if (this.mode === 'canvas') {
+                    targetWidth = Math.min(definition.canvasWidth, width);
+                    targetHeight = Math.max(1, Math.round(targetWidth * height / width));
+                } else {
+                    targetWidth = Math.max(1, Math.round(width * definition.gradientScale));
+                    targetHeight = Math.max(1, Math.round(height * definition.gradientScale));
+                }
+                if (canvas.width !== targetWidth || canvas.height !== targetHeight) {
+                    canvas.width = targetWidth;
+                    canvas.height = targetHeight;
+                    this.image = null;
+                    this.lastDrawTime = -Infinity;
+                }
+            },
+
+            // octaves: fbm octaves for the canvas swirl (see QualityGovernor)
+            draw(config, time, octaves = 5) {
+                if (time - this.lastDrawTime < 1 / definition.maxFps) return;
+                this.lastDrawTime = time;
+
+                if (this.mode === 'canvas') {
+                    const start = performance.now();
+                    this.drawSwirl(config, time, octaves);
+                    if (automatic) {
+                        this.checkSpeed(performance.now() - start);
+                    }
+                } else {
+                    this.drawGradient(config, time);
+                }
+            },
+
+            drawSwirl(config, time, octaves) {
+                const width = canvas.width;
+                const height = canvas.height;
+                if (!this.image) {
+                    this.image = ctx.createImageData(width, height);
+                }
+                const data = this.image.data;
+                const aspect = width / height;
+                const [r0, g0, b0] = config.primary;
+                const [r1, g1, b1] = config.secondary;
+
+                for (let y = 0; y < height; y++) {
+                    const v = 1 - (y + 0.5) / height;
+                    for (let x = 0; x < width; x++) {
+                        const p = definition.pattern((x + 0.5) / width, v, aspect, time, config, octaves);
+                        const index = (y * width + x) * 4;
+                        data[index] = (r0 + (r1 - r0) * p) * 255;
+                        data[index + 1] = (g0 + (g1 - g0) * p) * 255;
+                        data[index + 2] = (b0 + (b1 - b0) * p) * 255;
+                        data[index + 3] = 255;
+                    }
+                }
+                ctx.putImageData(this.image, 0, 0);
+            },
+
+            // Three soft blobs of the secondary color drifting over the primary
+            drawGradient(config, time) {
+                const width = canvas.width;
+                const height = canvas.height;
+                const toCSS = (color, alpha) => `rgba(${color.map(channel => Math.round(channel * 255)).join(', ')}, ${alpha})`;
+                const t = time * config.speed;
+
+                ctx.globalCompositeOperation = 'source-over';
+                ctx.fillStyle = toCSS(config.primary, 1);
+                ctx.fillRect(0, 0, width, height);
+
+                ctx.globalCompositeOperation = 'lighter';
+                const radius = Math.max(width, height) * 0.6 / Math.max(0.5, config.noiseScale);
+                const alpha = Math.min(1, 0.7 * config.intensity);
+                for (let i = 0; i < 3; i++) {
+                    const phase = t * (1 + i * 0.37) + i * 2.1;
+                    const wobble = 0.2 * config.distortion;
+                    const x = width * (0.5 + (0.3 + wobble * 0.2) * Math.sin(phase + Math.sin(phase * 0.5) * wobble));
+                    const y = height * (0.5 + (0.3 + wobble * 0.2) * Math.cos(phase * 0.8 + i));
+                    const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                    gradient.addColorStop(0, toCSS(config.secondary, alpha));
+                    gradient.addColorStop(1, toCSS(config.secondary, 0));
+                    ctx.fillStyle = gradient;
+                    ctx.fillRect(0, 0, width, height);
+                }
+                ctx.globalCompositeOperation = 'source-over';
+            },
+
+            checkSpeed(frameMs) {
+                this.frameTimes.push(frameMs);
+                if (this.frameTimes.length < definition.slowFrameSamples) return;
+                const average = this.frameTimes.reduce((sum, value) => sum + value, 0) / this.frameTimes.length;
+                this.frameTimes = [];
+                if (average > definition.slowFrameMs) {
+                    console.warn(`Canvas swirl too slow (${average.toFixed(0)} ms per frame), switching to the gradient renderer`);
+                    this.mode = 'gradient';
+                    this.resize();
+                }
+            },
+
+            // Colors ([r, g, b] 0-255) at normalized points ([x, y] 0-1, origin top-left)
+            sample(points) {
+                const width = canvas.width;
+                const height = canvas.height;
+                return points.map(([x, y]) => {
+                    const px = Math.min(width - 1, Math.max(0, Math.round(x * (width - 1))));
+                    const py = Math.min(height - 1, Math.max(0, Math.round(y * (height - 1))));
+                    const pixel = ctx.getImageData(px, py, 1, 1).data;
+                    return [pixel[0], pixel[1], pixel[2]];
+                });
+            }
+        };
+    }
+};
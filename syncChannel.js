@@ -0,0 +1,116 @@
+// Controller/viewer sync channel
+// Without a sync server this is a BroadcastChannel (tabs of one browser on one computer).
+// With ?sync=ws://host:8090 (remembered afterwards, ?sync=off to forget) it goes through
+// bridge/sync-server.js instead, so the controller and the displays can be different machines.
+// ?room=<name> keeps several installations on one server apart.
+//
+// Both kinds of channel offer postMessage(data) and addEventListener('message', ...).
+// The WebSocket channel also fires 'connect' every time it (re)joins its room.
+
+const SyncChannel = {
+    defaultRoom: 'default',
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 30000,
+
+    create(name, { role } = {}) {
+        const url = this.getServerUrl();
+        if (url) {
+            return this.createSocketChannel(url, this.getRoom(), role);
+        }
+        return typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(name) : null;
+    },
+
+    getServerUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const requested = params.get('sync');
+        if (requested === 'off') {
+            safeStorage.set('syncServer', '');
+            return null;
+        }
+        if (requested) {
+            safeStorage.set('syncServer', requested);
+            return requested;
+        }
+        return safeStorage.get('syncServer') || null;
+    },
+
+    getRoom() {
+        const params = new URLSearchParams(window.location.search);
+        const room = params.get('room') || safeStorage.get('syncRoom') || this.defaultRoom;
+        safeStorage.set('syncRoom', room);
+        return room;
+    },
+
+    createSocketChannel(url, room, role) {
+        const definition = this;
+        const channel = {
+            url,
+            room,
+            socket: null,
+            isOpen: false,
+            reconnectAttempts: 0,
+            reconnectTimer: null,
+            listeners: { message: [], connect: [] },
+
+            addEventListener(type, listener) {
+                (this.listeners[type] || (this.listeners[type] = [])).push(listener);
+            },
+
+            emit(type, event) {
+                (this.listeners[type] || []).forEach(listener => listener(event));
+            },
+
+            // Messages sent while offline are dropped - both sides resync on 'connect'
+            postMessage(data) {
+                if (!this.isOpen) return;
+                this.socket.send(JSON.stringify(data));
+            },
+
+            open() {
+                const socket = new WebSocket(this.url);
+                this.socket = socket;
+
+                socket.addEventListener('open', () => {
+                    socket.send(JSON.stringify({ type: 'join', room: this.room, role }));
+                    this.isOpen = true;
+                    this.reconnectAttempts = 0;
+                    console.log(`Sync server connected (${this.url}, room "${this.room}")`);
+                    this.emit('connect', {});
+                });
+
+                socket.addEventListener('message', (event) => {
+                    let data;
+                    try {
+                        data = JSON.parse(event.data);
+                    } catch (error) {
+                        console.warn('Ignoring malformed sync message:', event.data);
+                        return;
+                    }
+                    this.emit('message', { data });
+                });
+
+                socket.addEventListener('close', () => {
+                    if (this.isOpen) {
+                        console.warn('Sync server connection lost');
+                    }
+                    this.isOpen = false;
+                    this.socket = null;
+                    this.scheduleReconnect();
+                });
+            },
+
+            scheduleReconnect() {
+                clearTimeout(this.reconnectTimer);
+                const delay = Math.min(
+                    definition.reconnectMaxDelay,
+                    definition.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts)
+                );
+                this.reconnectAttempts++;
+                this.reconnectTimer = setTimeout(() => this.open(), delay);
+            }
+        };
+
+        channel.open();
+        return channel;
+    }
+};
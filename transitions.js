@@ -0,0 +1,154 @@
+// Transition matrix
+// How long a state change takes and how it eases, per from -> to pair. Defined under
+// "transitions" in states.json:
+//   "default": { "duration": 11, "color": "easeInOutQuart", "motion": "easeInOutQuint" }
+//   "pairs": [{ "from": "*", "to": "alert", "duration": 1.5, "color": "easeOutCubic" }, ...]
+// The most specific pair wins (from and to > to only > from only > "*" -> "*"); what it
+// leaves out comes from the default. "color" eases the colors (shader, LEDs, page
+// background), "motion" the speed, intensity, noise scale and distortion.
+// Easings are a name from the list below or "cubic-bezier(x1, y1, x2, y2)" - the same
+// curve is used by the shader, the CSS background transition and the Arduino's fade.
+
+const Transitions = {
+    // duration in seconds
+    builtinDefault: { duration: 11, color: 'easeInOutQuart', motion: 'easeInOutQuint' },
+    defaultTransition: null,
+    pairs: [],
+
+    // Control points as in CSS. The shader evaluates the same curves, so it cannot drift
+    // from the page background or the LEDs.
+    easings: {
+        linear: [0, 0, 1, 1],
+        ease: [0.25, 0.1, 0.25, 1],
+        'ease-in': [0.42, 0, 1, 1],
+        'ease-out': [0, 0, 0.58, 1],
+        'ease-in-out': [0.42, 0, 0.58, 1],
+        easeInOutSine: [0.37, 0, 0.63, 1],
+        easeInOutCubic: [0.65, 0, 0.35, 1],
+        easeInOutQuart: [0.76, 0, 0.24, 1],
+        easeInOutQuint: [0.83, 0, 0.17, 1],
+        easeInCubic: [0.32, 0, 0.67, 0],
+        easeOutCubic: [0.33, 1, 0.68, 1],
+        easeOutQuint: [0.22, 1, 0.36, 1],
+        easeOutBack: [0.34, 1.56, 0.64, 1]
+    },
+
+    // Read the "transitions" section of the manifest; invalid entries are dropped with a warning
+    configure(definition) {
+        definition = definition || {};
+        const fallback = this.parseTransition(this.builtinDefault);
+        this.defaultTransition = this.parseTransition(definition.default || {}, fallback, 'default') || fallback;
+
+        const isState = (id) => id === '*' || StateCatalogue.has(id);
+        this.pairs = (Array.isArray(definition.pairs) ? definition.pairs : [])
+            .map((pair, index) => {
+                const from = pair?.from ?? '*';
+                const to = pair?.to ?? '*';
+                const transition = isState(from) && isState(to) &&
+                    this.parseTransition(pair, this.defaultTransition, `pair #${index + 1}`);
+                if (!transition) {
+                    console.warn(`Ignoring invalid transition pair #${index + 1}:`, pair);
+                    return null;
+                }
+                return { from, to, ...transition };
+            })
+            .filter(Boolean);
+    },
+
+    // { duration, color, motion } with easing names -> resolved easings, gaps filled from base
+    parseTransition(entry, base = null, label = 'transition') {
+        const duration = entry.duration ?? base?.duration;
+        if (!Number.isFinite(duration) || duration < 0) return null;
+
+        const result = { duration };
+        for (const curve of ['color', 'motion']) {
+            const easing = entry[curve] === undefined ? base?.[curve] : this.getEasing(entry[curve]);
+            if (!easing) {
+                console.warn(`Unknown easing "${entry[curve]}" in ${label}`);
+                return null;
+            }
+            result[curve] = easing;
+        }
+        return result;
+    },
+
+    // Name or "cubic-bezier(x1, y1, x2, y2)" -> { name, bezier, css, fn }, or null
+    getEasing(name) {
+        if (typeof name !== 'string') return null;
+
+        let bezier = this.easings[name];
+        if (!bezier) {
+            const match = name.replace(/\s+/g, '').match(/^cubic-bezier\(([^)]*)\)$/);
+            bezier = match ? match[1].split(',').map(Number) : [];
+            // x must stay within 0-1 for the curve to be a function of time; y may overshoot
+            if (bezier.length !== 4 || !bezier.every(Number.isFinite) ||
+                bezier[0] < 0 || bezier[0] > 1 || bezier[2] < 0 || bezier[2] > 1) {
+                return null;
+            }
+        }
+
+        return {
+            name,
+            bezier,
+            css: `cubic-bezier(${bezier.join(', ')})`,
+            fn: this.cubicBezier(...bezier)
+        };
+    },
+
+    // CSS cubic-bezier timing function: progress (0-1) -> eased value
+    cubicBezier(x1, y1, x2, y2) {
+        const sample = (a, b, t) => ((1 - 3 * b + 3 * a) * t + (3 * b - 6 * a)) * t * t + 3 * a * t;
+        const slope = (a, b, t) => 3 * (1 - 3 * b + 3 * a) * t * t + 2 * (3 * b - 6 * a) * t + 3 * a;
+
+        return (x) => {
+            if (x <= 0) return 0;
+            if (x >= 1) return 1;
+
+            // Newton's method, bisection where the curve is too flat for it
+            let t = x;
+            for (let i = 0; i < 8; i++) {
+                const error = sample(x1, x2, t) - x;
+                if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+                const d = slope(x1, x2, t);
+                if (Math.abs(d) < 1e-6) break;
+                t -= error / d;
+            }
+
+            let low = 0;
+            let high = 1;
+            t = x;
+            for (let i = 0; i < 30; i++) {
+                const value = sample(x1, x2, t);
+                if (Math.abs(value - x) < 1e-6) break;
+                if (value < x) low = t; else high = t;
+                t = (low + high) / 2;
+            }
+            return sample(y1, y2, t);
+        };
+    },
+
+    // The transition for a change from one state to another (from is null for the first state),
+    // stretched where it would change the light too fast (see motionSafety.js)
+    resolve(from, to, { limited = true } = {}) {
+        if (!this.defaultTransition) {
+            this.configure();
+        }
+
+        let best = null;
+        let bestScore = -1;
+        this.pairs.forEach(pair => {
+            const fromMatches = pair.from === '*' || pair.from === from;
+            const toMatches = pair.to === '*' || pair.to === to;
+            if (!fromMatches || !toMatches) return;
+
+            const score = (pair.to !== '*' ? 2 : 0) + (pair.from !== '*' ? 1 : 0);
+            if (score > bestScore) {
+                best = pair;
+                bestScore = score;
+            }
+        });
+
+        const { duration, color, motion } = best || this.defaultTransition;
+        return limited ? MotionSafety.limitTransition({ duration, color, motion }, from, to) : { duration, color, motion };
+    }
+};
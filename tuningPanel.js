@@ -0,0 +1,455 @@
+// Live tuning panel for stateConfigs (controller only)
+// Shift+T (or ?tuning=1) opens it. Edits (colors, parameters, pattern) apply to the swirl,
+// the LED strip and the viewers immediately; named variants are kept in localStorage and
+// can be exported/imported as JSON. It also switches calm mode and lists what the safety
+// limits change about the selected state (see motionSafety.js).
+
+const TuningPanel = {
+    element: null,
+    selectedState: null,
+    defaults: null,
+    storageKey: 'tuningVariants',
+    activeVariantKey: 'tuningActiveVariant',
+    statsTimer: null,
+    frameCaps: [30, 24, 15],
+
+    // Slider ranges for the numeric shader parameters
+    params: {
+        speed: { label: 'Speed', min: 0.01, max: 1.0, step: 0.01 },
+        intensity: { label: 'Intensity', min: 0.0, max: 1.5, step: 0.01 },
+        noiseScale: { label: 'Noise scale', min: 0.2, max: 4.0, step: 0.05 },
+        distortion: { label: 'Distortion', min: 0.0, max: 3.0, step: 0.05 }
+    },
+
+    init() {
+        this.keepDefaults();
+        this.selectedState = ExhibitionState.currentState || Object.keys(stateConfigs)[0];
+
+        this.build();
+
+        onShortcut('T', () => this.toggle());
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('tuning') === '1') {
+            this.toggle(true);
+        }
+    },
+
+    // Apply the last loaded variant (and send it to open viewers) - called before the first state is shown
+    restoreActiveVariant() {
+        this.keepDefaults();
+        const name = safeStorage.get(this.activeVariantKey);
+        const variant = name ? this.getVariants()[name] : null;
+        if (variant) {
+            ExhibitionState.applyStateConfigs(variant);
+        }
+    },
+
+    // Keep the shipped values (before any variant is applied) so "Reset" can return to them
+    keepDefaults() {
+        if (!this.defaults) {
+            this.defaults = this.cloneConfigs(stateConfigs);
+        }
+    },
+
+    toggle(force) {
+        if (!this.element) return;
+        const open = typeof force === 'boolean' ? force : this.element.hidden;
+        this.element.hidden = !open;
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+        if (open) {
+            this.refresh();
+            this.statsTimer = setInterval(() => this.refreshRenderStats(), 1000);
+        }
+    },
+
+    cloneConfigs(configs) {
+        return JSON.parse(JSON.stringify(configs));
+    },
+
+    // ---------------- Colors ----------------
+
+    // [0-1, 0-1, 0-1] -> "#rrggbb"
+    toHex(color) {
+        return '#' + color.map(value => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0')).join('');
+    },
+
+    // "#rrggbb" -> [0-1, 0-1, 0-1]
+    fromHex(hex) {
+        return [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+    },
+
+    // ---------------- UI ----------------
+
+    build() {
+        const panel = document.createElement('div');
+        panel.className = 'tuning-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="tuning-header">
+                <h2>State tuning</h2>
+                <button type="button" class="tuning-close" data-action="close" aria-label="Close">×</button>
+            </div>
+            <label class="tuning-row">
+                <span>State</span>
+                <select data-field="state"></select>
+            </label>
+            <label class="tuning-row">
+                <span>Primary</span>
+                <input type="color" data-color="primary">
+            </label>
+            <label class="tuning-row">
+                <span>Secondary</span>
+                <input type="color" data-color="secondary">
+            </label>
+            ${Object.entries(this.params).map(([name, range]) => `
+                <label class="tuning-row">
+                    <span>${range.label}</span>
+                    <input type="range" data-param="${name}" min="${range.min}" max="${range.max}" step="${range.step}">
+                    <output data-output="${name}"></output>
+                </label>
+            `).join('')}
+            <label class="tuning-row">
+                <span>Pattern</span>
+                <select data-field="pattern">
+                    ${SwirlPatterns.ids().map(id => `<option value="${id}">${SwirlPatterns.get(id).label}</option>`).join('')}
+                </select>
+            </label>
+            <div data-field="pattern-params"></div>
+            <div class="tuning-row">
+                <span>LED preview</span>
+                <span class="tuning-led-swatch" data-field="led-swatch"></span>
+                <output data-field="led-value"></output>
+            </div>
+            <div class="tuning-section">
+                <label class="tuning-row">
+                    <span>Calm mode</span>
+                    <input type="checkbox" data-field="calm">
+                    <output data-field="calm-note"></output>
+                </label>
+                <ul class="tuning-warnings" data-field="safety-warnings"></ul>
+            </div>
+            <div class="tuning-section">
+                <div class="tuning-row">
+                    <span>Render</span>
+                    <output data-field="render-stats"></output>
+                </div>
+                <label class="tuning-row">
+                    <span>Frame cap</span>
+                    <select data-field="max-fps">
+                        <option value="">Off</option>
+                        ${this.frameCaps.map(fps => `<option value="${fps}">${fps} fps</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="tuning-section">
+                <div class="tuning-row">
+                    <input type="text" data-field="variant-name" placeholder="Variant name">
+                    <button type="button" data-action="save">Save</button>
+                </div>
+                <div class="tuning-row">
+                    <select data-field="variants"></select>
+                    <button type="button" data-action="load">Load</button>
+                    <button type="button" data-action="delete">Delete</button>
+                </div>
+                <div class="tuning-row">
+                    <button type="button" data-action="export">Export JSON</button>
+                    <button type="button" data-action="import">Import JSON</button>
+                    <button type="button" data-action="reset">Reset</button>
+                    <input type="file" accept="application/json,.json" data-field="import-file" hidden>
+                </div>
+            </div>
+        `;
+
+        panel.querySelector('[data-field="state"]').addEventListener('change', (event) => {
+            this.selectedState = event.target.value;
+            this.refresh();
+        });
+
+        panel.querySelectorAll('[data-color]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.updateSelected({ [input.dataset.color]: this.fromHex(input.value) });
+            });
+        });
+
+        panel.querySelectorAll('[data-param]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.updateSelected({ [input.dataset.param]: parseFloat(input.value) });
+            });
+        });
+
+        // A new pattern starts from its default params
+        panel.querySelector('[data-field="pattern"]').addEventListener('change', (event) => {
+            this.updateSelected({ pattern: event.target.value, params: {} });
+            this.refresh();
+        });
+
+        panel.querySelector('[data-field="pattern-params"]').addEventListener('input', (event) => {
+            const name = event.target.dataset.patternParam;
+            if (name) {
+                const params = { ...stateConfigs[this.selectedState].params, [name]: parseFloat(event.target.value) };
+                this.updateSelected({ params });
+            }
+        });
+
+        panel.querySelector('[data-field="calm"]').addEventListener('change', (event) => {
+            ExhibitionState.setCalmMode(event.target.checked);
+        });
+
+        panel.querySelector('[data-field="max-fps"]').addEventListener('change', (event) => {
+            QualityGovernor.setMaxFps(parseFloat(event.target.value) || null);
+        });
+
+        panel.querySelector('[data-field="import-file"]').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+            event.target.value = '';
+        });
+
+        panel.addEventListener('click', (event) => {
+            const action = event.target.dataset?.action;
+            if (action) {
+                this.handleAction(action);
+            }
+        });
+
+        document.body.appendChild(panel);
+        this.element = panel;
+    },
+
+    handleAction(action) {
+        const nameInput = this.element.querySelector('[data-field="variant-name"]');
+        const variantSelect = this.element.querySelector('[data-field="variants"]');
+
+        switch (action) {
+            case 'close':
+                this.toggle(false);
+                break;
+            case 'save':
+                this.saveVariant(nameInput.value.trim());
+                break;
+            case 'load':
+                this.loadVariant(variantSelect.value);
+                break;
+            case 'delete':
+                this.deleteVariant(variantSelect.value);
+                break;
+            case 'export':
+                this.exportJSON(variantSelect.value || 'current');
+                break;
+            case 'import':
+                this.element.querySelector('[data-field="import-file"]').click();
+                break;
+            case 'reset':
+                if (confirm('Reset all states to the built-in values?')) {
+                    safeStorage.set(this.activeVariantKey, '');
+                    ExhibitionState.applyStateConfigs(this.cloneConfigs(this.defaults));
+                    this.refresh();
+                }
+                break;
+        }
+    },
+
+    // Sync the inputs with stateConfigs
+    refresh() {
+        if (!this.element || this.element.hidden) return;
+
+        const stateSelect = this.element.querySelector('[data-field="state"]');
+        stateSelect.innerHTML = '';
+        Object.keys(stateConfigs).forEach(state => {
+            stateSelect.add(new Option(StateCatalogue.get(state)?.label || state, state));
+        });
+        if (!stateConfigs[this.selectedState]) {
+            this.selectedState = Object.keys(stateConfigs)[0];
+        }
+        stateSelect.value = this.selectedState;
+
+        const config = stateConfigs[this.selectedState];
+        this.element.querySelectorAll('[data-color]').forEach(input => {
+            input.value = this.toHex(config[input.dataset.color]);
+        });
+        this.element.querySelectorAll('[data-param]').forEach(input => {
+            input.value = config[input.dataset.param];
+        });
+        this.element.querySelector('[data-field="pattern"]').value = config.pattern;
+        this.element.querySelector('[data-field="pattern-params"]').innerHTML =
+            Object.entries(SwirlPatterns.get(config.pattern).uniforms).map(([name, range]) => `
+                <label class="tuning-row">
+                    <span>${range.label}</span>
+                    <input type="range" data-pattern-param="${name}" min="${range.min}" max="${range.max}" step="${range.step}" value="${config.params[name]}">
+                    <output data-pattern-output="${name}"></output>
+                </label>
+            `).join('');
+
+        this.refreshOutputs();
+        this.refreshVariants();
+        this.refreshRenderStats();
+    },
+
+    refreshOutputs() {
+        const config = stateConfigs[this.selectedState];
+        Object.keys(this.params).forEach(name => {
+            this.element.querySelector(`[data-output="${name}"]`).textContent = config[name].toFixed(2);
+        });
+        Object.entries(config.params).forEach(([name, value]) => {
+            const output = this.element.querySelector(`[data-pattern-output="${name}"]`);
+            if (output) {
+                output.textContent = value.toFixed(2);
+            }
+        });
+
+        // Same color the (first) strip gets in solid mode
+        if (typeof LEDController !== 'undefined') {
+            const color = LEDController.getStateColor(this.selectedState);
+            this.element.querySelector('[data-field="led-swatch"]').style.backgroundColor = LEDCalibration.previewColor(color);
+            this.element.querySelector('[data-field="led-value"]').textContent = `${color.r}, ${color.g}, ${color.b}, ${color.w}`;
+        }
+
+        this.refreshSafety();
+    },
+
+    // Calm mode, and what the safety limits change about the selected state
+    refreshSafety() {
+        this.element.querySelector('[data-field="calm"]').checked = MotionSafety.calm;
+        this.element.querySelector('[data-field="calm-note"]').textContent = MotionSafety.reducedMotion ? 'On (system)' : '';
+        this.element.querySelector('[data-field="safety-warnings"]').innerHTML = MotionSafety.check(this.selectedState)
+            .map(warning => `<li>${warning}</li>`).join('');
+    },
+
+    // Frame rate and quality level of this page's swirl (see QualityGovernor)
+    refreshRenderStats() {
+        if (!this.element || this.element.hidden) return;
+        const output = this.element.querySelector('[data-field="render-stats"]');
+        if (!SwirlBackground.isReady) {
+            output.textContent = 'Off';
+            return;
+        }
+
+        const stats = QualityGovernor.getStats();
+        const renderer = { webgl: 'WebGL', canvas: 'Canvas', gradient: 'Gradient' }[SwirlBackground.rendererType] || SwirlBackground.rendererType;
+        output.textContent = `${renderer} · ${stats.fps.toFixed(0)} fps · quality ${stats.level + 1}/${stats.levels}` +
+            ` (${Math.round(stats.resolution * 100)}%, ${stats.octaves} octaves)${stats.pinned ? ' · fixed' : ''}`;
+
+        const capSelect = this.element.querySelector('[data-field="max-fps"]');
+        const cap = stats.maxFps ? String(stats.maxFps) : '';
+        if (cap && ![...capSelect.options].some(option => option.value === cap)) {
+            capSelect.add(new Option(`${cap} fps`, cap));
+        }
+        capSelect.value = cap;
+    },
+
+    refreshVariants() {
+        const variantSelect = this.element.querySelector('[data-field="variants"]');
+        const active = safeStorage.get(this.activeVariantKey);
+        variantSelect.innerHTML = '';
+        Object.keys(this.getVariants()).sort().forEach(name => {
+            variantSelect.add(new Option(name === active ? `${name} (active)` : name, name));
+        });
+        if (active) {
+            variantSelect.value = active;
+        }
+    },
+
+    updateSelected(changes) {
+        const config = { ...stateConfigs[this.selectedState], ...changes };
+        ExhibitionState.applyStateConfigs({ [this.selectedState]: config });
+        this.refreshOutputs();
+    },
+
+    // ---------------- Variants ----------------
+
+    getVariants() {
+        try {
+            return JSON.parse(safeStorage.get(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Stored tuning variants are not valid JSON', error);
+            return {};
+        }
+    },
+
+    setVariants(variants) {
+        safeStorage.set(this.storageKey, JSON.stringify(variants));
+    },
+
+    saveVariant(name) {
+        if (!name) {
+            alert('Enter a name for the variant.');
+            return;
+        }
+        const variants = this.getVariants();
+        variants[name] = this.cloneConfigs(stateConfigs);
+        this.setVariants(variants);
+        safeStorage.set(this.activeVariantKey, name);
+        this.refreshVariants();
+    },
+
+    loadVariant(name) {
+        const variant = this.getVariants()[name];
+        if (!variant) return;
+        ExhibitionState.applyStateConfigs(variant);
+        safeStorage.set(this.activeVariantKey, name);
+        this.refresh();
+    },
+
+    deleteVariant(name) {
+        const variants = this.getVariants();
+        if (!variants[name] || !confirm(`Delete variant "${name}"?`)) return;
+        delete variants[name];
+        this.setVariants(variants);
+        if (safeStorage.get(this.activeVariantKey) === name) {
+            safeStorage.set(this.activeVariantKey, '');
+        }
+        this.refreshVariants();
+    },
+
+    // Exported files: { "name": "...", "states": { "<state>": { primary, secondary, speed, ... } } }
+    exportJSON(name) {
+        const states = this.getVariants()[name] || stateConfigs;
+        const blob = new Blob([JSON.stringify({ name, states }, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `exhibition-states-${name}.json`);
+    },
+
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const states = this.validateStates(data.states || data);
+            const name = data.name || file.name.replace(/\.json$/i, '');
+
+            const variants = this.getVariants();
+            variants[name] = states;
+            this.setVariants(variants);
+            this.loadVariant(name);
+        } catch (error) {
+            console.error('Tuning import failed:', error);
+            alert('Import failed: ' + error.message);
+        }
+    },
+
+    // Keep only known states with complete, numeric configs, the parameters clamped to the
+    // sliders' ranges (pattern params are clamped by SwirlPatterns.resolveParams)
+    validateStates(states) {
+        const isColor = (value) => Array.isArray(value) && value.length === 3 &&
+            value.every(channel => Number.isFinite(channel) && channel >= 0 && channel <= 1);
+
+        const valid = {};
+        Object.entries(states || {}).forEach(([state, config]) => {
+            if (!stateConfigs[state] || !config) return;
+            const complete = isColor(config.primary) && isColor(config.secondary) &&
+                Object.keys(this.params).every(name => Number.isFinite(config[name]));
+            if (complete) {
+                valid[state] = { ...config };
+                Object.entries(this.params).forEach(([name, range]) => {
+                    valid[state][name] = Math.min(range.max, Math.max(range.min, config[name]));
+                });
+            }
+        });
+
+        if (!Object.keys(valid).length) {
+            throw new Error('No valid state configs found in file');
+        }
+        return valid;
+    }
+};
@@ -0,0 +1,161 @@
+// WebM file writer for encoded video frames (see SwirlCapture.encodeVideo)
+// One video track, a cluster per key frame. The frames keep the timestamps they were
+// encoded with, so the file plays at its frame rate however long each frame took to render.
+// Like the browser's own recorder, it writes no cue index: players seek by reading ahead.
+
+const WebMWriter = {
+    // Matroska element ids (with their length marker bits)
+    ids: {
+        ebml: 0x1A45DFA3,
+        ebmlVersion: 0x4286,
+        ebmlReadVersion: 0x42F7,
+        ebmlMaxIdLength: 0x42F2,
+        ebmlMaxSizeLength: 0x42F3,
+        docType: 0x4282,
+        docTypeVersion: 0x4287,
+        docTypeReadVersion: 0x4285,
+        segment: 0x18538067,
+        info: 0x1549A966,
+        timecodeScale: 0x2AD7B1,
+        duration: 0x4489,
+        muxingApp: 0x4D80,
+        writingApp: 0x5741,
+        tracks: 0x1654AE6B,
+        trackEntry: 0xAE,
+        trackNumber: 0xD7,
+        trackUid: 0x73C5,
+        trackType: 0x83,
+        flagLacing: 0x9C,
+        defaultDuration: 0x23E383,
+        codecId: 0x86,
+        video: 0xE0,
+        pixelWidth: 0xB0,
+        pixelHeight: 0xBA,
+        cluster: 0x1F43B675,
+        timecode: 0xE7,
+        simpleBlock: 0xA3
+    },
+    maxClusterSpan: 30000, // ms - block times are 16 bit offsets from their cluster's time
+
+    // codec: 'V_VP9' or 'V_VP8'; fps sets the default frame duration
+    create({ codec, width, height, fps }) {
+        const definition = this;
+        const { ids } = definition;
+        const clusters = [];    // [Uint8Array] - finished clusters, element headers included
+        let blocks = [];        // SimpleBlocks of the open cluster
+        let clusterTime = null; // ms
+        let lastTime = 0;       // ms
+
+        const closeCluster = () => {
+            if (clusterTime === null) return;
+            clusters.push(...definition.element(ids.cluster, [definition.uint(ids.timecode, clusterTime), ...blocks]));
+            blocks = [];
+            clusterTime = null;
+        };
+
+        return {
+            // data: the encoded frame (Uint8Array), timestamp in µs as given to the encoder
+            addFrame(data, timestamp, isKey) {
+                const time = Math.round(timestamp / 1000);
+                if (clusterTime === null || (isKey && time !== clusterTime) || time - clusterTime > definition.maxClusterSpan) {
+                    closeCluster();
+                    clusterTime = time;
+                }
+                // Track number 1, time relative to the cluster, key frame flag
+                const header = new Uint8Array(4);
+                header[0] = 0x81;
+                new DataView(header.buffer).setInt16(1, time - clusterTime);
+                header[3] = isKey ? 0x80 : 0;
+                blocks.push(...definition.element(ids.simpleBlock, [header, data]));
+                lastTime = Math.max(lastTime, time);
+            },
+
+            finish() {
+                closeCluster();
+                const frameDuration = 1000 / fps;
+                const header = definition.element(ids.ebml, [
+                    definition.uint(ids.ebmlVersion, 1),
+                    definition.uint(ids.ebmlReadVersion, 1),
+                    definition.uint(ids.ebmlMaxIdLength, 4),
+                    definition.uint(ids.ebmlMaxSizeLength, 8),
+                    definition.string(ids.docType, 'webm'),
+                    definition.uint(ids.docTypeVersion, 2),
+                    definition.uint(ids.docTypeReadVersion, 2)
+                ]);
+                const info = definition.element(ids.info, [
+                    definition.uint(ids.timecodeScale, 1000000), // ms
+                    definition.float(ids.duration, lastTime + frameDuration),
+                    definition.string(ids.muxingApp, 'webmWriter.js'),
+                    definition.string(ids.writingApp, 'Swirl capture')
+                ]);
+                const tracks = definition.element(ids.tracks, definition.element(ids.trackEntry, [
+                    definition.uint(ids.trackNumber, 1),
+                    definition.uint(ids.trackUid, 1),
+                    definition.uint(ids.trackType, 1), // video
+                    definition.uint(ids.flagLacing, 0),
+                    definition.uint(ids.defaultDuration, Math.round(frameDuration * 1000000)), // ns
+                    definition.string(ids.codecId, codec),
+                    ...definition.element(ids.video, [
+                        definition.uint(ids.pixelWidth, width),
+                        definition.uint(ids.pixelHeight, height)
+                    ])
+                ]));
+                const segment = definition.element(ids.segment, [...info, ...tracks, ...clusters]);
+                return new Blob([...header, ...segment], { type: 'video/webm' });
+            }
+        };
+    },
+
+    // ---------------- EBML ----------------
+
+    // An element as a list of byte arrays: id, size, then the children as they are
+    // (Uint8Arrays or lists of them), so large payloads are never copied
+    element(id, children) {
+        const parts = children.flat();
+        const size = parts.reduce((sum, part) => sum + part.length, 0);
+        return [this.encodeId(id), this.encodeSize(size), ...parts];
+    },
+
+    uint(id, value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return this.element(id, [new Uint8Array(bytes)]);
+    },
+
+    float(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return this.element(id, [bytes]);
+    },
+
+    string(id, text) {
+        return this.element(id, [new TextEncoder().encode(text)]);
+    },
+
+    encodeId(id) {
+        const bytes = [];
+        while (id > 0) {
+            bytes.unshift(id % 256);
+            id = Math.floor(id / 256);
+        }
+        return new Uint8Array(bytes);
+    },
+
+    // Variable-length size: the number of leading zero bits gives the length; all ones is reserved
+    encodeSize(size) {
+        let length = 1;
+        while (length < 8 && size >= 2 ** (7 * length) - 1) {
+            length++;
+        }
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = size % 256;
+            size = Math.floor(size / 256);
+        }
+        bytes[0] |= 0x80 >> (length - 1);
+        return bytes;
+    }
+};